@@ -0,0 +1,75 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const os = require("os");
+
+/**
+ * Gets the directory in which an app keeps its per-user settings, computed from the environment alone:
+ * $XDG_CONFIG_HOME/<appName> or ~/.config/<appName> on Linux, ~/Library/Application Support/<appName> on macOS, and
+ * %APPDATA%\<appName> on Windows
+ *
+ * @param {string} appName  - the name of the app
+ * @param {JSON}   platform - optionally overrides the platform, environment variables and home directory of the process,
+ *                            with the platform, env and homedir keys
+ * @returns {string}          the path to the directory, which might not exist yet
+ */
+module.exports.getUserDataDirectory = function (appName, { platform = process.platform, env = process.env, homedir } = {}) {
+  const home = homedir || os.homedir();
+
+  switch (platform) {
+    case "win32":
+      return path.win32.join(env.APPDATA || path.win32.join(home, "AppData", "Roaming"), appName);
+    case "darwin":
+      return path.posix.join(home, "Library", "Application Support", appName);
+    default:
+      // a relative XDG_CONFIG_HOME is invalid, and must be ignored
+      return path.posix.join(
+        env.XDG_CONFIG_HOME && path.posix.isAbsolute(env.XDG_CONFIG_HOME)
+          ? env.XDG_CONFIG_HOME
+          : path.posix.join(home, ".config"),
+        appName
+      );
+  }
+};
+
+/**
+ * Gets the user data directory of the running Electron app, i.e app.getPath("userData"), when this module is used in
+ * the main process of an Electron app
+ *
+ * @returns {string} the path to the directory, or null outside the main process of an Electron app
+ */
+module.exports.getElectronUserDataDirectory = function () {
+  if (!process.versions.electron) return null;
+
+  try {
+    const { app } = require("electron");
+    return app && typeof app.getPath === "function" ? app.getPath("userData") : null;
+  } catch (err) {
+    return null;
+  }
+};
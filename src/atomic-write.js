@@ -0,0 +1,175 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const crypto = require("crypto");
+const fsp = require("fs/promises");
+const fs = require("fs");
+
+// gets a unique path, in the same directory as the file, where data would be written before it replaces the file
+function getTempFilePath(filePath) {
+  const basename = path.basename(filePath);
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString("hex")}`;
+  return path.join(path.dirname(filePath), `.${basename}.${suffix}.tmp`);
+}
+
+// gets the permissions of the file being replaced, so that they are not lost after the rename
+function getFileModeSync(filePath) {
+  try {
+    return fs.statSync(filePath).mode & 0o777;
+  } catch (err) {
+    return 0o666;
+  }
+}
+
+/**
+ * Asynchronously writes data to a file, by writing it to a temporary file which then replaces the file.
+ * The file would always contain either its previous data or the new data, even if the process crashes mid-write
+ *
+ * @param {string} filePath - the path to the file to be written
+ * @param {string} data     - the data to be written
+ * @returns {Promise<void>}   a Promise that resolves after the file has been replaced
+ */
+module.exports.writeFileAtomic = async function (filePath, data) {
+  const tmpPath = getTempFilePath(filePath);
+  let filehandle;
+
+  try {
+    const mode = await fsp.stat(filePath).then(
+      (stats) => stats.mode & 0o777,
+      () => 0o666
+    );
+    filehandle = await fsp.open(tmpPath, "wx", mode);
+    await filehandle.writeFile(data, "utf-8");
+    await filehandle.sync();
+    await filehandle.close();
+    filehandle = null;
+    await fsp.rename(tmpPath, filePath);
+  } catch (err) {
+    await filehandle?.close().catch(() => {});
+    await fsp.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+
+  // persist the rename itself. Directories can't be opened on every platform, so failures are ignored
+  try {
+    const dirHandle = await fsp.open(path.dirname(filePath), "r");
+    await dirHandle.sync().finally(() => dirHandle.close());
+  } catch (err) {
+    // ignored
+  }
+};
+
+/**
+ * Synchronously writes data to a file, by writing it to a temporary file which then replaces the file.
+ * The file would always contain either its previous data or the new data, even if the process crashes mid-write
+ *
+ * @param {string} filePath - the path to the file to be written
+ * @param {string} data     - the data to be written
+ */
+module.exports.writeFileAtomicSync = function (filePath, data) {
+  const tmpPath = getTempFilePath(filePath);
+  let fd;
+
+  try {
+    fd = fs.openSync(tmpPath, "wx", getFileModeSync(filePath));
+    fs.writeFileSync(fd, data, "utf-8");
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    if (fd != null) fs.closeSync(fd);
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch (err) {
+      // ignored
+    }
+    throw err;
+  }
+
+  // persist the rename itself. Directories can't be opened on every platform, so failures are ignored
+  try {
+    const dirFd = fs.openSync(path.dirname(filePath), "r");
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (err) {
+    // ignored
+  }
+};
+
+/**
+ * Asynchronously writes data to a file, by writing it to a temporary file which then replaces the file.
+ * The file would always contain either its previous data or the new data, even if the process crashes mid-write
+ *
+ * @param {string}   filePath   - the path to the file to be written
+ * @param {string}   data       - the data to be written
+ * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument
+ */
+module.exports.writeFileAtomic_c = function (filePath, data, callbackfn) {
+  const tmpPath = getTempFilePath(filePath);
+
+  fs.stat(filePath, function (_err, stats) {
+    fs.open(tmpPath, "wx", stats ? stats.mode & 0o777 : 0o666, function (err, fd) {
+      if (err) return callbackfn(err);
+
+      fs.writeFile(fd, data, { encoding: "utf-8" }, function (err) {
+        if (err) return cleanUp(fd, err);
+
+        fs.fsync(fd, function (err) {
+          if (err) return cleanUp(fd, err);
+
+          fs.close(fd, function (err) {
+            if (err) return cleanUp(null, err);
+
+            fs.rename(tmpPath, filePath, function (err) {
+              if (err) return cleanUp(null, err);
+              syncDirectory();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  // closes and removes the temporary file after a failed write
+  function cleanUp(fd, err) {
+    if (fd != null) fs.close(fd, () => fs.unlink(tmpPath, () => callbackfn(err)));
+    else fs.unlink(tmpPath, () => callbackfn(err));
+  }
+
+  // persist the rename itself. Directories can't be opened on every platform, so failures are ignored
+  function syncDirectory() {
+    fs.open(path.dirname(filePath), "r", function (err, dirFd) {
+      if (err) return callbackfn(null);
+      fs.fsync(dirFd, () => fs.close(dirFd, () => callbackfn(null)));
+    });
+  }
+};
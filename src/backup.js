@@ -0,0 +1,175 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+// gets the path to a backup of a file, the newest backup has an index of 1
+function getBackupFilePath(filePath, index) {
+  return `${filePath}.${index}.bak`;
+}
+
+// gets the path a corrupt file is moved to, so that it can still be inspected or repaired by hand
+function getCorruptFilePath(filePath) {
+  return `${filePath}.${Date.now()}.corrupt`;
+}
+
+/**
+ * Asynchronously writes a backup of a file, after rotating the existing backups so that only the newest *count* of them
+ * are kept
+ *
+ * @param {JSON}   storage  - the storage adapter the file is stored in
+ * @param {string} filePath - the path to the file that was backed up
+ * @param {string} data     - the data of the file that was backed up
+ * @param {number} count    - the number of backups to be kept
+ * @returns {Promise<void>}   a Promise that resolves after the backup was written
+ */
+module.exports.writeBackup = async function (storage, filePath, data, count) {
+  if (count < 1) return;
+
+  for (let index = count - 1; index > 0; index--) {
+    await storage.rename(getBackupFilePath(filePath, index), getBackupFilePath(filePath, index + 1));
+  }
+
+  await storage.write(getBackupFilePath(filePath, 1), data);
+};
+
+/**
+ * Synchronously writes a backup of a file, see writeBackup()
+ *
+ * @param {JSON}   storage  - the storage adapter the file is stored in
+ * @param {string} filePath - the path to the file that was backed up
+ * @param {string} data     - the data of the file that was backed up
+ * @param {number} count    - the number of backups to be kept
+ */
+module.exports.writeBackupSync = function (storage, filePath, data, count) {
+  if (count < 1) return;
+
+  for (let index = count - 1; index > 0; index--) {
+    storage.renameSync(getBackupFilePath(filePath, index), getBackupFilePath(filePath, index + 1));
+  }
+
+  storage.writeSync(getBackupFilePath(filePath, 1), data);
+};
+
+/**
+ * Asynchronously writes a backup of a file, see writeBackup()
+ *
+ * @param {JSON}     storage    - the storage adapter the file is stored in
+ * @param {string}   filePath   - the path to the file that was backed up
+ * @param {string}   data       - the data of the file that was backed up
+ * @param {number}   count      - the number of backups to be kept
+ * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument
+ */
+module.exports.writeBackup_c = function (storage, filePath, data, count, callbackfn) {
+  if (count < 1) return process.nextTick(callbackfn, null);
+
+  (function rotate(index) {
+    if (index < 1) return storage.write_c(getBackupFilePath(filePath, 1), data, callbackfn);
+
+    storage.rename_c(getBackupFilePath(filePath, index), getBackupFilePath(filePath, index + 1), function (err) {
+      if (err) callbackfn(err);
+      else rotate(index - 1);
+    });
+  })(count - 1);
+};
+
+/**
+ * Asynchronously reads the newest backup of a file that can be parsed
+ *
+ * @param {JSON}     storage  - the storage adapter the file is stored in
+ * @param {string}   filePath - the path to the file that was backed up
+ * @param {number}   count    - the number of backups that are kept
+ * @param {Function} parse    - a function that parses the data of a backup, and throws if the data is invalid
+ * @returns {Promise<JSON>}     a Promise that resolves to an object containing the backupFilePath, the data and its
+ *                              parsed value, or null if no backup can be parsed
+ */
+module.exports.readBackup = async function (storage, filePath, count, parse) {
+  for (let index = 1; index <= count; index++) {
+    const backupFilePath = getBackupFilePath(filePath, index);
+
+    try {
+      const data = await storage.read(backupFilePath);
+      if (data !== null) return { backupFilePath, data, value: parse(data) };
+    } catch (err) {
+      // the backup is also corrupt
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Synchronously reads the newest backup of a file that can be parsed, see readBackup()
+ *
+ * @param {JSON}     storage  - the storage adapter the file is stored in
+ * @param {string}   filePath - the path to the file that was backed up
+ * @param {number}   count    - the number of backups that are kept
+ * @param {Function} parse    - a function that parses the data of a backup, and throws if the data is invalid
+ * @returns {JSON}              an object containing the backupFilePath, the data and its parsed value, or null if no
+ *                              backup can be parsed
+ */
+module.exports.readBackupSync = function (storage, filePath, count, parse) {
+  for (let index = 1; index <= count; index++) {
+    const backupFilePath = getBackupFilePath(filePath, index);
+
+    try {
+      const data = storage.readSync(backupFilePath);
+      if (data !== null) return { backupFilePath, data, value: parse(data) };
+    } catch (err) {
+      // the backup is also corrupt
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Asynchronously moves a corrupt file aside, instead of deleting it
+ *
+ * @param {JSON}   storage  - the storage adapter the file is stored in
+ * @param {string} filePath - the path to the corrupt file
+ * @returns {Promise<string>} a Promise that resolves to the path the file was moved to, or null if it couldn't be moved
+ */
+module.exports.moveCorruptFile = async function (storage, filePath) {
+  const corruptFilePath = getCorruptFilePath(filePath);
+  return (await storage.rename(filePath, corruptFilePath).catch(() => false)) ? corruptFilePath : null;
+};
+
+/**
+ * Synchronously moves a corrupt file aside, instead of deleting it
+ *
+ * @param {JSON}   storage  - the storage adapter the file is stored in
+ * @param {string} filePath - the path to the corrupt file
+ * @returns {string}          the path the file was moved to, or null if it couldn't be moved
+ */
+module.exports.moveCorruptFileSync = function (storage, filePath) {
+  const corruptFilePath = getCorruptFilePath(filePath);
+
+  try {
+    return storage.renameSync(filePath, corruptFilePath) ? corruptFilePath : null;
+  } catch (err) {
+    return null;
+  }
+};
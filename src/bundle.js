@@ -0,0 +1,133 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const crypto = require("crypto");
+const Constants = require("./pref-constants");
+const { IllegalArgumentError } = require("./error");
+const { hasIn, setIn, isPlainObject, FORBIDDEN_SEGMENTS } = require("./key-path");
+const { cloneJSON } = require("./util");
+
+// identifies a settings bundle, along with the version of its layout
+const BUNDLE_FORMAT = "node-user-settings-bundle";
+const BUNDLE_VERSION = 1;
+
+// checks if a value is a segment of a key path which can be kept in a bundle
+function isKeySegment(segment) {
+  return typeof segment === "string" && !FORBIDDEN_SEGMENTS.includes(segment);
+}
+
+// computes the checksum of a file of a bundle, which covers its name, its preferences and its redacted keys
+function getChecksum(file) {
+  const content = JSON.stringify({ name: file.name, preferences: file.preferences, redactedKeys: file.redactedKeys });
+  return `sha256:${crypto.createHash("sha256").update(content).digest("hex")}`;
+}
+
+/**
+ * Checks if a name is the name of a preference file that can be kept in a bundle: a plain file name, which isn't
+ * hidden, e.g a temporary file
+ *
+ * @param {string} name - the name to be checked
+ * @returns {boolean}     true if the file can be kept in a bundle
+ */
+function isBundleFileName(name) {
+  return typeof name === "string" && name.length > 0 && !name.startsWith(".") && !/[/\\]/.test(name);
+}
+
+/**
+ * Replaces the values of keys with a placeholder, see Constants.REDACTED
+ *
+ * @param {JSON}       preferenceOb - the preference object, which isn't modified
+ * @param {string[][]} keyPaths     - the paths of the keys to be redacted
+ * @returns {JSON}                    the redacted preference object, along with the paths of the keys that were redacted
+ */
+function redactPreferences(preferenceOb, keyPaths) {
+  const preferences = cloneJSON(preferenceOb);
+  const redactedKeys = keyPaths.filter((keyPath) => hasIn(preferences, keyPath));
+
+  redactedKeys.forEach((keyPath) => setIn(preferences, keyPath, Constants.REDACTED));
+  return { preferences, redactedKeys };
+}
+
+/**
+ * Creates a settings bundle, which keeps several preference files in a single portable JSON document, along with the
+ * checksum of every file
+ *
+ * @param {JSON[]} files            - the name, the preferences and the redacted keys of every file
+ * @param {string} migrationVersion - the migration version of the preferences, or undefined if there are no migrations
+ * @returns {JSON}                    the bundle
+ */
+function createBundle(files, migrationVersion) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    migrationVersion: migrationVersion === undefined ? null : migrationVersion,
+    files: files.map((file) => ({ ...file, checksum: getChecksum(file) }))
+  };
+}
+
+/**
+ * Parses a settings bundle, and checks that none of its files were modified since it was created
+ *
+ * @param {string} data          - the data of the bundle
+ * @returns {JSON}                 the bundle
+ * @throws {IllegalArgumentError}  if the data isn't a settings bundle, or if the checksum of a file doesn't match
+ */
+function readBundle(data) {
+  let bundle;
+  try {
+    bundle = JSON.parse(data);
+  } catch (err) {
+    throw new IllegalArgumentError(`The settings bundle can't be parsed: ${err.message}`);
+  }
+
+  if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.files)) {
+    throw new IllegalArgumentError("The data isn't a settings bundle");
+  } else if (bundle.version !== BUNDLE_VERSION) {
+    throw new IllegalArgumentError(`Version ${bundle.version} of the settings bundle is not supported`);
+  } else if (bundle.migrationVersion !== null && typeof bundle.migrationVersion !== "string") {
+    throw new IllegalArgumentError("The migration version of the settings bundle is malformed");
+  }
+
+  const names = new Set();
+  bundle.files.forEach(function (file) {
+    if (!isPlainObject(file) || !isBundleFileName(file.name) || names.has(file.name)) {
+      throw new IllegalArgumentError("Every file of the settings bundle must have a unique file name");
+    } else if (!isPlainObject(file.preferences) || !Array.isArray(file.redactedKeys)) {
+      throw new IllegalArgumentError(`${file.name} of the settings bundle is malformed`);
+    } else if (!file.redactedKeys.every((keyPath) => Array.isArray(keyPath) && keyPath.every(isKeySegment))) {
+      throw new IllegalArgumentError(`The redacted keys of ${file.name} of the settings bundle are malformed`);
+    } else if (file.checksum !== getChecksum(file)) {
+      throw new IllegalArgumentError(`The checksum of ${file.name} doesn't match, the settings bundle is corrupt`);
+    }
+    names.add(file.name);
+  });
+
+  return bundle;
+}
+
+module.exports = { isBundleFileName, redactPreferences, createBundle, readBundle };
@@ -0,0 +1,311 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const fs = require("fs");
+const Constants = require("./pref-constants");
+const { validateSchema } = require("./schema");
+const { createCodecRegistry, JSON_CODEC } = require("./codecs");
+const { parseKeyPath, hasIn, getIn, isPlainObject } = require("./key-path");
+
+const USAGE = `Usage: node-user-settings <command> [arguments] [options]
+
+Commands:
+  get <key>            prints the value of a key
+  set <key> <value>    sets the value of a key. The value is parsed as JSON, e.g 42, true or {"width":800}, unless it
+                       isn't valid JSON or --string is set
+  delete <key>         deletes a key
+  list                 prints every key along with its value
+  path                 prints the path to the preference file
+  validate             checks that the preference file can be parsed, and that it matches the JSON Schema of --schema
+  export               prints the whole preference as JSON
+
+Keys are nested paths, e.g window.bounds.width. A dot that is part of a key can be escaped, e.g files\\.exclude
+
+Options:
+  --dir <directory>    the directory of the preference file
+  --app-name <name>    the name of the app, whose user data directory is used when --dir isn't set
+  --file-name <name>   the file name of the preference file, without extension. Defaults to ${Constants.FILE_NAME}
+  --file-ext <ext>     the file extension of the preference file. Defaults to ${Constants.FILE_EXT}
+  --file <path>        the path to the preference file, instead of the options above
+  --schema <path>      the path to the JSON Schema used by validate
+  --string             sets the value as a string, even if it's valid JSON
+  --json               prints machine-readable JSON
+  -h, --help           prints this help
+
+Exit codes: 0 on success, 1 if the key or the preference file is missing or invalid, 2 if the command is invalid`;
+
+const OPTIONS = {
+  dir: { type: "string" },
+  "app-name": { type: "string" },
+  "file-name": { type: "string" },
+  "file-ext": { type: "string" },
+  file: { type: "string" },
+  schema: { type: "string" },
+  string: { type: "boolean" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+// the options of OPTIONS, keyed by their short names
+const SHORT_OPTIONS = Object.freeze(
+  Object.fromEntries(
+    Object.keys(OPTIONS)
+      .filter((name) => OPTIONS[name].short)
+      .map((name) => [OPTIONS[name].short, name])
+  )
+);
+
+// the number of arguments each command takes
+const COMMANDS = Object.freeze({ get: 1, set: 2, delete: 1, list: 0, path: 0, validate: 0, export: 0 });
+
+// an error in the way the tool was used, which is reported along with the usage
+class UsageError extends Error {}
+
+// checks if a command-line argument is an option, rather than a positional. A negative number, e.g -5, is a positional
+function isOption(arg) {
+  return arg.startsWith("-") && arg !== "-" && Number.isNaN(Number(arg));
+}
+
+// parses the command-line arguments into positionals and the values of OPTIONS. A string option takes the next argument,
+// or the value after "=", as its value, and the arguments after "--" are positionals
+function parseArguments(args) {
+  const positionals = [];
+  const values = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === "--") {
+      positionals.push(...args.slice(i + 1));
+      break;
+    } else if (!isOption(arg)) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separatorIndex = arg.indexOf("=");
+    const flag = separatorIndex === -1 ? arg : arg.slice(0, separatorIndex);
+    const name = flag.startsWith("--") ? flag.slice(2) : SHORT_OPTIONS[flag.slice(1)];
+    const option = Object.prototype.hasOwnProperty.call(OPTIONS, name) ? OPTIONS[name] : null;
+
+    if (!option || (!flag.startsWith("--") && flag.length !== 2)) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    } else if (option.type === "boolean") {
+      if (separatorIndex !== -1) throw new UsageError(`${flag} doesn't take a value`);
+      values[name] = true;
+    } else if (separatorIndex !== -1) {
+      values[name] = arg.slice(separatorIndex + 1);
+    } else if (i + 1 < args.length && !isOption(args[i + 1])) {
+      values[name] = args[++i];
+    } else {
+      throw new UsageError(`${flag} requires a value`);
+    }
+  }
+
+  return { positionals, values };
+}
+
+// creates the settings of the preference file selected by the options. Values keep their types, so that JSON values can
+// be set, and keys are nested paths
+function createSettings(options) {
+  const config = { storageMode: Constants.STORAGE_MODE.TYPED, dotNotation: true };
+
+  if (options.file) return require("./index")({ ...config, preferenceFileName: path.resolve(options.file) });
+  if (!options.dir && !options["app-name"]) throw new UsageError("--dir, --app-name or --file is required");
+
+  return require("./index")({
+    ...config,
+    appName: options["app-name"],
+    preferenceFileDir: options.dir && path.resolve(options.dir),
+    fileName: options["file-name"] || Constants.FILE_NAME,
+    fileExt: (options["file-ext"] || Constants.FILE_EXT).replace(/^\./, "")
+  });
+}
+
+// parses the value of the set command as JSON, falling back to the value as a string
+function parseValue(value, isString) {
+  if (isString) return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// formats a value for a human, strings are printed as they are
+function formatValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
+
+// lists the paths to every value of a preference object, escaping the dots that are part of a key
+function flattenPreferences(preferenceOb, prefix = "", entries = []) {
+  Object.keys(preferenceOb).forEach(function (key) {
+    const keyPath = `${prefix}${key.replace(/[\\.]/g, "\\$&")}`;
+    const value = preferenceOb[key];
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) flattenPreferences(value, `${keyPath}.`, entries);
+    else entries.push({ key: keyPath, value });
+  });
+
+  return entries;
+}
+
+// reads a preference file directly, so that a missing or corrupt file is reported instead of being created or recovered.
+// Throws an error describing why the file can't be read
+function readPreferenceFile(filePath) {
+  let data;
+  try {
+    data = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    throw new Error(err.code === "ENOENT" ? `${filePath} doesn't exist` : err.message);
+  }
+
+  try {
+    return (createCodecRegistry()(path.extname(filePath)) || JSON_CODEC).parse(data);
+  } catch (err) {
+    throw new Error(`${filePath} can't be parsed: ${err.message}`);
+  }
+}
+
+// reads the values of a preference file, without the data the module records for itself. Throws an error if the file
+// can't be read, or doesn't contain an object
+function readPreferences(filePath) {
+  const preferenceOb = readPreferenceFile(filePath);
+  if (!isPlainObject(preferenceOb)) throw new Error(`${filePath} doesn't contain an object`);
+
+  const { [Constants.META_KEY]: _meta, ...userOb } = preferenceOb;
+  return userOb;
+}
+
+// checks that a preference file can be parsed, and that it matches a JSON Schema
+function validatePreferenceFile(filePath, schemaPath) {
+  let userOb;
+  try {
+    userOb = schemaPath ? readPreferences(filePath) : readPreferenceFile(filePath);
+  } catch (err) {
+    return [err.message];
+  }
+
+  return schemaPath ? validateSchema(JSON.parse(fs.readFileSync(schemaPath, "utf8")), userOb) : [];
+}
+
+/**
+ * Runs the command-line tool
+ *
+ * @param {string[]} args - the command-line arguments, without the paths to node and to the script
+ * @param {JSON}     io   - the stdout and stderr streams the output is written to
+ * @returns {Promise<number>} a Promise that resolves to the exit code
+ */
+async function run(args, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const print = (text) => stdout.write(`${text}\n`);
+  const printError = (text) => stderr.write(`${text}\n`);
+
+  let command, operands, options;
+  try {
+    const parsed = parseArguments(args);
+    [command, ...operands] = parsed.positionals;
+    options = parsed.values;
+
+    if (options.help) {
+      print(USAGE);
+      return 0;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+      throw new UsageError(command ? `Unknown command: ${command}` : "A command is required");
+    } else if (operands.length !== COMMANDS[command]) {
+      throw new UsageError(`${command} takes ${COMMANDS[command]} argument(s)`);
+    }
+  } catch (err) {
+    printError(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const settings = createSettings(options);
+    const filePath = settings.getDefaultPreferenceFilePath();
+    const [key, value] = operands;
+
+    switch (command) {
+      case "get": {
+        const userOb = readPreferences(filePath);
+        const keyPath = parseKeyPath(key, true);
+        if (!hasIn(userOb, keyPath)) {
+          printError(`${key} doesn't exist in ${filePath}`);
+          return 1;
+        }
+
+        const storedValue = getIn(userOb, keyPath);
+        print(options.json ? JSON.stringify(storedValue) : formatValue(storedValue));
+        return 0;
+      }
+      case "set":
+        if (!(await settings.setState(key, parseValue(value, options.string)))) {
+          printError(`Unable to write ${filePath}`);
+          return 1;
+        }
+        return 0;
+      case "delete":
+        if (!(await settings.hasKey(key))) {
+          printError(`${key} doesn't exist in ${filePath}`);
+          return 1;
+        }
+        return (await settings.deleteKey(key)) ? 0 : 1;
+      case "list": {
+        const entries = flattenPreferences(readPreferences(filePath));
+        if (options.json) print(JSON.stringify(entries));
+        else entries.forEach((entry) => print(`${entry.key} = ${JSON.stringify(entry.value)}`));
+        return 0;
+      }
+      case "path":
+        print(options.json ? JSON.stringify(filePath) : filePath);
+        return 0;
+      case "validate": {
+        const errors = validatePreferenceFile(filePath, options.schema);
+        if (options.json) print(JSON.stringify({ valid: errors.length === 0, errors }));
+        else if (errors.length === 0) print(`${filePath} is valid`);
+        else errors.forEach(printError);
+        return errors.length === 0 ? 0 : 1;
+      }
+      case "export":
+        print(JSON.stringify(readPreferences(filePath), null, 2));
+        return 0;
+    }
+  } catch (err) {
+    if (err instanceof UsageError) {
+      printError(`${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    printError(err.message);
+    return 1;
+  }
+}
+
+module.exports.run = run;
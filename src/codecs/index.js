@@ -0,0 +1,78 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { IllegalArgumentError } = require("../error");
+
+// the built-in codecs, keyed by the file extension they are used for
+const BUILT_IN_CODECS = Object.freeze({
+  json: require("./json"),
+  json5: require("./json5"),
+  ini: require("./ini")
+});
+
+// checks if a value implements the codec interface
+function isCodec(codec) {
+  return (
+    codec !== null && typeof codec === "object" && typeof codec.parse === "function" && typeof codec.stringify === "function"
+  );
+}
+
+/**
+ * Creates a registry of the built-in codecs, along with custom codecs
+ *
+ * A codec is an object with a parse(text) function, converting the text of a preference file to an object, and a
+ * stringify(preferenceOb) function, converting an object to the text of a preference file. parse() must throw if the
+ * text is invalid, so that the preference file is recovered
+ *
+ * @param {JSON} customCodecs - an object mapping file extensions, or format names, to custom codecs. A custom codec
+ *                              replaces the built-in codec of the same extension
+ * @returns {Function}          a function that gets the codec of a file extension or format name, or undefined if there's none
+ */
+module.exports.createCodecRegistry = function (customCodecs = {}) {
+  if (customCodecs === null || typeof customCodecs !== "object") {
+    throw new IllegalArgumentError("codecs must be an object mapping file extensions to codecs");
+  }
+
+  Object.keys(customCodecs).forEach(function (extension) {
+    if (!isCodec(customCodecs[extension])) {
+      throw new IllegalArgumentError(`The codec of ${extension} must have a parse and a stringify function`);
+    }
+  });
+
+  const codecs = { ...BUILT_IN_CODECS };
+  Object.keys(customCodecs).forEach(
+    (extension) => (codecs[extension.replace(/^\./, "").toLowerCase()] = customCodecs[extension])
+  );
+
+  return function (extension) {
+    const key = `${extension}`.replace(/^\./, "").toLowerCase();
+    return Object.prototype.hasOwnProperty.call(codecs, key) ? codecs[key] : undefined;
+  };
+};
+
+module.exports.isCodec = isCodec;
+module.exports.JSON_CODEC = BUILT_IN_CODECS.json;
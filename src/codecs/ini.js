@@ -0,0 +1,132 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { isPlainObject } = require("../key-path");
+
+// strings that would be read back as another type, or would lose characters, if they were written unquoted
+const AMBIGUOUS_STRING = /^(?:true|false|null|-?\d.*|[\s"'[{;#].*|.*\s)$|^$/;
+// keys and section name segments that have to be quoted
+const AMBIGUOUS_KEY = /^(?:[\s"';#[].*|.*[=\]\s.].*)$|^$/;
+
+// sets a key of an object, a "__proto__" key is kept as a value instead of replacing the prototype
+function define(ob, key, value) {
+  Object.defineProperty(ob, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function stringifyKey(key) {
+  return AMBIGUOUS_KEY.test(key) ? JSON.stringify(key) : key;
+}
+
+function stringifyValue(value) {
+  return typeof value === "string" && !AMBIGUOUS_STRING.test(value) ? value : JSON.stringify(value);
+}
+
+function parseValue(text) {
+  if (/^["[{]|^(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)$/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      // a string that only looks like JSON
+    }
+  }
+  return text;
+}
+
+// parses a key or a section name segment, which is either quoted or written as it is
+function parseKey(text, lineNumber) {
+  if (!text.startsWith('"')) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new SyntaxError(`Invalid quoted key ${text} at line ${lineNumber}`);
+  }
+}
+
+// splits a section name into its segments, at the dots that are not part of a quoted segment
+function parseSectionName(text, lineNumber) {
+  const segments = text.match(/"(?:[^"\\]|\\.)*"|[^."]+/g) || [];
+  if (segments.join(".") !== text) throw new SyntaxError(`Invalid section name [${text}] at line ${lineNumber}`);
+  return segments.map((segment) => parseKey(segment.trim(), lineNumber));
+}
+
+function parse(text) {
+  const preferenceOb = {};
+  let section = preferenceOb;
+
+  text.split(/\r?\n/).forEach(function (rawLine, index) {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    if (line === "" || line.startsWith(";") || line.startsWith("#")) return;
+
+    if (line.startsWith("[")) {
+      if (!line.endsWith("]")) throw new SyntaxError(`Unterminated section name at line ${lineNumber}`);
+
+      section = preferenceOb;
+      parseSectionName(line.slice(1, -1).trim(), lineNumber).forEach(function (segment) {
+        if (!Object.prototype.hasOwnProperty.call(section, segment)) define(section, segment, {});
+        if (!isPlainObject(section[segment])) throw new SyntaxError(`${segment} is not a section at line ${lineNumber}`);
+        section = section[segment];
+      });
+      return;
+    }
+
+    const match = /^("(?:[^"\\]|\\.)*"|[^=]*?)\s*=\s*(.*)$/.exec(line);
+    if (!match || match[1] === "") throw new SyntaxError(`Expected a key and a value at line ${lineNumber}`);
+    define(section, parseKey(match[1], lineNumber), parseValue(match[2]));
+  });
+
+  return preferenceOb;
+}
+
+function stringify(preferenceOb) {
+  const lines = [];
+
+  (function writeSection(ob, sectionPath) {
+    const keys = Object.keys(ob);
+    const valueKeys = keys.filter((key) => !isPlainObject(ob[key]));
+    const sectionKeys = keys.filter((key) => isPlainObject(ob[key]));
+
+    // an empty section is still written, so that it's read back as an empty object
+    if (sectionPath.length > 0 && (valueKeys.length > 0 || sectionKeys.length === 0)) {
+      if (lines.length > 0) lines.push("");
+      lines.push(`[${sectionPath.map(stringifyKey).join(".")}]`);
+    }
+
+    valueKeys.forEach((key) => lines.push(`${stringifyKey(key)} = ${stringifyValue(ob[key])}`));
+    sectionKeys.forEach((key) => writeSection(ob[key], [...sectionPath, key]));
+  })(preferenceOb, []);
+
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+/**
+ * A codec reading and writing preference files as INI. Nested objects are written as sections, with the keys of
+ * their parents separated by dots, e.g [window.bounds]. Values that are not strings, and strings that would be read
+ * back as another type, are written as JSON. Lines starting with ";" or "#" are comments, which are lost after a write
+ */
+module.exports = Object.freeze({ name: "ini", parse, stringify });
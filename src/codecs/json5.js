@@ -0,0 +1,210 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const ID_START = /[$_\p{ID_Start}]/u;
+const ID_CONTINUE = /[$_\u200C\u200D\p{ID_Continue}]/u;
+const LINE_TERMINATORS = ["\n", "\r", "\u2028", "\u2029"];
+const ESCAPES = Object.freeze({ b: "\b", f: "\f", n: "\n", r: "\r", t: "\t", v: "\v" });
+
+// parses JSON5 text, see https://spec.json5.org
+function parse(text) {
+  let position = 0;
+
+  const value = parseValue();
+  skipWhitespace();
+  if (position < text.length) fail();
+  return value;
+
+  // throws a SyntaxError pointing at the current position
+  function fail(message) {
+    const lines = text.slice(0, position).split("\n");
+    const at = `line ${lines.length}, column ${lines[lines.length - 1].length + 1}`;
+    if (message) throw new SyntaxError(`${message} at ${at}`);
+
+    const char = text[position];
+    throw new SyntaxError(char === undefined ? `Unexpected end of JSON5 input at ${at}` : `Unexpected "${char}" at ${at}`);
+  }
+
+  // skips whitespace and comments
+  function skipWhitespace() {
+    while (position < text.length) {
+      if (/[\s\uFEFF]/.test(text[position])) {
+        position++;
+      } else if (text.startsWith("//", position)) {
+        while (position < text.length && !LINE_TERMINATORS.includes(text[position])) position++;
+      } else if (text.startsWith("/*", position)) {
+        const end = text.indexOf("*/", position + 2);
+        if (end < 0) fail("Unterminated comment");
+        position = end + 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  function parseValue() {
+    skipWhitespace();
+    const char = text[position];
+
+    if (char === "{") return parseObject();
+    if (char === "[") return parseArray();
+    if (char === '"' || char === "'") return parseString();
+    if (char !== undefined && /[0-9+\-.IN]/.test(char)) return parseNumber();
+
+    for (const [literal, literalValue] of [
+      ["true", true],
+      ["false", false],
+      ["null", null]
+    ]) {
+      if (text.startsWith(literal, position) && !ID_CONTINUE.test(text[position + literal.length] || "")) {
+        position += literal.length;
+        return literalValue;
+      }
+    }
+
+    fail();
+  }
+
+  function parseObject() {
+    const ob = {};
+    position++;
+
+    for (;;) {
+      skipWhitespace();
+      if (text[position] === "}") break;
+
+      const key = text[position] === '"' || text[position] === "'" ? parseString() : parseIdentifier();
+      skipWhitespace();
+      if (text[position] !== ":") fail();
+      position++;
+
+      // defined, so that a "__proto__" key is kept as a value instead of replacing the prototype
+      Object.defineProperty(ob, key, { value: parseValue(), writable: true, enumerable: true, configurable: true });
+
+      skipWhitespace();
+      if (text[position] === ",") position++;
+      else if (text[position] !== "}") fail();
+    }
+
+    position++;
+    return ob;
+  }
+
+  function parseArray() {
+    const array = [];
+    position++;
+
+    for (;;) {
+      skipWhitespace();
+      if (text[position] === "]") break;
+
+      array.push(parseValue());
+
+      skipWhitespace();
+      if (text[position] === ",") position++;
+      else if (text[position] !== "]") fail();
+    }
+
+    position++;
+    return array;
+  }
+
+  function parseIdentifier() {
+    const start = position;
+    if (!ID_START.test(String.fromCodePoint(text.codePointAt(position) || 0))) fail();
+
+    while (position < text.length) {
+      const char = String.fromCodePoint(text.codePointAt(position));
+      if (!ID_CONTINUE.test(char)) break;
+      position += char.length;
+    }
+
+    return text.slice(start, position);
+  }
+
+  function parseString() {
+    const quote = text[position++];
+    let string = "";
+
+    for (;;) {
+      const char = text[position++];
+
+      if (char === quote) return string;
+      if (char === undefined || char === "\n" || char === "\r") fail("Unterminated string");
+      if (char !== "\\") {
+        string += char;
+        continue;
+      }
+
+      const escaped = text[position++];
+      if (escaped === undefined) fail("Unterminated string");
+
+      if (ESCAPES[escaped] !== undefined) {
+        string += ESCAPES[escaped];
+      } else if (escaped === "0" && !/[0-9]/.test(text[position] || "")) {
+        string += "\0";
+      } else if (escaped === "x" || escaped === "u") {
+        const length = escaped === "x" ? 2 : 4;
+        const hex = text.slice(position, position + length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) fail("Invalid escape sequence");
+        string += String.fromCharCode(parseInt(hex, 16));
+        position += length;
+      } else if (escaped === "\r") {
+        // a line continuation, the line terminator is not part of the string
+        if (text[position] === "\n") position++;
+      } else if (/[1-9]/.test(escaped)) {
+        fail("Invalid escape sequence");
+      } else if (!LINE_TERMINATORS.includes(escaped)) {
+        string += escaped;
+      }
+    }
+  }
+
+  function parseNumber() {
+    const match = /^[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(text.slice(position));
+    if (!match || ID_CONTINUE.test(text[position + match[0].length] || "")) fail();
+    position += match[0].length;
+
+    const sign = match[0][0] === "-" ? -1 : 1;
+    const unsigned = match[0].replace(/^[+-]/, "");
+    if (unsigned === "Infinity") return sign * Infinity;
+    if (unsigned === "NaN") return NaN;
+    if (/^0[xX]/.test(unsigned)) return sign * parseInt(unsigned, 16);
+    return sign * Number(unsigned);
+  }
+}
+
+/**
+ * A codec reading preference files as JSON5, a superset of JSON that allows comments, trailing commas, unquoted keys
+ * and single-quoted strings, so that the files can be edited by hand. Files are written as indented JSON, which is
+ * also valid JSON5, so comments are lost after a write
+ */
+module.exports = Object.freeze({
+  name: "json5",
+  parse,
+  stringify: (preferenceOb) => JSON.stringify(preferenceOb, null, 2)
+});
@@ -0,0 +1,129 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+// returned by a coercion when a value can't be converted to its type
+const INVALID = Symbol("invalid");
+
+/**
+ * Checks if a persisted value stands for a missing value. In string mode, undefined and null are persisted as the
+ * strings "undefined" and "null"
+ *
+ * @param {*} value - the persisted value
+ * @returns {boolean} true if the value is missing
+ */
+function isMissingValue(value) {
+  return value === undefined || value === null || value === "undefined" || value === "null";
+}
+
+/**
+ * Converts a persisted value to a finite number, e.g "42" or "-1.5"
+ *
+ * @param {*} value - the persisted value
+ * @returns {number} the number, or INVALID
+ */
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : INVALID;
+  if (typeof value !== "string" || value.trim().length === 0) return INVALID;
+
+  const number = Number(value.trim());
+  return Number.isFinite(number) ? number : INVALID;
+}
+
+/**
+ * Converts a persisted value to an integer, see toNumber()
+ *
+ * @param {*} value - the persisted value
+ * @returns {number} the integer, or INVALID
+ */
+function toInteger(value) {
+  const number = toNumber(value);
+  return Number.isInteger(number) ? number : INVALID;
+}
+
+/**
+ * Converts a persisted value to a boolean. true, "true" and 1 are true, while false, "false" and 0 are false. Strings
+ * are compared regardless of their case
+ *
+ * @param {*} value - the persisted value
+ * @returns {boolean} the boolean, or INVALID
+ */
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (typeof value !== "string" && typeof value !== "number") return INVALID;
+
+  const text = `${value}`.trim().toLowerCase();
+  if (text === "true" || text === "1") return true;
+  return text === "false" || text === "0" ? false : INVALID;
+}
+
+/**
+ * Converts a persisted value to the value of the JSON it holds. A value that isn't a string, e.g an object persisted in
+ * typed mode, is already a JSON value
+ *
+ * @param {*} value - the persisted value
+ * @returns {*}       the JSON value, or INVALID
+ */
+function toJSON(value) {
+  if (typeof value !== "string") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return INVALID;
+  }
+}
+
+/**
+ * Converts a persisted value to a Date, from a date string, e.g an ISO 8601 date, or from a number of milliseconds
+ * since the epoch. A string of digits is a date string, e.g "2024" is the start of that year, as only numbers are
+ * milliseconds since the epoch
+ *
+ * @param {*} value - the persisted value
+ * @returns {Date}    the Date, or INVALID
+ */
+function toDate(value) {
+  if (typeof value !== "string" && typeof value !== "number") return INVALID;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? INVALID : date;
+}
+
+/**
+ * Creates the conversion of a persisted value to one of a set of values. A value persisted in string mode is compared
+ * with the string form of the values
+ *
+ * @param {Array} values - the values the persisted value can be converted to
+ * @returns {Function}     the conversion, returning one of the values, or INVALID
+ */
+function toEnum(values) {
+  return function (value) {
+    const index = values.findIndex((enumValue) => enumValue === value || `${enumValue}` === `${value}`);
+    return index === -1 ? INVALID : values[`${index}`];
+  };
+}
+
+module.exports = { INVALID, isMissingValue, toNumber, toInteger, toBoolean, toJSON, toDate, toEnum };
@@ -0,0 +1,147 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const crypto = require("crypto");
+const { IllegalArgumentError, DecryptionError } = require("./error");
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+// the length of the authentication tag in bytes. A shorter tag would be easier to forge
+const TAG_LENGTH = 16;
+// the key of the object that holds an encrypted value in a preference file
+const ENVELOPE_KEY = "__encrypted__";
+
+// checks if a value is an encrypted value, as written by encrypt()
+function isEnvelope(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.keys(value).length === 1 &&
+    value[ENVELOPE_KEY] !== null &&
+    typeof value[ENVELOPE_KEY] === "object"
+  );
+}
+
+// converts an encryption key, given as a Buffer or a hex string, to a Buffer
+function toKeyBuffer(key) {
+  const buffer = Buffer.isBuffer(key)
+    ? key
+    : typeof key === "string" && /^[0-9a-f]+$/i.test(key)
+    ? Buffer.from(key, "hex")
+    : null;
+
+  if (!buffer || buffer.length !== KEY_LENGTH) {
+    throw new IllegalArgumentError(
+      `The encryption key must be a ${KEY_LENGTH}-byte Buffer or a ${KEY_LENGTH * 2}-character hex string`
+    );
+  }
+
+  return buffer;
+}
+
+/**
+ * Creates a cipher encrypting values with AES-256-GCM, using either a key, or a key derived from a passphrase with
+ * scrypt. Every encrypted value has its own IV, and the authentication tag detects a wrong key or tampered data
+ *
+ * @param {JSON}            options            - the options of the cipher
+ * @param {Buffer | string} options.key        - a 32-byte key, as a Buffer or a hex string
+ * @param {string}          options.passphrase - a passphrase the key is derived from, when no key is given
+ * @returns {JSON}                               the cipher, with the encrypt, decrypt and isEnvelope functions
+ */
+module.exports.createCipher = function ({ key, passphrase }) {
+  if ((key === undefined) === (passphrase === undefined)) {
+    throw new IllegalArgumentError("Either an encryption key or a passphrase must be specified");
+  } else if (passphrase !== undefined && (typeof passphrase !== "string" || passphrase.length === 0)) {
+    throw new IllegalArgumentError("The encryption passphrase must be a non-empty string");
+  }
+
+  const keyBuffer = key === undefined ? null : toKeyBuffer(key);
+  // keys derived from the passphrase, keyed by their salt, since deriving a key is slow on purpose
+  const derivedKeys = new Map();
+  // the salt of the values encrypted by this cipher, values written by other processes could use other salts
+  const salt = passphrase === undefined ? null : crypto.randomBytes(SALT_LENGTH).toString("base64");
+
+  function getKey(saltOfValue) {
+    if (keyBuffer) return keyBuffer;
+    if (typeof saltOfValue !== "string") throw new DecryptionError("The encrypted value has no salt to derive its key");
+
+    if (!derivedKeys.has(saltOfValue)) {
+      derivedKeys.set(saltOfValue, crypto.scryptSync(passphrase, Buffer.from(saltOfValue, "base64"), KEY_LENGTH));
+    }
+    return derivedKeys.get(saltOfValue);
+  }
+
+  /**
+   * Encrypts a string
+   *
+   * @param {string} plaintext - the string to be encrypted
+   * @returns {JSON}             an object holding the encrypted string, which can be persisted as JSON
+   */
+  function encrypt(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(salt), iv, { authTagLength: TAG_LENGTH });
+    const data = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+    const envelope = {
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64")
+    };
+    if (salt) envelope.salt = salt;
+
+    return { [ENVELOPE_KEY]: envelope };
+  }
+
+  /**
+   * Decrypts a value encrypted by encrypt()
+   *
+   * @param {JSON} value       - the object holding the encrypted string
+   * @returns {string}           the decrypted string
+   * @throws {DecryptionError}   if the key is wrong, or the value was tampered with
+   */
+  function decrypt(value) {
+    const envelope = value[ENVELOPE_KEY];
+
+    try {
+      const iv = Buffer.from(envelope.iv, "base64");
+      const tag = Buffer.from(envelope.tag, "base64");
+      // a truncated tag would still authenticate the value, against fewer bits
+      if (tag.length !== TAG_LENGTH) throw new Error(`The authentication tag must be ${TAG_LENGTH} bytes long`);
+
+      const decipher = crypto.createDecipheriv(ALGORITHM, getKey(envelope.salt), iv, { authTagLength: TAG_LENGTH });
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]).toString("utf8");
+    } catch (err) {
+      if (err instanceof DecryptionError) throw err;
+      throw new DecryptionError("Unable to decrypt the preference, the key is wrong or the data was tampered with");
+    }
+  }
+
+  return Object.freeze({ encrypt, decrypt, isEnvelope });
+};
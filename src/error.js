@@ -65,4 +65,14 @@ class UnModifiableStateError extends Error {
   }
 }
 
-module.exports = { InitializationError, IllegalStateError, IllegalArgumentError, UnModifiableStateError };
+/**
+ * Error while decrypting preference
+ */
+class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = { InitializationError, IllegalStateError, IllegalArgumentError, UnModifiableStateError, DecryptionError };
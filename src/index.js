@@ -25,29 +25,395 @@
 
 "use-strict";
 
-// const fileLocker = require("proper-lockfile");
 const path = require("path");
-const fsp = require("fs/promises");
 const fs = require("fs");
+const { EventEmitter } = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
 const Constants = require("./pref-constants");
-const { checkArgs, checkArgsP } = require("./util");
-const { InitializationError, IllegalStateError, IllegalArgumentError, UnModifiableStateError } = require("./error");
+const { checkArgs, checkArgsP, toCallback, cloneJSON, isDeepEqual, mergeDefaults } = require("./util");
+const { validateSchema, validateSchemaChanges, getSchemaDefaults, compileSchema } = require("./schema");
+const { sortMigrations, runMigrations, compareVersions } = require("./migrations");
+const { createCipher } = require("./encryption");
+const { writeBackup, writeBackupSync, writeBackup_c, readBackup, readBackupSync } = require("./backup");
+const { moveCorruptFile, moveCorruptFileSync } = require("./backup");
+const { createCodecRegistry, isCodec, JSON_CODEC } = require("./codecs");
+const { parseKeyPath, hasIn, getIn, setIn, deleteIn, isPlainObject } = require("./key-path");
+const { checkStorageAdapter, createFileSystemAdapter } = require("./storage");
+const { getUserDataDirectory, getElectronUserDataDirectory } = require("./app-directory");
+const { checkLayers, getEnvironmentValues } = require("./layers");
+const { mergePreferences } = require("./merge");
+const { isBundleFileName, redactPreferences, createBundle, readBundle } = require("./bundle");
+const { createSensitiveKeyMasker } = require("./sensitive");
+const { INVALID, isMissingValue, toNumber, toInteger, toBoolean, toJSON, toDate, toEnum } = require("./coerce");
+const {
+  InitializationError,
+  IllegalStateError,
+  IllegalArgumentError,
+  UnModifiableStateError,
+  DecryptionError
+} = require("./error");
 
 function __exports(config = {}) {
-  let { preferenceFileDir, preferenceFileName, fileName, fileExt } = config;
+  let {
+    appName,
+    preferenceFileDir,
+    preferenceFileName,
+    fileName,
+    fileExt,
+    storageMode = Constants.STORAGE_MODE.STRING,
+    dotNotation = false,
+    pruneEmptyParents = false,
+    locking = true,
+    lockTimeout = Constants.RETRY_TIMEOUT,
+    staleLockTimeout = Constants.STALE_LOCK_TIMEOUT,
+    cacheMode = Constants.CACHE_MODE.NONE,
+    writeBehindDelay = Constants.WRITE_BEHIND_DELAY,
+    watch: shouldWatch = false,
+    watchInterval = Constants.WATCH_INTERVAL,
+    watchDebounce = Constants.WATCH_DEBOUNCE,
+    mergeStrategy = Constants.MERGE_STRATEGY.OURS,
+    schema,
+    defaults,
+    migrations,
+    encryptionKey,
+    encryptionPassphrase,
+    secretKeys,
+    allowPlaintext = false,
+    sensitiveKeys = [],
+    strictCoercion = false,
+    backupCount = Constants.BACKUP_COUNT,
+    format,
+    codecs,
+    layers,
+    profile = null,
+    storage = createFileSystemAdapter()
+  } = config;
 
   let defaultPreferenceFilePath, optionalPreferenceFilePath;
+  // true if the default path to the preference file was resolved from the user data directory of the app, in which case
+  // it can still be replaced using setDefaultPreferenceFilePath()
+  let isUserDataPath = false;
+  // the profile whose preference file is used by every call without an optional filename, or null for the default
+  // preference file
+  let activeProfile = profile;
 
-  if ((preferenceFileDir && preferenceFileName) || (preferenceFileDir && fileName && fileExt)) {
-    defaultPreferenceFilePath = path.join(
-      preferenceFileDir,
-      preferenceFileName ? preferenceFileName : `${fileName}.${fileExt || Constants.FILE_EXT}`
-    );
-  } else if (!preferenceFileDir && preferenceFileName) {
-    setDefaultPreferenceFilePath(preferenceFileName);
+  if (profile !== null) checkProfileName(profile);
+
+  if (appName !== undefined && (typeof appName !== "string" || appName.length === 0)) {
+    throw new IllegalArgumentError(`${appName} is not a valid app name`);
+  }
+
+  if (!Object.values(Constants.STORAGE_MODE).includes(storageMode)) {
+    throw new IllegalArgumentError(`${storageMode} is not a valid storage mode`);
+  }
+
+  if (!Object.values(Constants.CACHE_MODE).includes(cacheMode)) {
+    throw new IllegalArgumentError(`${cacheMode} is not a valid cache mode`);
+  }
+
+  if (typeof mergeStrategy !== "function" && !Object.values(Constants.MERGE_STRATEGY).includes(mergeStrategy)) {
+    throw new IllegalArgumentError(`${mergeStrategy} is not a valid merge strategy`);
+  }
+
+  if (schema !== undefined && typeof schema !== "boolean" && (schema === null || typeof schema !== "object")) {
+    throw new IllegalArgumentError("schema must be a JSON Schema object");
+  }
+
+  if (schema !== undefined) {
+    // the schema describes the values as they are persisted, which are all strings in string mode
+    if (storageMode !== Constants.STORAGE_MODE.TYPED) {
+      throw new IllegalArgumentError("schema requires the typed storage mode");
+    }
+
+    compileSchema(schema);
+  }
+
+  if (defaults !== undefined && !isPlainObject(defaults)) {
+    throw new IllegalArgumentError("defaults must be an object");
+  }
+
+  const migrationVersions = migrations === undefined ? [] : sortMigrations(migrations);
+  // the version every preference file is migrated to
+  const currentVersion = migrationVersions[migrationVersions.length - 1];
+
+  if (secretKeys !== undefined && !Array.isArray(secretKeys)) {
+    throw new IllegalArgumentError("secretKeys must be an array of keys");
+  }
+
+  const isEncrypting = encryptionKey !== undefined || encryptionPassphrase !== undefined;
+  const cipher = isEncrypting ? createCipher({ key: encryptionKey, passphrase: encryptionPassphrase }) : null;
+
+  if (secretKeys !== undefined && !isEncrypting) {
+    throw new IllegalArgumentError("secretKeys requires an encryptionKey or an encryptionPassphrase");
+  }
+
+  const secretKeyPaths = secretKeys === undefined ? null : secretKeys.map(toKeyPath);
+
+  if (!Array.isArray(sensitiveKeys)) {
+    throw new IllegalArgumentError("sensitiveKeys must be an array of keys or key patterns");
+  }
+
+  // the values of the sensitive keys, and of the secret keys, are masked in every output meant to be read by people
+  const masker = createSensitiveKeyMasker(sensitiveKeys.map(toKeyPath).concat(secretKeyPaths || []));
+
+  if (!Number.isInteger(backupCount) || backupCount < 0) {
+    throw new IllegalArgumentError(`${backupCount} is not a valid number of backups`);
+  }
+
+  const getCodecOfExtension = createCodecRegistry(codecs);
+  // the codec of every preference file, if one was specified. Otherwise, it's picked from the file extension
+  const formatCodec = format === undefined ? null : isCodec(format) ? format : getCodecOfExtension(format);
+
+  if (format !== undefined && !formatCodec) {
+    throw new IllegalArgumentError(`${format} is not a known format or a valid codec`);
+  }
+
+  checkStorageAdapter(storage);
+
+  const isTypedStorage = storageMode === Constants.STORAGE_MODE.TYPED;
+  const isCaching = cacheMode !== Constants.CACHE_MODE.NONE;
+  const isWriteBehind = cacheMode === Constants.CACHE_MODE.WRITE_BEHIND;
+  // storage adapters that can't lock a preference file are never locked
+  const isLocking = locking && typeof storage.lock === "function";
+  const lockOptions = { timeout: lockTimeout, stale: staleLockTimeout };
+  // the defaults object takes precedence over the defaults declared in the schema
+  const allDefaults = mergeDefaults(schema === undefined ? undefined : getSchemaDefaults(schema), cloneJSON(defaults));
+
+  if (layers !== undefined) checkLayers(layers);
+  // the layers values are read from, from the lowest precedence to the highest. Without layers, there's only the
+  // preference file
+  const allLayers = layers === undefined ? [{ name: Constants.PREFERENCE_FILE_LAYER }] : layers;
+  // the values of every layer, except the preference file, are read once, when the module is created
+  const layerValues = allLayers.map(readLayer);
+  const preferenceFileLayerIndex = layerValues.indexOf(null);
+  // the layers below the preference file fill its missing keys, after the defaults. The layers above it override its keys
+  const lowerLayersOb = layerValues.slice(0, preferenceFileLayerIndex).reduce(mergeDefaults, allDefaults);
+  const upperLayersOb = layerValues.slice(preferenceFileLayerIndex + 1).reduce(mergeDefaults, undefined);
+  // modifications waiting to be written, keyed by the path to the preference file
+  const writeQueues = new Map();
+  // parsed preference files, keyed by the path to the preference file
+  const preferenceCache = new Map();
+  // the last version of each preference file that listeners were notified about, keyed by the path to the preference file
+  const knownPreferences = new Map();
+  // the last version of each preference file that was read or written by this process, along with its version token,
+  // which external changes are merged against, keyed by the path to the preference file
+  const storedPreferences = new Map();
+  // file watchers, keyed by the path to the watched preference file
+  const watchers = new Map();
+  // listeners of changes to specific keys
+  const keyListeners = new Set();
+  const emitter = new EventEmitter();
+  // the transactions running in the current asynchronous context, so that a write waiting for the transaction it's made
+  // in, which would never complete, is rejected instead, see transaction()
+  const runningTransactions = new AsyncLocalStorage();
+
+  // without a directory, preference files are kept in the user data directory of the app, unless preferenceFileName is
+  // a path on its own. Electron apps already know their user data directory, which is only resolved when a preference
+  // file is first used, as the default module is created as soon as this module is required, and the app can still
+  // change the directory after that, e.g using app.setPath("userData")
+  let isElectronUserDataPathPending = !preferenceFileDir && appName === undefined && !preferenceFileName;
+
+  if (!preferenceFileDir && appName !== undefined) useUserDataDirectory(getUserDataDirectory(appName));
+  if (!isElectronUserDataPathPending) resolveDefaultPreferenceFilePath();
+
+  // keeps the preference files in a user data directory, if there's one
+  function useUserDataDirectory(directory) {
+    preferenceFileDir = directory;
+    isUserDataPath = !!preferenceFileDir;
+
+    if (isUserDataPath && !preferenceFileName) {
+      fileName = fileName || Constants.FILE_NAME;
+      fileExt = fileExt || Constants.FILE_EXT;
+    }
+  }
+
+  // resolves the default path to the preference file from the options
+  function resolveDefaultPreferenceFilePath() {
+    if ((preferenceFileDir && preferenceFileName) || (preferenceFileDir && fileName && fileExt)) {
+      defaultPreferenceFilePath = path.join(
+        preferenceFileDir,
+        preferenceFileName ? preferenceFileName : `${fileName}.${fileExt || Constants.FILE_EXT}`
+      );
+    } else if (!preferenceFileDir && preferenceFileName) {
+      setDefaultPreferenceFilePath(preferenceFileName);
+    }
+  }
+
+  // resolves the default path to the preference file from the user data directory of the Electron app, if it wasn't
+  // resolved yet, see above
+  function resolveElectronUserDataPath() {
+    if (!isElectronUserDataPathPending) return;
+
+    isElectronUserDataPathPending = false;
+    useUserDataDirectory(getElectronUserDataDirectory());
+    resolveDefaultPreferenceFilePath();
+  }
+
+  // converts a value to the form in which it would be persisted. In string mode, every value is persisted as a string
+  function toStoredValue(value) {
+    return isTypedStorage ? value : `${value}`;
+  }
+
+  // converts a persisted value to the form in which it would be retrieved. In string mode, every value is retrieved as a
+  // string, even if it was persisted by a typed storage, so that older preference files still read correctly.
+  // Typed values are copied, so that the caller can't modify a cached preference object through them
+  function fromStoredValue(value) {
+    return isTypedStorage ? cloneJSON(value) : `${value}`;
+  }
+
+  // gets the value of a key from a preference object, or *defaultValue* if the key has never been set. In typed mode,
+  // the default value is returned as it was given, so that a value JSON can't represent, e.g a Date, isn't changed
+  function getStoredValue(preferenceOb, keyPath, defaultValue) {
+    if (hasIn(preferenceOb, keyPath)) return fromStoredValue(getIn(preferenceOb, keyPath));
+    return isTypedStorage ? defaultValue : `${defaultValue}`;
+  }
+
+  // removes the data the module records for itself from a preference object, for reading
+  function withoutMeta(preferenceOb) {
+    if (!Object.prototype.hasOwnProperty.call(preferenceOb, Constants.META_KEY)) return preferenceOb;
+
+    const { [Constants.META_KEY]: _meta, ...userOb } = preferenceOb;
+    return userOb;
+  }
+
+  // records the current migration version in a preference object that is about to be written
+  function withVersion(preferenceOb) {
+    if (currentVersion === undefined) return preferenceOb;
+    return { ...preferenceOb, [Constants.META_KEY]: { ...preferenceOb[Constants.META_KEY], version: currentVersion } };
+  }
+
+  // fills the keys missing from a preference object with the defaults, and with the layers below the preference file
+  function withDefaults(preferenceOb) {
+    const userOb = withoutMeta(preferenceOb);
+    return lowerLayersOb === undefined ? userOb : mergeDefaults(lowerLayersOb, userOb);
+  }
+
+  // fills the keys missing from a preference object with its defaults, and overrides its keys with the layers above the
+  // preference file, for reading
+  function withLayers(preferenceOb) {
+    const filledOb = withDefaults(preferenceOb);
+    return upperLayersOb === undefined ? filledOb : mergeDefaults(filledOb, upperLayersOb);
+  }
+
+  // reads the values of a layer, or returns null if it's the layer of the preference file
+  function readLayer(layer) {
+    if (layer.values !== undefined) return cloneJSON(layer.values);
+    if (layer.envPrefix !== undefined) return getEnvironmentValues(process.env, layer.envPrefix, parseEnvironmentValue);
+    if (layer.filePath === undefined) return null;
+
+    const data = storage.readSync(layer.filePath);
+    // a layer file that doesn't exist has no values, e.g a system file that an administrator never created
+    if (data === null) return {};
+
+    let layerOb;
+    try {
+      layerOb = getCodec(layer.filePath).parse(data);
+    } catch (err) {
+      throw new IllegalStateError(`The ${layer.name} layer, ${layer.filePath}, can't be parsed: ${err.message}`);
+    }
+
+    // layer files are written by other tools, e.g by administrators, so their values don't have to be encrypted
+    return withoutMeta(decodePreferences(layerOb, true));
+  }
+
+  // converts the value of an environment variable to the value of its key. Typed storages parse the value as JSON, e.g
+  // 42 or true, unless it isn't valid JSON
+  function parseEnvironmentValue(value) {
+    if (!isTypedStorage) return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+
+  // throws an IllegalArgumentError if a preference object, along with its defaults, doesn't match the schema. The layers
+  // above the preference file aren't validated, since they are never written.
+  // With *previousOb*, the version the preference object was modified from, only the changes are validated
+  function validatePreferences(preferenceOb, previousOb) {
+    if (schema === undefined) return;
+
+    const errors =
+      previousOb === undefined
+        ? validateSchema(schema, withDefaults(preferenceOb))
+        : validateSchemaChanges(schema, withDefaults(preferenceOb), withDefaults(previousOb));
+    if (errors.length > 0) throw new IllegalArgumentError(`The preference doesn't match its schema: ${errors.join("; ")}`);
+  }
+
+  // splits a key into the segments of its path
+  function toKeyPath(key) {
+    return parseKeyPath(key, dotNotation);
+  }
+
+  // gets the codec used to read and write a preference file, JSON is used for unknown file extensions
+  function getCodec(filePath) {
+    return formatCodec || getCodecOfExtension(path.extname(filePath)) || JSON_CODEC;
+  }
+
+  // converts a preference object to the data written to the preference file. Either the whole preference object, or only
+  // the values of the secret keys, are encrypted
+  function encodePreferences(filePath, preferenceOb) {
+    const codec = getCodec(filePath);
+    if (!isEncrypting) return codec.stringify(preferenceOb);
+    if (!secretKeyPaths) return codec.stringify(cipher.encrypt(JSON.stringify(preferenceOb)));
+
+    const encodedOb = cloneJSON(preferenceOb);
+    secretKeyPaths.forEach(function (keyPath) {
+      if (hasIn(encodedOb, keyPath)) setIn(encodedOb, keyPath, cipher.encrypt(JSON.stringify(getIn(encodedOb, keyPath))));
+    });
+
+    return codec.stringify(encodedOb);
   }
 
-  function getPreferenceFilePath(optionalFileName) {
+  // parses the data of a preference file, and decrypts its encrypted values. Throws a SyntaxError, or another error
+  // thrown by the codec, if the data is corrupt
+  function parsePreferences(filePath, data) {
+    return decodePreferences(parseData(filePath, data));
+  }
+
+  // parses the data of a preference file. Throws a SyntaxError, or another error thrown by the codec, if the data is
+  // corrupt, which includes data that parses to something other than an object, e.g null or []
+  function parseData(filePath, data) {
+    const preferenceOb = getCodec(filePath).parse(data);
+    if (!isPlainObject(preferenceOb)) throw new SyntaxError(`${filePath} doesn't contain an object`);
+    return preferenceOb;
+  }
+
+  // decrypts a parsed preference file, which is either encrypted as a whole, or has encrypted values for the secret keys.
+  // Unencrypted data is only read if *isPlaintextAllowed*, as anyone who can write the file could replace the encrypted
+  // data with their own otherwise. Throws a DecryptionError if the data isn't encrypted, or can't be decrypted
+  function decodePreferences(value, isPlaintextAllowed = allowPlaintext) {
+    if (!isEncrypting || value === null || typeof value !== "object") return value;
+    if (isPlaintextAllowed) return decodeEncryptedValues(value);
+    if (cipher.isEnvelope(value)) return JSON.parse(cipher.decrypt(value));
+    if (!secretKeyPaths) throw new DecryptionError("The preference file isn't encrypted");
+
+    secretKeyPaths.forEach(function (keyPath) {
+      if (!hasIn(value, keyPath)) return;
+
+      const secretValue = getIn(value, keyPath);
+      if (!cipher.isEnvelope(secretValue)) throw new DecryptionError(`The value of ${keyPath.join(".")} isn't encrypted`);
+      setIn(value, keyPath, JSON.parse(cipher.decrypt(secretValue)));
+    });
+
+    return value;
+  }
+
+  // decrypts every encrypted value of a parsed preference file, including the whole file, keeping unencrypted values as
+  // they are, e.g in a preference file written before encryption was enabled
+  function decodeEncryptedValues(value) {
+    if (value === null || typeof value !== "object") return value;
+    if (cipher.isEnvelope(value)) return decodeEncryptedValues(JSON.parse(cipher.decrypt(value)));
+
+    if (Array.isArray(value)) return value.map(decodeEncryptedValues);
+    return Object.fromEntries(Object.entries(value).map(([key, nestedValue]) => [key, decodeEncryptedValues(nestedValue)]));
+  }
+
+  // gets the path to a preference file. Without an optional filename, it's the preference file of *profile*, which
+  // defaults to the active profile, or the default preference file if *profile* is null
+  function getPreferenceFilePath(optionalFileName, profile = activeProfile) {
+    resolveElectronUserDataPath();
     // throw error if not initialized
     if (!defaultPreferenceFilePath) {
       throw new InitializationError("You failed to initialize the preference API, no proper file path was found");
@@ -56,6 +422,8 @@ function __exports(config = {}) {
     if (optionalFileName) {
       let joinedPath = path.normalize(path.join(preferenceFileDir, optionalFileName));
       return (optionalPreferenceFilePath = joinedPath);
+    } else if (profile !== null) {
+      return getProfileFilePath(profile);
     } else {
       return path.normalize(defaultPreferenceFilePath);
     }
@@ -67,6 +435,7 @@ function __exports(config = {}) {
    * @returns {string} the default save path to the preference
    */
   function getDefaultPreferenceFilePath() {
+    resolveElectronUserDataPath();
     return path.normalize(defaultPreferenceFilePath);
   }
 
@@ -89,7 +458,7 @@ function __exports(config = {}) {
    * @returns {string}            the file path to persist preference
    */
   function setDefaultPreferenceFilePath(filePath) {
-    if (defaultPreferenceFilePath) {
+    if (defaultPreferenceFilePath && !isUserDataPath) {
       throw new UnModifiableStateError("Default Preference file path has already been set and cannot be changed");
     } else {
       try {
@@ -100,6 +469,9 @@ function __exports(config = {}) {
       }
     }
 
+    // the path replaces the user data directory of the Electron app, which doesn't have to be resolved anymore
+    isElectronUserDataPathPending = false;
+    isUserDataPath = false;
     preferenceFileDir = path.dirname(filePath);
     // get only file name
     const extname = path.extname(filePath);
@@ -118,6 +490,7 @@ function __exports(config = {}) {
    * @returns {Promise<boolean>}                    a Promise that resolves to a boolean indicating if it was persisted
    */
   async function serialize(preferenceOb, optionalFileName) {
+    validatePreferences(preferenceOb);
     return await setPreferences(preferenceOb, optionalFileName);
   }
 
@@ -129,6 +502,12 @@ function __exports(config = {}) {
    * @param {Function} callbackfn        - a Node-Js qualified callback with any IllegalArgumentError that occurred as the first argument and a boolean as the second argument, indicating if the file was successfully persisted
    */
   function serialize_c(preferenceOb, optionalFileName, callbackfn) {
+    try {
+      validatePreferences(preferenceOb);
+    } catch (err) {
+      return process.nextTick(callbackfn, err, false);
+    }
+
     setPreferencesWithCallback(preferenceOb, optionalFileName, callbackfn);
   }
 
@@ -140,6 +519,7 @@ function __exports(config = {}) {
    * @returns {boolean}                    true if it was persisted
    */
   function serializeSync(preferenceOb, optionalFileName) {
+    validatePreferences(preferenceOb);
     return setPreferencesSync(preferenceOb, optionalFileName);
   }
 
@@ -150,7 +530,7 @@ function __exports(config = {}) {
    * @returns {Promise<string>}                    a Promise that resolves to the persisted object as it exists in preference
    */
   async function deserialize(optionalFileName) {
-    return JSON.stringify(await getPreferences(optionalFileName));
+    return JSON.stringify(masker.mask(withoutMeta(await getPreferences(optionalFileName))));
   }
 
   /**
@@ -160,7 +540,7 @@ function __exports(config = {}) {
    * @returns {string}                    the persisted object as it exists in preference
    */
   function deserializeSync(optionalFileName) {
-    return JSON.stringify(getPreferencesSync(optionalFileName));
+    return JSON.stringify(masker.mask(withoutMeta(getPreferencesSync(optionalFileName))));
   }
 
   /**
@@ -171,11 +551,13 @@ function __exports(config = {}) {
    *                                      argument and a string as the second argument, representing the data that was deserialized and retrieved
    */
   function deserialize_c(optionalFileName, callbackfn) {
-    getPreferencesWithCallback(optionalFileName, callbackfn);
+    getPreferencesWithCallback(optionalFileName, (err, preferenceOb) =>
+      callbackfn(err, preferenceOb && masker.mask(withoutMeta(preferenceOb)))
+    );
   }
 
   /**
-   * Asynchronously deletes the preference file
+   * Asynchronously deletes the preference file, after the modifications queued before it are written
    *
    * @param {string}              optionalFileName -  an optional filename in which the corresponding file would be deleted. This can be left null
    * @returns {Promise<boolean>}                      a Promise that resolves to a boolean, indicating if the file was deleted
@@ -183,16 +565,19 @@ function __exports(config = {}) {
   async function deleteFile(optionalFileName) {
     let filePath = getPreferenceFilePath(optionalFileName);
 
-    try {
-      await fsp.unlink(filePath);
-      return true;
-    } catch (err) {
-      return false;
-    }
+    // the changes cached for a write-behind are discarded along with the file
+    const isDeleted = await whileFilesLocked([filePath], function () {
+      invalidateCache(filePath);
+      return storage.remove(filePath).catch(() => false);
+    });
+
+    if (isDeleted) notifyChange(filePath, {}, false);
+    return isDeleted;
   }
 
   /**
-   * Synchronously deletes the preference file
+   * Synchronously deletes the preference file. Throws an IllegalStateError if asynchronous modifications of the file are
+   * still queued
    *
    * @param {string}    optionalFileName - an optional filename in which the corresponding file would be deleted. This can be left null
    * @returns {boolean}                    a boolean indicating if the file was deleted
@@ -201,12 +586,18 @@ function __exports(config = {}) {
     checkArgs(optionalFileName);
     let filePath = getPreferenceFilePath(optionalFileName);
 
-    try {
-      fs.unlinkSync(filePath);
-      return true;
-    } catch (err) {
-      return false;
-    }
+    const isDeleted = whileFilesLockedSync([filePath], function () {
+      invalidateCache(filePath);
+
+      try {
+        return storage.removeSync(filePath);
+      } catch (err) {
+        return false;
+      }
+    });
+
+    if (isDeleted) notifyChange(filePath, {}, false);
+    return isDeleted;
   }
 
   /**
@@ -218,76 +609,359 @@ function __exports(config = {}) {
    */
   function deleteFile_c(optionalFileName, callbackfn) {
     checkArgs(optionalFileName);
-    let filePath = getPreferenceFilePath(optionalFileName);
-    fs.unlink(filePath, (err) => callbackfn(err, err ? false : true));
+    toCallback(deleteFile(optionalFileName), callbackfn);
   }
 
-  // asynchronously read the preference file from disk and then return an object representation of the file
-  async function getPreferences(optionalFileName) {
-    await checkArgsP(optionalFileName);
-    let filePath = getPreferenceFilePath(optionalFileName);
+  // gets the cached preference object of a file, if it has changes that are yet to be written, or if the file hasn't
+  // changed since it was cached. The cached object is shared, so it must not be modified
+  function getCachedPreferences(filePath, version) {
+    const entry = preferenceCache.get(filePath);
+    if (entry && (entry.isDirty || (version != null && entry.version === version))) return entry.preferenceOb;
+  }
+
+  // caches the preference object of a file, along with the version of the file it represents, as given by the storage.
+  // It's remembered as the last stored version of the file too, see mergeExternalChanges()
+  function cachePreferences(filePath, preferenceOb, version) {
+    rememberStoredPreferences(filePath, preferenceOb, version);
+    if (isCaching && version != null) preferenceCache.set(filePath, { preferenceOb, version, isDirty: false });
+  }
+
+  // removes a file from the cache, discarding its changes that are yet to be written
+  function invalidateCache(filePath) {
+    clearTimeout(preferenceCache.get(filePath)?.timer);
+    preferenceCache.delete(filePath);
+    storedPreferences.delete(filePath);
+  }
+
+  // remembers the last version of a preference file that was read or written by this process. A version without a
+  // version token can't be compared with the file, so external changes aren't merged until the file is read again
+  function rememberStoredPreferences(filePath, preferenceOb, version) {
+    if (version == null) storedPreferences.delete(filePath);
+    else storedPreferences.set(filePath, { preferenceOb, version });
+  }
+
+  // resolves a key that was changed both by this process and externally, using the merge strategy
+  function resolveConflict(filePath, keyPath, baseValue, ourValue, theirValue) {
+    if (mergeStrategy === Constants.MERGE_STRATEGY.OURS) return ourValue;
+    if (mergeStrategy === Constants.MERGE_STRATEGY.THEIRS) return theirValue;
+
+    const conflict = { filePath, keyPath, baseValue, ourValue, theirValue };
+    return cloneJSON(mergeStrategy(cloneJSON(conflict)));
+  }
 
+  // merges the data a preference file contains now with *preferenceOb*, the version about to be written, against the
+  // last stored version of the file. A corrupt file is replaced with *preferenceOb*, as it would be without the merge
+  function mergeStoredData(filePath, preferenceOb, data) {
+    let theirOb;
     try {
-      let data = await fsp.readFile(filePath, "utf8");
-      return JSON.parse(data);
+      theirOb = data === null ? {} : parseData(filePath, data);
     } catch (err) {
-      return createPreferenceFile();
+      return preferenceOb;
     }
 
-    async function createPreferenceFile() {
-      let filehandle;
-      try {
-        filehandle = await fsp.open(filePath, "wx+");
-        await fsp.writeFile(filehandle, "{}", "utf-8");
-      } catch (err) {
-        if (err.code === "EEXIST") return {};
-        else if (err.code === "ENOENT") createPreferenceDirectory(filePath);
-        else return {};
-      } finally {
-        await filehandle?.close();
+    // a preference file that can't be decrypted is never replaced, the DecryptionError is thrown instead
+    theirOb = decodePreferences(theirOb);
+    const baseOb = storedPreferences.get(filePath).preferenceOb;
+    const userOb = mergePreferences(withoutMeta(baseOb), withoutMeta(preferenceOb), withoutMeta(theirOb), (...conflict) =>
+      resolveConflict(filePath, ...conflict)
+    );
+    const mergedOb = Object.prototype.hasOwnProperty.call(preferenceOb, Constants.META_KEY)
+      ? { ...userOb, [Constants.META_KEY]: preferenceOb[Constants.META_KEY] }
+      : userOb;
+
+    validatePreferences(mergedOb, theirOb);
+    // in write-behind mode, listeners were already notified about the cached changes, so the merged version only adds the
+    // external changes to them. Otherwise, listeners are notified about the external changes before the write
+    notifyChange(filePath, isWriteBehind ? mergedOb : theirOb, true);
+    return mergedOb;
+  }
+
+  // asynchronously merges the changes made to a preference file since this process last read or wrote it, e.g by hand
+  // or by another process, into *preferenceOb*, the version about to be written, see mergePreferences()
+  async function mergeExternalChanges(filePath, preferenceOb) {
+    const stored = storedPreferences.get(filePath);
+    if (!stored || (await storage.getVersion(filePath).catch(() => null)) === stored.version) return preferenceOb;
+
+    return mergeStoredData(filePath, preferenceOb, await storage.read(filePath));
+  }
+
+  // synchronously merges the external changes made to a preference file into *preferenceOb*, see mergeExternalChanges()
+  function mergeExternalChangesSync(filePath, preferenceOb) {
+    const stored = storedPreferences.get(filePath);
+    if (!stored || storage.getVersionSync(filePath) === stored.version) return preferenceOb;
+
+    return mergeStoredData(filePath, preferenceOb, storage.readSync(filePath));
+  }
+
+  // caches the modified preference object of a file and schedules writing it, after no other modification happens for
+  // *writeBehindDelay* milliseconds
+  function cacheForWriteBehind(filePath, preferenceOb) {
+    const entry = preferenceCache.get(filePath) || {};
+    clearTimeout(entry.timer);
+
+    preferenceCache.set(filePath, {
+      preferenceOb,
+      version: entry.version,
+      isDirty: true,
+      timer: scheduleWriteBehind(filePath)
+    });
+  }
+
+  function scheduleWriteBehind(filePath) {
+    return setTimeout(() => writeCachedPreferences(filePath), writeBehindDelay);
+  }
+
+  // schedules writing the cached changes of a file again after they couldn't be written, e.g because the lock timed out,
+  // unless they were modified, and so scheduled, in the meantime. Retrying doesn't keep the process alive, in case the
+  // changes can never be written
+  function retryWriteBehind(filePath, entry) {
+    if (preferenceCache.get(filePath) !== entry) return;
+    entry.timer = scheduleWriteBehind(filePath);
+    entry.timer.unref?.();
+  }
+
+  // asynchronously writes the cached changes of a file, while holding the lock on the file, unless *isLocked* is true
+  // because the caller already holds it. Resolves to false if the changes couldn't be written, in which case they are
+  // kept, and written again after *writeBehindDelay* milliseconds
+  async function writeCachedPreferences(filePath, isLocked = false) {
+    const entry = preferenceCache.get(filePath);
+    if (!entry?.isDirty) return true;
+    clearTimeout(entry.timer);
+
+    const isLockNeeded = isLocking && !isLocked;
+    const release = isLockNeeded ? await storage.lock(filePath, lockOptions).catch(() => null) : null;
+    if (isLockNeeded && !release) {
+      retryWriteBehind(filePath, entry);
+      return false;
+    }
+
+    try {
+      const preferenceOb = await mergeExternalChanges(filePath, entry.preferenceOb);
+      const data = encodePreferences(filePath, preferenceOb);
+      await storage.write(filePath, data);
+      await writeBackup(storage, filePath, data, backupCount).catch(() => {});
+      const version = await storage.getVersion(filePath);
+      rememberStoredPreferences(filePath, preferenceOb, version);
+      // the cache could have been modified again while it was being written
+      if (preferenceCache.get(filePath) === entry) {
+        preferenceCache.set(filePath, { preferenceOb, version, isDirty: false });
       }
+      return true;
+    } catch (err) {
+      retryWriteBehind(filePath, entry);
+      return false;
+    } finally {
+      await release?.();
+    }
+  }
 
-      async function createPreferenceDirectory() {
-        try {
-          await fsp.mkdir(preferenceFileDir, {
-            recursive: true
-          });
-        } catch (err) {
-          // ignored
-        } finally {
-          return {};
-        }
+  // synchronously writes the cached changes of a file, while holding the lock on the file. Returns false if the changes
+  // couldn't be written, in which case they are kept, and written again after *writeBehindDelay* milliseconds
+  function writeCachedPreferencesSync(filePath) {
+    const entry = preferenceCache.get(filePath);
+    if (!entry?.isDirty) return true;
+    clearTimeout(entry.timer);
+
+    let release;
+    try {
+      release = isLocking ? storage.lockSync(filePath, lockOptions) : null;
+      const preferenceOb = mergeExternalChangesSync(filePath, entry.preferenceOb);
+      const data = encodePreferences(filePath, preferenceOb);
+      storage.writeSync(filePath, data);
+      writeBackupSafelySync(filePath, data);
+      const version = storage.getVersionSync(filePath);
+      rememberStoredPreferences(filePath, preferenceOb, version);
+      preferenceCache.set(filePath, { preferenceOb, version, isDirty: false });
+      return true;
+    } catch (err) {
+      retryWriteBehind(filePath, entry);
+      return false;
+    } finally {
+      release?.();
+    }
+  }
+
+  // checks if a preference object was last migrated to a version older than the current one. A preference object
+  // without values has nothing to migrate, the current version is recorded when it's written
+  function needsMigration(preferenceOb) {
+    if (currentVersion === undefined || Object.keys(withoutMeta(preferenceOb)).length === 0) return false;
+
+    const version = preferenceOb[Constants.META_KEY]?.version;
+    return version === undefined || compareVersions(version, currentVersion) < 0;
+  }
+
+  // migrates a preference object read from *filePath*, and returns the migrated version of it
+  function migrate(filePath, preferenceOb) {
+    const migratedOb = runMigrations(preferenceOb, migrations, migrationVersions, preferenceOb[Constants.META_KEY]?.version);
+
+    try {
+      validatePreferences(migratedOb);
+    } catch (err) {
+      throw new IllegalStateError(`The migrated preference doesn't match its schema: ${err.message}`);
+    }
+
+    // listeners are notified about the values changed by the migrations
+    rememberPreferences(filePath, preferenceOb);
+    return withVersion(migratedOb);
+  }
+
+  // asynchronously migrates a preference file while holding the lock on it, unless the caller already holds it.
+  // The file is only written after every migration succeeded, so it's left untouched if one of them throws
+  async function migratePreferences(filePath, optionalFileName, isLocked) {
+    const release = isLocking && !isLocked ? await storage.lock(filePath, lockOptions) : null;
+
+    try {
+      // another process could have migrated the file while the lock was awaited
+      const preferenceOb = parsePreferences(filePath, await storage.read(filePath));
+      if (!needsMigration(preferenceOb)) return preferenceOb;
+
+      const migratedOb = migrate(filePath, preferenceOb);
+      if (!(await setPreferences(migratedOb, optionalFileName))) {
+        throw new IllegalStateError(`Unable to write the migrated preference to ${filePath}`);
+      }
+      return migratedOb;
+    } finally {
+      await release?.();
+    }
+  }
+
+  // synchronously migrates a preference file while holding the lock on it, see migratePreferences()
+  function migratePreferencesSync(filePath, optionalFileName) {
+    const release = isLocking ? storage.lockSync(filePath, lockOptions) : null;
+
+    try {
+      const preferenceOb = parsePreferences(filePath, storage.readSync(filePath));
+      if (!needsMigration(preferenceOb)) return preferenceOb;
+
+      const migratedOb = migrate(filePath, preferenceOb);
+      if (!setPreferencesSync(migratedOb, optionalFileName)) {
+        throw new IllegalStateError(`Unable to write the migrated preference to ${filePath}`);
       }
+      return migratedOb;
+    } finally {
+      release?.();
+    }
+  }
+
+  // synchronously writes a backup of a preference file that was written. A backup that can't be written doesn't fail the
+  // write
+  function writeBackupSafelySync(filePath, data) {
+    try {
+      writeBackupSync(storage, filePath, data, backupCount);
+    } catch (err) {
+      // ignored
+    }
+  }
+
+  // tells the listeners that a corrupt preference file was recovered
+  function notifyRecovery(filePath, corruptFilePath, backup) {
+    const recovery = { filePath, corruptFilePath, backupFilePath: backup ? backup.backupFilePath : null };
+    process.nextTick(() => emitter.emit("recover", recovery));
+  }
+
+  // asynchronously recovers a corrupt preference file. The file is moved aside instead of being deleted, and it's
+  // replaced by its newest backup that can be read, if there's one. Otherwise, a new preference file is created
+  async function recoverPreferences(filePath, optionalFileName, isLocked) {
+    const corruptFilePath = await moveCorruptFile(storage, filePath);
+    // the corrupt file is never read again, to avoid recovering it over and over
+    if (!corruptFilePath) return {};
+
+    const backup = await readBackup(storage, filePath, backupCount, (data) => parsePreferences(filePath, data));
+    if (backup) await storage.write(filePath, backup.data);
+
+    notifyRecovery(filePath, corruptFilePath, backup);
+    return await getPreferences(optionalFileName, isLocked);
+  }
+
+  // synchronously recovers a corrupt preference file, see recoverPreferences()
+  function recoverPreferencesSync(filePath, optionalFileName) {
+    const corruptFilePath = moveCorruptFileSync(storage, filePath);
+    if (!corruptFilePath) return {};
+
+    const backup = readBackupSync(storage, filePath, backupCount, (data) => parsePreferences(filePath, data));
+    if (backup) storage.writeSync(filePath, backup.data);
+
+    notifyRecovery(filePath, corruptFilePath, backup);
+    return getPreferencesSync(optionalFileName);
+  }
+
+  // asynchronously read the preference file from disk and then return an object representation of the file. The file is
+  // migrated first if needed, *isLocked* is true if the caller already holds the lock on the file
+  async function getPreferences(optionalFileName, isLocked = false) {
+    await checkArgsP(optionalFileName);
+    let filePath = getPreferenceFilePath(optionalFileName);
+    // get the version before reading, so that a change made after it is never cached, or merged against, as that version
+    const version = await storage.getVersion(filePath).catch(() => null);
+
+    if (isCaching) {
+      const cachedPreferenceOb = getCachedPreferences(filePath, version);
+      if (cachedPreferenceOb) return cachedPreferenceOb;
+    }
+
+    let data;
+    try {
+      data = await storage.read(filePath);
+    } catch (err) {
+      return {};
+    }
 
+    if (data === null) {
+      // a preference file that can't be created is created again on the next read
+      await storage.create(filePath, getCodec(filePath).stringify({})).catch(() => {});
+      storedPreferences.delete(filePath);
       return {};
     }
+
+    let preferenceOb;
+    try {
+      preferenceOb = parseData(filePath, data);
+    } catch (err) {
+      return await recoverPreferences(filePath, optionalFileName, isLocked);
+    }
+
+    // a preference file that can't be decrypted is never replaced, the DecryptionError is thrown instead
+    preferenceOb = decodePreferences(preferenceOb);
+    if (needsMigration(preferenceOb)) return await migratePreferences(filePath, optionalFileName, isLocked);
+
+    cachePreferences(filePath, preferenceOb, version);
+    rememberPreferences(filePath, preferenceOb);
+    return preferenceOb;
   }
 
   // synchronously reads the preference file from disk and then return an object representation of the file
   function getPreferencesSync(optionalFileName) {
     checkArgs(optionalFileName);
     let filePath = getPreferenceFilePath(optionalFileName);
+    // get the version before reading, so that a change made after it is never cached, or merged against, as that version
+    const version = storage.getVersionSync(filePath);
+
+    if (isCaching) {
+      const cachedPreferenceOb = getCachedPreferences(filePath, version);
+      if (cachedPreferenceOb) return cachedPreferenceOb;
+    }
+
+    const data = storage.readSync(filePath);
+
+    if (data === null) {
+      storage.createSync(filePath, getCodec(filePath).stringify({}));
+      storedPreferences.delete(filePath);
+      return {};
+    }
 
+    let preferenceOb;
     try {
-      let data = fs.readFileSync(filePath, "utf8");
-      return JSON.parse(data);
+      preferenceOb = parseData(filePath, data);
     } catch (err) {
-      return createPreferenceFileSync();
+      return recoverPreferencesSync(filePath, optionalFileName);
     }
 
-    function createPreferenceFileSync() {
-      if (fs.existsSync(filePath)) {
-        fs.writeFileSync(filePath, "{}", "utf-8");
-        return {};
-      } else {
-        return createPreferenceDirectorySync();
-      }
+    // a preference file that can't be decrypted is never replaced, the DecryptionError is thrown instead
+    preferenceOb = decodePreferences(preferenceOb);
+    if (needsMigration(preferenceOb)) return migratePreferencesSync(filePath, optionalFileName);
 
-      function createPreferenceDirectorySync() {
-        fs.mkdirSync(preferenceFileDir, { recursive: true });
-        return {};
-      }
-    }
+    cachePreferences(filePath, preferenceOb, version);
+    rememberPreferences(filePath, preferenceOb);
+    return preferenceOb;
   }
 
   // asynchronously reads the preference file from disk and then return an object representation of the file
@@ -295,73 +969,638 @@ function __exports(config = {}) {
     checkArgs(optionalFileName);
     let filePath = getPreferenceFilePath(optionalFileName);
 
-    fs.readFile(filePath, function (err, data) {
-      if (err) {
-        return createPreferenceFile(callbackfn);
-      } else {
+    // get the version before reading, so that a change made after it is never cached, or merged against, as that version
+    storage.getVersion_c(filePath, function (_err, version) {
+      const cachedPreferenceOb = isCaching ? getCachedPreferences(filePath, version) : undefined;
+      if (cachedPreferenceOb) callbackfn(null, cachedPreferenceOb);
+      else readPreferenceFile(version);
+    });
+
+    function readPreferenceFile(version) {
+      storage.read_c(filePath, function (err, data) {
+        if (err) return callbackfn(null, {});
+
+        if (data === null) {
+          storedPreferences.delete(filePath);
+          // a preference file that can't be created is created again on the next read
+          return storage.create_c(filePath, getCodec(filePath).stringify({}), () => callbackfn(null, {}));
+        }
+
+        let preferenceOb;
         try {
-          callbackfn(null, JSON.parse(data.toString()));
+          preferenceOb = parseData(filePath, data);
         } catch (err) {
-          // try to delete corrupt json file
-          deleteFile_c(optionalFileName, (err) => callbackfn(err, {}));
+          return toCallback(recoverPreferences(filePath, optionalFileName, false), callbackfn);
         }
-      }
-    });
 
-    function createPreferenceFile(callbackfn) {
-      fs.open(filePath, "wx+", function (err, fd) {
-        if (err /* file not found or some other error occurred */) {
-          return createPreferenceDirectory(fd, callbackfn);
-        } else {
-          fs.writeFile(fd, "{}", { encoding: "utf-8" }, (err) => callbackfn(err, {}));
+        // a preference file that can't be decrypted is never replaced, the DecryptionError is passed instead
+        try {
+          preferenceOb = decodePreferences(preferenceOb);
+        } catch (err) {
+          return callbackfn(err);
         }
-      });
 
-      // create file directory
-      function createPreferenceDirectory(fd, callbackfn) {
-        fs.mkdir(filePath, { recursive: true }, function (err) {
-          callbackfn(err, {});
-          fd?.close();
-        });
-      }
+        if (needsMigration(preferenceOb)) {
+          return toCallback(migratePreferences(filePath, optionalFileName, false), callbackfn);
+        }
+
+        cachePreferences(filePath, preferenceOb, version);
+        rememberPreferences(filePath, preferenceOb);
+        callbackfn(null, preferenceOb);
+      });
     }
   }
 
-  // asynchronously writes to file, the JSON object specified by *preferenceOb*
+  // asynchronously writes to file, the JSON object specified by *preferenceOb*. The file is replaced atomically, so it
+  // is never left half-written
   async function setPreferences(preferenceOb, optionalFileName) {
     await checkArgsP(preferenceOb, optionalFileName);
     let filePath = getPreferenceFilePath(optionalFileName);
-    const preference = JSON.stringify(preferenceOb);
+    const preference = JSON.stringify(withVersion(preferenceOb));
+
+    const writtenOb = JSON.parse(preference);
+
+    if (isWriteBehind) {
+      cacheForWriteBehind(filePath, writtenOb);
+      notifyChange(filePath, writtenOb, false);
+      return true;
+    }
 
     try {
-      await fsp.writeFile(filePath, preference, "utf-8");
+      const data = encodePreferences(filePath, writtenOb);
+      await storage.write(filePath, data);
+      // a backup that can't be written doesn't fail the write
+      await writeBackup(storage, filePath, data, backupCount).catch(() => {});
+      cachePreferences(filePath, writtenOb, await storage.getVersion(filePath).catch(() => null));
+      notifyChange(filePath, writtenOb, false);
       return true;
     } catch (err) {
+      invalidateCache(filePath);
       return false;
     }
   }
 
-  // synchronously writes to file, the JSON object specified by *preferenceOb*
+  // synchronously writes to file, the JSON object specified by *preferenceOb*. The file is replaced atomically, so it
+  // is never left half-written
   function setPreferencesSync(preferenceOb, optionalFileName) {
     checkArgs(preferenceOb, optionalFileName);
     let filePath = getPreferenceFilePath(optionalFileName);
-    const preference = JSON.stringify(preferenceOb);
+    const preference = JSON.stringify(withVersion(preferenceOb));
+
+    const writtenOb = JSON.parse(preference);
+
+    if (isWriteBehind) {
+      cacheForWriteBehind(filePath, writtenOb);
+      notifyChange(filePath, writtenOb, false);
+      return true;
+    }
 
     try {
-      fs.writeFileSync(filePath, preference, "utf-8");
+      const data = encodePreferences(filePath, writtenOb);
+      storage.writeSync(filePath, data);
+      writeBackupSafelySync(filePath, data);
+      cachePreferences(filePath, writtenOb, storage.getVersionSync(filePath));
+      notifyChange(filePath, writtenOb, false);
       return true;
     } catch (err) {
+      invalidateCache(filePath);
       return false;
     }
   }
 
-  // asynchronously writes to file, the JSON object specified by "preferenceOb"
+  // asynchronously writes to file, the JSON object specified by "preferenceOb". The file is replaced atomically, so it
+  // is never left half-written
   function setPreferencesWithCallback(preferenceOb, optionalFileName, callbackfn) {
     checkArgs(preferenceOb, optionalFileName);
     const filePath = getPreferenceFilePath(optionalFileName);
-    const preference = JSON.stringify(preferenceOb);
+    const preference = JSON.stringify(withVersion(preferenceOb));
 
-    fs.writeFile(filePath, preference, { encoding: "utf-8" }, (err) => callbackfn(err, err ? false : true));
+    const writtenOb = JSON.parse(preference);
+
+    if (isWriteBehind) {
+      cacheForWriteBehind(filePath, writtenOb);
+      notifyChange(filePath, writtenOb, false);
+      return process.nextTick(callbackfn, null, true);
+    }
+
+    const data = encodePreferences(filePath, writtenOb);
+    storage.write_c(filePath, data, function (err) {
+      if (err) {
+        invalidateCache(filePath);
+        return callbackfn(err, false);
+      }
+
+      // a backup that can't be written doesn't fail the write
+      writeBackup_c(storage, filePath, data, backupCount, function () {
+        storage.getVersion_c(filePath, function (_err, version) {
+          cachePreferences(filePath, writtenOb, version);
+          notifyChange(filePath, writtenOb, false);
+          callbackfn(null, true);
+        });
+      });
+    });
+  }
+
+  // asynchronously modifies the preference file with *mutate*. *mutate* returns false, or a Promise that resolves to
+  // false, if it changed nothing.
+  // Modifications are queued per file and the ones queued in the same tick are applied together, in the order in which
+  // they were queued, with a single read and a single write, so that parallel calls don't overwrite each other
+  // Callers queue their modification before awaiting anything, so that modifications are queued in the order of the calls
+  function modifyPreferences(optionalFileName, mutate) {
+    const filePath = getPreferenceFilePath(optionalFileName);
+
+    return new Promise(function (resolve, reject) {
+      checkOutsideTransaction(filePath);
+      let queue = writeQueues.get(filePath);
+      if (!queue) writeQueues.set(filePath, (queue = { pending: [], drained: null, syncMutations: null }));
+
+      queue.pending.push({ mutate, resolve, reject });
+      if (!queue.drained) {
+        queue.drained = new Promise((resolve) => setImmediate(resolve)).then(() =>
+          drainWriteQueue(filePath, optionalFileName, queue)
+        );
+      }
+    });
+  }
+
+  // applies every queued modification of a file, one batch after the other, until the queue is empty. The synchronous
+  // modifications made while a batch is applied are recorded in *syncMutations*, see recordSyncModification()
+  async function drainWriteQueue(filePath, optionalFileName, queue) {
+    while (queue.pending.length > 0) {
+      const batch = queue.pending;
+      queue.pending = [];
+      queue.syncMutations = [];
+      await applyWriteBatch(filePath, optionalFileName, batch, queue.syncMutations);
+      queue.syncMutations = null;
+    }
+
+    writeQueues.delete(filePath);
+  }
+
+  // applies a batch of modifications while holding the lock on the file, and then settles each of them after the lock is
+  // released. A modification that throws is rejected and discarded, without affecting the rest of the batch.
+  // The synchronous modifications in the batch, and the ones in *syncMutations*, are already written, and are only
+  // applied again so that the batch doesn't overwrite them. If one of them fails, e.g because it conflicts with a
+  // modification of the batch, the whole batch is rejected with its error, instead of silently losing it
+  async function applyWriteBatch(filePath, optionalFileName, batch, syncMutations) {
+    const outcomes = new Map();
+    const asyncEntries = batch.filter((entry) => !entry.isSync);
+    let release;
+
+    try {
+      release = isLocking ? await storage.lock(filePath, lockOptions) : null;
+      let preferenceOb = await getPreferences(optionalFileName, true);
+      const changed = [];
+
+      for (const entry of batch) {
+        if (entry.isSync) {
+          entry.mutate(preferenceOb);
+          continue;
+        }
+
+        try {
+          const candidate = cloneJSON(preferenceOb);
+          if ((await entry.mutate(candidate)) === false) {
+            outcomes.set(entry, () => entry.resolve(true));
+          } else {
+            validatePreferences(candidate, preferenceOb);
+            preferenceOb = candidate;
+            changed.push(entry);
+          }
+        } catch (err) {
+          outcomes.set(entry, () => entry.reject(err));
+        }
+      }
+
+      if (changed.length > 0) {
+        let isPersisted;
+        let appliedCount = 0;
+
+        // a synchronous modification made while the batch is written is applied, and the batch is written, again
+        do {
+          syncMutations.slice(appliedCount).forEach((mutate) => mutate(preferenceOb));
+          appliedCount = syncMutations.length;
+          // the file could have been changed externally while the batch was applied, e.g by hand
+          if (!isWriteBehind) preferenceOb = await mergeExternalChanges(filePath, preferenceOb);
+          isPersisted = await setPreferences(preferenceOb, optionalFileName);
+        } while (appliedCount < syncMutations.length);
+
+        changed.forEach((entry) => outcomes.set(entry, () => entry.resolve(isPersisted)));
+      }
+    } catch (err) {
+      asyncEntries.forEach((entry) => outcomes.set(entry, () => entry.reject(err)));
+    } finally {
+      await release?.();
+    }
+
+    asyncEntries.forEach((entry) => outcomes.get(entry)());
+  }
+
+  // throws an IllegalStateError if this is called from a transaction of the preference file, or of any preference file if
+  // *filePath* isn't given, that is still running. Asynchronous writes wait for the transactions of the file, which
+  // would be waiting for them in turn
+  function checkOutsideTransaction(filePath) {
+    const transactions = runningTransactions.getStore() || [];
+    const running = transactions.find((running) => running.isRunning && (!filePath || running.filePath === filePath));
+
+    if (running) {
+      throw new IllegalStateError(
+        `${running.filePath} can't be written asynchronously from its own transaction, use the handle of the transaction`
+      );
+    }
+  }
+
+  // records a synchronous modification, which is already written, for the asynchronous modifications of the file that
+  // were queued before it, see applyWriteBatch(). A synchronous modification can't wait for them, as the lock on the file
+  // is shared with the synchronous operations of this process, but they must not overwrite it:
+  // the batch that is being applied could have read the file before the modification, and the queued modifications,
+  // which read the file after it, must still be applied before it, in the order of the calls
+  function recordSyncModification(filePath, mutate) {
+    const queue = writeQueues.get(filePath);
+    if (!queue) return;
+
+    queue.syncMutations?.push(mutate);
+    if (queue.pending.length > 0) queue.pending.push({ mutate, isSync: true });
+  }
+
+  // synchronously reads the preference file, modifies it with *mutate* and then writes it back, all while holding the
+  // lock on the file. *mutate* returns false if it changed nothing, in which case nothing is written
+  function modifyPreferencesSync(optionalFileName, mutate) {
+    const filePath = getPreferenceFilePath(optionalFileName);
+    const release = isLocking ? storage.lockSync(filePath, lockOptions) : null;
+
+    try {
+      // the preference object read is remembered as the last stored version of the file, so it's copied before it's modified
+      const storedOb = getPreferencesSync(optionalFileName);
+      const preferenceOb = cloneJSON(storedOb);
+      if (mutate(preferenceOb) === false) return true;
+      validatePreferences(preferenceOb, storedOb);
+      const isPersisted = setPreferencesSync(
+        isWriteBehind ? preferenceOb : mergeExternalChangesSync(filePath, preferenceOb),
+        optionalFileName
+      );
+      recordSyncModification(filePath, mutate);
+      return isPersisted;
+    } finally {
+      release?.();
+    }
+  }
+
+  // asynchronously modifies the preference file with *mutate*, see modifyPreferences()
+  function modifyPreferencesWithCallback(optionalFileName, mutate, callbackfn) {
+    toCallback(modifyPreferences(optionalFileName, mutate), callbackfn);
+  }
+
+  // creates the handle through which a transaction reads and writes a snapshot of a preference object. Writes are applied
+  // to the snapshot, and recorded in *operations*, so that they can be applied to the preference file when the
+  // transaction is committed. The handle can't be used after the transaction ended
+  function createTransaction(snapshotOb, operations) {
+    let isOpen = true;
+
+    // wraps a function of the handle, so that it throws after the transaction ended
+    const whileOpen =
+      (fn) =>
+      (...args) => {
+        if (!isOpen) throw new IllegalStateError("The transaction has already ended");
+        return fn(...args);
+      };
+
+    function setState(key, value) {
+      const operation = { keyPath: toKeyPath(key), value: cloneJSON(toStoredValue(value)) };
+      setIn(snapshotOb, operation.keyPath, cloneJSON(operation.value));
+      operations.push(operation);
+      return value;
+    }
+
+    function deleteKey(key) {
+      const operation = { keyPath: toKeyPath(key), isDeleted: true };
+      operations.push(operation);
+      return deleteIn(snapshotOb, operation.keyPath, pruneEmptyParents);
+    }
+
+    function getState(key, defaultValue) {
+      const filledOb = withLayers(snapshotOb);
+      const keyPath = toKeyPath(key);
+      return getStoredValue(filledOb, keyPath, defaultValue);
+    }
+
+    const handle = Object.freeze({
+      getState: whileOpen(getState),
+      getStates: whileOpen((states) => states.map((key) => getState(key))),
+      getAll: whileOpen(() => cloneJSON(withLayers(snapshotOb))),
+      hasKey: whileOpen((key) => hasIn(withLayers(snapshotOb), toKeyPath(key))),
+      setState: whileOpen(setState),
+      setStates: whileOpen((states) => Object.keys(states).map((key) => setState(key, states[`${key}`]))),
+      deleteKey: whileOpen(deleteKey)
+    });
+
+    return { handle, end: () => (isOpen = false) };
+  }
+
+  // applies the recorded operations of a committed transaction to a preference object, returns false if nothing changed
+  function applyTransaction(preferenceOb, operations) {
+    let isChanged = false;
+
+    operations.forEach(function (operation) {
+      if (operation.isDeleted) {
+        isChanged = deleteIn(preferenceOb, operation.keyPath, pruneEmptyParents) || isChanged;
+      } else {
+        setIn(preferenceOb, operation.keyPath, cloneJSON(operation.value));
+        isChanged = true;
+      }
+    });
+
+    return isChanged;
+  }
+
+  /**
+   * Asynchronously runs a transaction, which reads and writes a consistent snapshot of the preference, while holding the
+   * lock on the preference file. Its writes are committed in a single atomic write after *transactionfn* resolves, or
+   * discarded if it throws
+   *
+   * @param {Function}     transactionfn    - an optionally async function called with the handle of the transaction, which has the getState, getStates, getAll, hasKey, setState, setStates and deleteKey functions. They are synchronous, and take the same arguments as the functions of the same name, without the optional filename
+   * @param {string}       optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {Promise<*>}                    a Promise that resolves to the value returned by *transactionfn*, after the transaction was committed
+   * @throws {IllegalStateError}              if the transaction couldn't be committed
+   */
+  async function transaction(transactionfn, optionalFileName) {
+    checkArgs(optionalFileName);
+    const filePath = getPreferenceFilePath(optionalFileName);
+    let operations = null;
+    let hasRun = false;
+    let result;
+
+    // the transaction runs once, later calls only apply its operations again, unless it threw
+    const isCommitted = await modifyPreferences(optionalFileName, async function (preferenceOb) {
+      if (!hasRun) {
+        hasRun = true;
+        const recordedOperations = [];
+        const { handle, end } = createTransaction(cloneJSON(preferenceOb), recordedOperations);
+        const running = { filePath, isRunning: true };
+
+        try {
+          const transactions = [...(runningTransactions.getStore() || []), running];
+          result = await runningTransactions.run(transactions, () => transactionfn(handle));
+        } finally {
+          running.isRunning = false;
+          end();
+        }
+        operations = recordedOperations;
+      }
+
+      return operations !== null && applyTransaction(preferenceOb, operations);
+    });
+
+    if (!isCommitted) throw new IllegalStateError(`The transaction couldn't be committed to ${filePath}`);
+    return result;
+  }
+
+  /**
+   * Synchronously runs a transaction, see transaction()
+   *
+   * @param {Function} transactionfn    - a function called with the handle of the transaction, see transaction()
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {*}                         the value returned by *transactionfn*, after the transaction was committed
+   * @throws {IllegalStateError}          if the transaction couldn't be committed
+   */
+  function transactionSync(transactionfn, optionalFileName) {
+    checkArgs(optionalFileName);
+    const filePath = getPreferenceFilePath(optionalFileName);
+    let operations = null;
+    let hasRun = false;
+    let result;
+
+    // the transaction runs once, later calls only apply its operations again, unless it threw
+    const isCommitted = modifyPreferencesSync(optionalFileName, function (preferenceOb) {
+      if (!hasRun) {
+        hasRun = true;
+        const recordedOperations = [];
+        const { handle, end } = createTransaction(cloneJSON(preferenceOb), recordedOperations);
+
+        try {
+          result = transactionfn(handle);
+        } finally {
+          end();
+        }
+
+        if (result instanceof Promise) {
+          result.catch(() => {});
+          throw new IllegalArgumentError("A synchronous transaction can't be async, use transaction() instead");
+        }
+        operations = recordedOperations;
+      }
+
+      return operations !== null && applyTransaction(preferenceOb, operations);
+    });
+
+    if (!isCommitted) throw new IllegalStateError(`The transaction couldn't be committed to ${filePath}`);
+    return result;
+  }
+
+  /**
+   * Asynchronously runs a transaction, see transaction()
+   *
+   * @param {Function} transactionfn    - an optionally async function called with the handle of the transaction, see transaction()
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @param {Function} callbackfn       - a Node-Js qualified callback with any error that occurred as the first argument and the value returned by *transactionfn* as the second argument
+   */
+  function transaction_c(transactionfn, optionalFileName, callbackfn) {
+    toCallback(transaction(transactionfn, optionalFileName), callbackfn);
+  }
+
+  // gets the paths to the preference files which have cached changes that are yet to be written
+  function getDirtyFilePaths() {
+    return [...preferenceCache.keys()].filter((filePath) => preferenceCache.get(filePath).isDirty);
+  }
+
+  /**
+   * Asynchronously waits for every queued modification of the preference files to be written, including the ones that
+   * are cached for a write-behind. Call this before the process exits, so that no modification is lost
+   *
+   * @returns {Promise<void>} a Promise that resolves after every queued modification has been written
+   */
+  async function flush() {
+    checkOutsideTransaction();
+    while (writeQueues.size > 0) {
+      await Promise.all([...writeQueues.values()].map((queue) => queue.drained));
+    }
+
+    const filePaths = getDirtyFilePaths();
+    const results = await Promise.all(filePaths.map((filePath) => writeCachedPreferences(filePath)));
+    const failedFilePaths = filePaths.filter((_filePath, index) => !results[index]);
+
+    if (failedFilePaths.length > 0) {
+      throw new IllegalStateError(`Unable to write cached changes to ${failedFilePaths.join(", ")}`);
+    }
+  }
+
+  /**
+   * Synchronously writes every modification that is cached for a write-behind. Use this in an exit handler, where
+   * asynchronous work can't be done. Asynchronous modifications that are still queued are not written, use flush() for them
+   */
+  function flushSync() {
+    const failedFilePaths = getDirtyFilePaths().filter((filePath) => !writeCachedPreferencesSync(filePath));
+
+    if (failedFilePaths.length > 0) {
+      throw new IllegalStateError(`Unable to write cached changes to ${failedFilePaths.join(", ")}`);
+    }
+  }
+
+  // remembers the first version of a preference file that was read, as the version later changes are compared against
+  function rememberPreferences(filePath, preferenceOb) {
+    if (!knownPreferences.has(filePath)) knownPreferences.set(filePath, preferenceOb);
+  }
+
+  // compares a new version of a preference file with the last known version, and notifies the listeners about every
+  // changed value. Listeners are called on the next tick, so that an error thrown by a listener doesn't affect a write
+  function notifyChange(filePath, preferenceOb, isExternal) {
+    const previousOb = knownPreferences.get(filePath) || {};
+    knownPreferences.set(filePath, preferenceOb);
+    if (isDeepEqual(previousOb, preferenceOb)) return;
+
+    const keys = [...new Set([...Object.keys(previousOb), ...Object.keys(preferenceOb)])].filter(
+      (key) => key !== Constants.META_KEY
+    );
+    const changes = keys
+      .filter((key) => !isDeepEqual(previousOb[key], preferenceOb[key]))
+      .map((key) => ({
+        key,
+        newValue: cloneJSON(preferenceOb[key]),
+        oldValue: cloneJSON(previousOb[key]),
+        filePath,
+        isExternal
+      }))
+      .map((change) =>
+        masker.withMaskedInspect(change, () => ({
+          ...change,
+          newValue: masker.mask(change.newValue, [change.key]),
+          oldValue: masker.mask(change.oldValue, [change.key])
+        }))
+      );
+
+    process.nextTick(function () {
+      changes.forEach((change) => emitter.emit("change", change));
+
+      keyListeners.forEach(function (listener) {
+        if (listener.filePath !== filePath) return;
+        const newValue = getIn(preferenceOb, listener.keyPath);
+        const oldValue = getIn(previousOb, listener.keyPath);
+        if (!isDeepEqual(newValue, oldValue)) listener.callbackfn(cloneJSON(newValue), cloneJSON(oldValue));
+      });
+    });
+  }
+
+  /**
+   * Adds a listener for an event. A "change" event is emitted for every top-level key whose value changed, whether it
+   * was changed by this API or externally, with an object containing the key, newValue, oldValue, filePath, and
+   * isExternal; a boolean indicating if the change was made by another process or by hand
+   *
+   * @param {string}   event      - the name of the event
+   * @param {Function} listenerfn - the function to be called when the event is emitted
+   * @returns {JSON}                the settings API, so that calls can be chained
+   */
+  function on(event, listenerfn) {
+    emitter.on(event, listenerfn);
+    return DICTIONARY;
+  }
+
+  /**
+   * Adds a one-time listener for an event, see on()
+   *
+   * @param {string}   event      - the name of the event
+   * @param {Function} listenerfn - the function to be called the next time the event is emitted
+   * @returns {JSON}                the settings API, so that calls can be chained
+   */
+  function once(event, listenerfn) {
+    emitter.once(event, listenerfn);
+    return DICTIONARY;
+  }
+
+  /**
+   * Removes a listener that was added using on() or once()
+   *
+   * @param {string}   event      - the name of the event
+   * @param {Function} listenerfn - the listener to be removed
+   * @returns {JSON}                the settings API, so that calls can be chained
+   */
+  function off(event, listenerfn) {
+    emitter.off(event, listenerfn);
+    return DICTIONARY;
+  }
+
+  /**
+   * Listens for changes to the value of a single key, whether it was changed by this API or externally
+   *
+   * @param {string}   key              - the key in the preference in which it's value would be listened to
+   * @param {Function} callbackfn       - a function called with the new value as the first argument and the old value as the second argument
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {Function}                  a function which stops listening when called
+   */
+  function onDidChange(key, callbackfn, optionalFileName) {
+    checkArgs(key, optionalFileName);
+    const listener = { filePath: getPreferenceFilePath(optionalFileName), keyPath: toKeyPath(key), callbackfn };
+    keyListeners.add(listener);
+
+    return () => keyListeners.delete(listener);
+  }
+
+  /**
+   * Starts watching a preference file for changes made by other processes or by hand, so that they are emitted as
+   * "change" events. Changes are debounced, and the file is diffed against its last known version
+   *
+   * @param {string} optionalFileName - an optional filename of the preference file to be watched. This can be left null
+   */
+  function watch(optionalFileName) {
+    checkArgs(optionalFileName);
+    const filePath = getPreferenceFilePath(optionalFileName);
+    if (watchers.has(filePath)) return;
+
+    // storage adapters that can't be watched never report external changes
+    if (typeof storage.watch !== "function") return;
+
+    const watcher = { timer: null, stop: null };
+    watchers.set(filePath, watcher);
+
+    watcher.stop = storage.watch(
+      filePath,
+      function () {
+        clearTimeout(watcher.timer);
+        watcher.timer = setTimeout(() => readWatchedFile(filePath), watchDebounce);
+      },
+      { interval: watchInterval }
+    );
+  }
+
+  /**
+   * Stops watching a preference file for changes, see watch()
+   *
+   * @param {string} optionalFileName - an optional filename of the preference file being watched. This can be left null
+   */
+  function unwatch(optionalFileName) {
+    checkArgs(optionalFileName);
+    const filePath = getPreferenceFilePath(optionalFileName);
+    const watcher = watchers.get(filePath);
+    if (!watcher) return;
+
+    clearTimeout(watcher.timer);
+    watcher.stop();
+    watchers.delete(filePath);
+  }
+
+  // reads a watched preference file after it changed, and notifies the listeners about its changed values
+  function readWatchedFile(filePath) {
+    storage.read_c(filePath, function (err, data) {
+      if (!watchers.has(filePath) || err) return;
+
+      // the file was deleted
+      if (data === null) return notifyChange(filePath, {}, true);
+
+      try {
+        notifyChange(filePath, parsePreferences(filePath, data), true);
+      } catch (err) {
+        // the file is still being edited, it would be read again after the next change. Or it can't be decrypted
+      }
+    });
   }
 
   /**
@@ -373,8 +1612,8 @@ function __exports(config = {}) {
    */
   async function hasKey(key, optionalFileName) {
     await checkArgsP(key);
-    let preferenceOb = await getPreferences(optionalFileName);
-    return Object.keys(preferenceOb).includes(key);
+    let preferenceOb = withLayers(await getPreferences(optionalFileName));
+    return hasIn(preferenceOb, toKeyPath(key));
   }
 
   /**
@@ -386,8 +1625,8 @@ function __exports(config = {}) {
    */
   function hasKeySync(key, optionalFileName) {
     checkArgs(key);
-    let preferenceOb = getPreferencesSync(optionalFileName);
-    return Object.keys(preferenceOb).includes(key);
+    let preferenceOb = withLayers(getPreferencesSync(optionalFileName));
+    return hasIn(preferenceOb, toKeyPath(key));
   }
 
   /**
@@ -401,7 +1640,7 @@ function __exports(config = {}) {
     checkArgs(key);
     getPreferencesWithCallback(optionalFileName, function (err, preferenceOb) {
       if (err) callbackfn(err);
-      else callbackfn(null, Object.keys(preferenceOb).includes(key));
+      else callbackfn(null, hasIn(withLayers(preferenceOb), toKeyPath(key)));
     });
   }
 
@@ -410,19 +1649,16 @@ function __exports(config = {}) {
    *
    * @param {string}            optionalFileName  - an optional filename used to do the check. This can be left null
    * @param {string}            key               - the key in the preference in which it's value would be retrieved
-   * @param {string}            defaultValue      - a default value to be used if that key has never been set
-   * @returns {Promise<string>}                     a Promise that resolves to a string. The value which was mapped to the key specified
+   * @param {*}                 defaultValue      - a default value to be used if that key has never been set
+   * @returns {Promise<*>}                          a Promise that resolves to the value which was mapped to the key specified. The value
+   *                                                is always a string, unless typed storage mode is used
    */
   async function getState(key, defaultValue, optionalFileName) {
     await checkArgsP(key, optionalFileName);
+    const preferenceOb = withLayers(await getPreferences(optionalFileName));
+    const keyPath = toKeyPath(key);
     // first check if key exists
-    if (await hasKey(key, optionalFileName)) {
-      const preferenceOb = await getPreferences(optionalFileName);
-      return `${preferenceOb[`${key}`]}`;
-    } else {
-      // emit promise based result
-      return `${defaultValue}`;
-    }
+    return getStoredValue(preferenceOb, keyPath, defaultValue);
   }
 
   /**
@@ -431,15 +1667,15 @@ function __exports(config = {}) {
    * @param {string}    optionalFileName - an optional filename used to persist the settings. This can be left null
    * @param {*}         defaultValue     - the default value to be retrieved if that key has never been set
    * @param {string}    key              - an optional filename used to persist the settings. This can be left null
-   * @returns {string}                     the value which was mapped to the key specified
+   * @returns {*}                          the value which was mapped to the key specified. The value is always a string, unless
+   *                                       typed storage mode is used
    */
   function getStateSync(key, defaultValue, optionalFileName) {
     checkArgs(key, optionalFileName);
+    const preferenceOb = withLayers(getPreferencesSync(optionalFileName));
+    const keyPath = toKeyPath(key);
     // first check if key exists
-    if (hasKeySync(key, optionalFileName)) {
-      const preferenceOb = getPreferencesSync(optionalFileName);
-      return `${preferenceOb[`${key}`]}`;
-    } else return `${defaultValue}`;
+    return getStoredValue(preferenceOb, keyPath, defaultValue);
   }
 
   /**
@@ -448,24 +1684,147 @@ function __exports(config = {}) {
    * @param {string}   key               - the key in the preference in which it's value would be retrieved
    * @param {string}   optionalFileName  - an optional filename used to persist the settings. This can be left _null_
    * @param {*}        defaultValue      - the default value to be retrieved if that key has never been set
-   * @param {Function} callbackfn        - a Node-Js qualified callback with any error that occurred as the first argument and a string as the second argument, representing the value which was mapped to the key specified
+   * @param {Function} callbackfn        - a Node-Js qualified callback with any error that occurred as the first argument and the value which was mapped to the key specified as the second argument; a string, unless typed storage mode is used
    */
   function getState_c(key, defaultValue, optionalFileName, callbackfn) {
     checkArgs(optionalFileName);
+    const keyPath = toKeyPath(key);
 
-    hasKey_c(key, optionalFileName, function (err1, hasKey) {
-      if (err1) {
-        callbackfn(err1, defaultValue);
-      } else if (hasKey) {
-        getPreferencesWithCallback(optionalFileName, function (err2, preferenceOb) {
-          return callbackfn(err2, `${preferenceOb[`${key}`]}`);
-        });
+    getPreferencesWithCallback(optionalFileName, function (err, preferenceOb) {
+      if (err) {
+        callbackfn(err, defaultValue);
       } else {
-        callbackfn(null, `${defaultValue}`);
+        // first check if key exists
+        const filledOb = withLayers(preferenceOb);
+        callbackfn(null, getStoredValue(filledOb, keyPath, defaultValue));
+      }
+    });
+  }
+
+  // reads the value of a key, converted by *coercefn*. A missing value is replaced with the default value, and so is a
+  // value that can't be converted, unless coercion is strict
+  function getCoercedState(preferenceOb, key, description, coercefn, defaultValue) {
+    const filledOb = withLayers(preferenceOb);
+    const keyPath = toKeyPath(key);
+    const value = hasIn(filledOb, keyPath) ? getIn(filledOb, keyPath) : undefined;
+    if (isMissingValue(value)) return defaultValue;
+
+    const coercedValue = coercefn(cloneJSON(value));
+    if (coercedValue !== INVALID) return coercedValue;
+
+    if (strictCoercion) throw new IllegalStateError(`The value of ${key} can't be read as ${description}`);
+    return defaultValue;
+  }
+
+  // reads the value of a key using a callback, see getCoercedState()
+  function getCoercedState_c(key, description, coercefn, defaultValue, optionalFileName, callbackfn) {
+    checkArgs(optionalFileName);
+
+    getPreferencesWithCallback(optionalFileName, function (err, preferenceOb) {
+      if (err) return callbackfn(err, defaultValue);
+
+      let value;
+      try {
+        value = getCoercedState(preferenceOb, key, description, coercefn, defaultValue);
+      } catch (err) {
+        return callbackfn(err, defaultValue);
       }
+
+      callbackfn(null, value);
     });
   }
 
+  /**
+   * Creates the flavors of a function which reads the value of a key converted to a type, e.g getNumber(),
+   * getNumberSync() and getNumber_c(), which take the same arguments as getState() and its flavors. A missing value is
+   * replaced with the default value, and so is a value that can't be converted, unless coercion is strict, in which
+   * case an IllegalStateError is thrown
+   *
+   * @param {string}   description - the description of the type, used in the error thrown in strict mode
+   * @param {Function} coercefn    - converts a persisted value to the type, or returns INVALID if it can't
+   * @returns {Function[]}           the asynchronous, synchronous and callback flavors of the function
+   */
+  function createCoercedGetters(description, coercefn) {
+    return [
+      async function (key, defaultValue, optionalFileName) {
+        await checkArgsP(key, optionalFileName);
+        return getCoercedState(await getPreferences(optionalFileName), key, description, coercefn, defaultValue);
+      },
+      function (key, defaultValue, optionalFileName) {
+        checkArgs(key, optionalFileName);
+        return getCoercedState(getPreferencesSync(optionalFileName), key, description, coercefn, defaultValue);
+      },
+      function (key, defaultValue, optionalFileName, callbackfn) {
+        getCoercedState_c(key, description, coercefn, defaultValue, optionalFileName, callbackfn);
+      }
+    ];
+  }
+
+  const [getNumber, getNumberSync, getNumber_c] = createCoercedGetters("a number", toNumber);
+  const [getInteger, getIntegerSync, getInteger_c] = createCoercedGetters("an integer", toInteger);
+  const [getBoolean, getBooleanSync, getBoolean_c] = createCoercedGetters("a boolean", toBoolean);
+  const [getJSON, getJSONSync, getJSON_c] = createCoercedGetters("JSON", toJSON);
+  const [getDate, getDateSync, getDate_c] = createCoercedGetters("a date", toDate);
+
+  // checks the values a key can have, and describes them for the error thrown in strict mode
+  function describeEnum(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new IllegalArgumentError("values must be a non-empty array of the values the key can have");
+    }
+
+    return `one of ${values.map((value) => JSON.stringify(value)).join(", ")}`;
+  }
+
+  /**
+   * Asynchronously gets the value of a key, which must be one of a set of values, see createCoercedGetters()
+   *
+   * @param {string}       key              - the key in the preference in which it's value would be retrieved
+   * @param {Array}        values           - the values the key can have
+   * @param {*}            defaultValue     - the value used if the key has never been set, or has another value
+   * @param {string}       optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {Promise<*>}                    a Promise that resolves to the one of the values which the key has
+   */
+  async function getEnum(key, values, defaultValue, optionalFileName) {
+    await checkArgsP(key, optionalFileName);
+    const description = describeEnum(values);
+    return getCoercedState(await getPreferences(optionalFileName), key, description, toEnum(values), defaultValue);
+  }
+
+  /**
+   * Synchronously gets the value of a key, which must be one of a set of values, see getEnum()
+   *
+   * @param {string} key              - the key in the preference in which it's value would be retrieved
+   * @param {Array}  values           - the values the key can have
+   * @param {*}      defaultValue     - the value used if the key has never been set, or has another value
+   * @param {string} optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {*}                       the one of the values which the key has
+   */
+  function getEnumSync(key, values, defaultValue, optionalFileName) {
+    checkArgs(key, optionalFileName);
+    const description = describeEnum(values);
+    return getCoercedState(getPreferencesSync(optionalFileName), key, description, toEnum(values), defaultValue);
+  }
+
+  /**
+   * Asynchronously gets the value of a key, which must be one of a set of values, see getEnum()
+   *
+   * @param {string}   key              - the key in the preference in which it's value would be retrieved
+   * @param {Array}    values           - the values the key can have
+   * @param {*}        defaultValue     - the value used if the key has never been set, or has another value
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @param {Function} callbackfn       - a Node-Js qualified callback with any error that occurred as the first argument and the one of the values which the key has as the second argument
+   */
+  function getEnum_c(key, values, defaultValue, optionalFileName, callbackfn) {
+    let description;
+    try {
+      description = describeEnum(values);
+    } catch (err) {
+      return process.nextTick(callbackfn, err, defaultValue);
+    }
+
+    getCoercedState_c(key, description, toEnum(values), defaultValue, optionalFileName, callbackfn);
+  }
+
   /**
    *  Gets multiple value simultaneously and asynchronously
    *
@@ -477,8 +1836,8 @@ function __exports(config = {}) {
     await checkArgsP(optionalFileName);
     if (!states instanceof Array) throw new IllegalArgumentError("states must be a qualified Array object");
 
-    const preferenceOb = await getPreferences(optionalFileName);
-    let values = states.map((key) => `${preferenceOb[`${key}`]}`);
+    const preferenceOb = withLayers(await getPreferences(optionalFileName));
+    let values = states.map((key) => fromStoredValue(getIn(preferenceOb, toKeyPath(key))));
 
     return values;
   }
@@ -495,8 +1854,8 @@ function __exports(config = {}) {
     if (!states instanceof Array) {
       throw new IllegalArgumentError("states must be a qualified Array object");
     }
-    const preferenceOb = getPreferencesSync(optionalFileName);
-    let values = states.map((key) => `${preferenceOb[`${key}`]}`);
+    const preferenceOb = withLayers(getPreferencesSync(optionalFileName));
+    let values = states.map((key) => fromStoredValue(getIn(preferenceOb, toKeyPath(key))));
 
     return values;
   }
@@ -516,7 +1875,8 @@ function __exports(config = {}) {
       if (err) {
         callbackfn(err);
       } else {
-        let values = states.map((key) => `${preferenceOb[`${key}`]}`);
+        const filledOb = withLayers(preferenceOb);
+        let values = states.map((key) => fromStoredValue(getIn(filledOb, toKeyPath(key))));
         callbackfn(null, values);
       }
     });
@@ -532,10 +1892,9 @@ function __exports(config = {}) {
    */
   function setStateSync(key, value, optionalFileName) {
     checkArgs(key, optionalFileName);
-    let preferenceOb = getPreferencesSync(optionalFileName);
-
-    preferenceOb[`${key}`] = `${value}`;
-    return setPreferencesSync(preferenceOb, optionalFileName);
+    return modifyPreferencesSync(optionalFileName, (preferenceOb) => {
+      setIn(preferenceOb, toKeyPath(key), toStoredValue(value));
+    });
   }
 
   /**
@@ -547,11 +1906,10 @@ function __exports(config = {}) {
    * @returns {Promise<boolean>}                    a Promise that resolves to a boolean; indicating if the operation was successful or not
    */
   async function setState(key, value, optionalFileName) {
-    await checkArgsP(key, optionalFileName);
-    let preferenceOb = await getPreferences(optionalFileName);
-    preferenceOb[`${key}`] = `${value}`;
-
-    return await setPreferences(preferenceOb, optionalFileName);
+    checkArgs(key, optionalFileName);
+    return await modifyPreferences(optionalFileName, (preferenceOb) => {
+      setIn(preferenceOb, toKeyPath(key), toStoredValue(value));
+    });
   }
 
   /**
@@ -565,14 +1923,13 @@ function __exports(config = {}) {
   function setState_c(key, value, optionalFileName, callbackfn) {
     checkArgs(key, optionalFileName);
 
-    getPreferencesWithCallback(optionalFileName, function (err, preferenceOb) {
-      if (err) {
-        callbackfn(err);
-      } else {
-        preferenceOb[`${key}`] = `${value}`;
-        setPreferencesWithCallback(preferenceOb, optionalFileName, callbackfn);
-      }
-    });
+    modifyPreferencesWithCallback(
+      optionalFileName,
+      (preferenceOb) => {
+        setIn(preferenceOb, toKeyPath(key), toStoredValue(value));
+      },
+      callbackfn
+    );
   }
 
   /**
@@ -583,13 +1940,14 @@ function __exports(config = {}) {
    * @returns {Promise<string[]>}                     a Promise that resolves an Array; list of all the values that were persisted / set
    */
   async function setStates(states, optionalFileName) {
-    await checkArgsP(optionalFileName);
+    checkArgs(optionalFileName);
     if (!states instanceof Object) throw new IllegalArgumentError("states must be a qualified JSON object");
 
-    let preferenceOb = await getPreferences(optionalFileName);
-    let inserted = Object.keys(states).map((key) => (preferenceOb[`${key}`] = `${states[`${key}`]}`));
+    let inserted;
+    const isPreferenceSet = await modifyPreferences(optionalFileName, (preferenceOb) => {
+      inserted = Object.keys(states).map((key) => setIn(preferenceOb, toKeyPath(key), toStoredValue(states[`${key}`])));
+    });
 
-    const isPreferenceSet = await setPreferences(preferenceOb, optionalFileName);
     return isPreferenceSet ? inserted : [];
   }
 
@@ -605,10 +1963,12 @@ function __exports(config = {}) {
     if (!states instanceof Object) {
       throw new IllegalArgumentError("states must be a qualified JSON object");
     }
-    let preferenceOb = getPreferencesSync(optionalFileName);
-    let inserted = Object.keys(states).map((key) => (preferenceOb[`${key}`] = `${states[`${key}`]}`));
+    let inserted;
+    const isPreferenceSet = modifyPreferencesSync(optionalFileName, (preferenceOb) => {
+      inserted = Object.keys(states).map((key) => setIn(preferenceOb, toKeyPath(key), toStoredValue(states[`${key}`])));
+    });
 
-    return setPreferencesSync(preferenceOb, optionalFileName) ? inserted : [];
+    return isPreferenceSet ? inserted : [];
   }
 
   /**
@@ -625,21 +1985,20 @@ function __exports(config = {}) {
       return callbackfn(new IllegalArgumentError("states must be a qualified JSON object"));
     }
 
-    getPreferencesWithCallback(optionalFileName, function (err1, preferenceOb) {
-      if (err1) {
-        return callbackfn(err1);
-      } else {
-        let inserted = Object.keys(states).map((key) => (preferenceOb[`${key}`] = `${states[`${key}`]}`));
-
-        setPreferencesWithCallback(preferenceOb, optionalFileName, function (err2, isInserted) {
-          if (isInserted) {
-            callbackfn(err2, inserted);
-          } else {
-            callbackfn(err2);
-          }
-        });
+    let inserted;
+    modifyPreferencesWithCallback(
+      optionalFileName,
+      (preferenceOb) => {
+        inserted = Object.keys(states).map((key) => setIn(preferenceOb, toKeyPath(key), toStoredValue(states[`${key}`])));
+      },
+      function (err, isInserted) {
+        if (isInserted) {
+          callbackfn(err, inserted);
+        } else {
+          callbackfn(err);
+        }
       }
-    });
+    );
   }
 
   /**
@@ -650,17 +2009,11 @@ function __exports(config = {}) {
    * @returns {Promise<boolean>}                    a Promise that resolves to a boolean; indicating if the key was successfully deleted
    */
   async function deleteKey(key, optionalFileName) {
-    await checkArgsP(key, optionalFileName);
-    let preferenceOb = await getPreferences(optionalFileName);
-    // check if key is present in preference
-    if (await hasKey(key, optionalFileName)) {
-      delete preferenceOb[`${key}`];
-    } else {
-      // nothing was deleted, but still return true
-      return true;
-    }
-
-    return await setPreferences(preferenceOb, optionalFileName);
+    checkArgs(key, optionalFileName);
+    // if nothing was deleted, nothing is written, but it still resolves to true
+    return await modifyPreferences(optionalFileName, (preferenceOb) =>
+      deleteIn(preferenceOb, toKeyPath(key), pruneEmptyParents)
+    );
   }
 
   /**
@@ -672,16 +2025,10 @@ function __exports(config = {}) {
    */
   function deleteKeySync(key, optionalFileName) {
     checkArgs(key, optionalFileName);
-    let preferenceOb = getPreferencesSync();
-    // check if key is present in preference
-    if (hasKeySync(key, optionalFileName)) {
-      delete preferenceOb[`${key}`];
-    } else {
-      // nothing was deleted, but still return true
-      return true;
-    }
-
-    return setPreferencesSync(preferenceOb, optionalFileName);
+    // if nothing was deleted, nothing is written, but it still returns true
+    return modifyPreferencesSync(optionalFileName, (preferenceOb) =>
+      deleteIn(preferenceOb, toKeyPath(key), pruneEmptyParents)
+    );
   }
 
   /**
@@ -693,22 +2040,860 @@ function __exports(config = {}) {
    */
   function deleteKey_c(key, optionalFileName, callbackfn) {
     checkArgs(key, optionalFileName);
+    // if nothing was deleted, nothing is written, but it still calls back with true
+    modifyPreferencesWithCallback(
+      optionalFileName,
+      (preferenceOb) => deleteIn(preferenceOb, toKeyPath(key), pruneEmptyParents),
+      callbackfn
+    );
+  }
 
-    getPreferencesWithCallback(optionalFileName, function (err1, preferenceOb) {
-      if (err1) {
-        return callbackfn(err1);
-      } else {
-        hasKey_c(key, optionalFileName, function (err2, hasKey) {
-          if (hasKey) {
-            delete preferenceOb[`${key}`];
-            callbackfn(err2, true);
-          } else {
-            // nothing was deleted, but still return true
-            callbackfn(err2, true);
-          }
-        });
+  // makes a preference object show the masked values of its sensitive keys when it's inspected, e.g by console.log(),
+  // while the object itself keeps the real values
+  function withMaskedValues(preferenceOb) {
+    return masker.withMaskedInspect(preferenceOb, () => masker.mask(preferenceOb));
+  }
+
+  /**
+   * Asynchronously retrieves every value in preference, along with the defaults of the keys that have never been set
+   *
+   * @param {string}          optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {Promise<JSON>}                    a Promise that resolves to an object containing every value
+   */
+  async function getAll(optionalFileName) {
+    await checkArgsP(optionalFileName);
+    return withMaskedValues(cloneJSON(withLayers(await getPreferences(optionalFileName))));
+  }
+
+  /**
+   * Synchronously retrieves every value in preference, along with the defaults of the keys that have never been set
+   *
+   * @param {string} optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {JSON}                    an object containing every value
+   */
+  function getAllSync(optionalFileName) {
+    checkArgs(optionalFileName);
+    return withMaskedValues(cloneJSON(withLayers(getPreferencesSync(optionalFileName))));
+  }
+
+  /**
+   * Asynchronously retrieves every value in preference, along with the defaults of the keys that have never been set
+   *
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @param {Function} callbackfn       - a Node-Js qualified callback with any error that occurred as the first argument and an object containing every value as the second argument
+   */
+  function getAll_c(optionalFileName, callbackfn) {
+    checkArgs(optionalFileName);
+    getPreferencesWithCallback(optionalFileName, function (err, preferenceOb) {
+      if (err) callbackfn(err);
+      else callbackfn(null, withMaskedValues(cloneJSON(withLayers(preferenceOb))));
+    });
+  }
+
+  // finds the name of the layer supplying the value of a key, from the highest precedence to the lowest
+  function findSource(preferenceOb, key) {
+    const keyPath = toKeyPath(key);
+
+    for (let index = allLayers.length - 1; index >= 0; index--) {
+      const layerOb = index === preferenceFileLayerIndex ? withoutMeta(preferenceOb) : layerValues[index];
+      if (hasIn(layerOb, keyPath)) return allLayers[index].name;
+    }
+
+    return allDefaults !== undefined && hasIn(allDefaults, keyPath) ? Constants.DEFAULTS_LAYER : null;
+  }
+
+  /**
+   * Asynchronously gets the name of the layer which supplies the value of a key
+   *
+   * @param {string}           key              - the key in the preference in which the source of it's value would be retrieved
+   * @param {string}           optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {Promise<string>}                   a Promise that resolves to the name of the layer, "defaults" if the value is a default, or null if the key has no value
+   */
+  async function getSource(key, optionalFileName) {
+    await checkArgsP(key, optionalFileName);
+    return findSource(await getPreferences(optionalFileName), key);
+  }
+
+  /**
+   * Synchronously gets the name of the layer which supplies the value of a key
+   *
+   * @param {string}  key              - the key in the preference in which the source of it's value would be retrieved
+   * @param {string}  optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {string}                   the name of the layer, "defaults" if the value is a default, or null if the key has no value
+   */
+  function getSourceSync(key, optionalFileName) {
+    checkArgs(key, optionalFileName);
+    return findSource(getPreferencesSync(optionalFileName), key);
+  }
+
+  /**
+   * Asynchronously gets the name of the layer which supplies the value of a key
+   *
+   * @param {string}   key              - the key in the preference in which the source of it's value would be retrieved
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @param {Function} callbackfn       - a Node-Js qualified callback with any error that occurred as the first argument and the name of the layer as the second argument, "defaults" if the value is a default, or null if the key has no value
+   */
+  function getSource_c(key, optionalFileName, callbackfn) {
+    checkArgs(key, optionalFileName);
+    getPreferencesWithCallback(optionalFileName, function (err, preferenceOb) {
+      if (err) callbackfn(err);
+      else callbackfn(null, findSource(preferenceOb, key));
+    });
+  }
+
+  // removes the persisted value of a key, so that its default is read instead
+  function resetKey(key) {
+    const keyPath = toKeyPath(key);
+    return (preferenceOb) => deleteIn(preferenceOb, keyPath, pruneEmptyParents);
+  }
+
+  // removes every persisted value, so that the defaults are read instead
+  function resetKeys(preferenceOb) {
+    const keys = Object.keys(preferenceOb);
+    if (keys.length === 0) return false;
+    keys.forEach((key) => delete preferenceOb[key]);
+  }
+
+  /**
+   * Asynchronously restores the default of a key, by removing its persisted value. A key without a default is deleted
+   *
+   * @param {string}             key              - the key in the preference in which it's default would be restored
+   * @param {string}             optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {Promise<boolean>}                    a Promise that resolves to a boolean; indicating if the operation was successful
+   */
+  async function reset(key, optionalFileName) {
+    checkArgs(key, optionalFileName);
+    return await modifyPreferences(optionalFileName, resetKey(key));
+  }
+
+  /**
+   * Synchronously restores the default of a key, by removing its persisted value. A key without a default is deleted
+   *
+   * @param {string}    key              - the key in the preference in which it's default would be restored
+   * @param {string}    optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {boolean}                    true if the operation was successful
+   */
+  function resetSync(key, optionalFileName) {
+    checkArgs(key, optionalFileName);
+    return modifyPreferencesSync(optionalFileName, resetKey(key));
+  }
+
+  /**
+   * Asynchronously restores the default of a key, by removing its persisted value. A key without a default is deleted
+   *
+   * @param {string}   key              - the key in the preference in which it's default would be restored
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @param {Function} callbackfn       - a Node-Js qualified callback with any error that occurred as the first argument and a boolean as the second argument, indicating if the operation was successful
+   */
+  function reset_c(key, optionalFileName, callbackfn) {
+    checkArgs(key, optionalFileName);
+    modifyPreferencesWithCallback(optionalFileName, resetKey(key), callbackfn);
+  }
+
+  /**
+   * Asynchronously restores the defaults of every key, by removing every persisted value. The preference file is kept
+   *
+   * @param {string}             optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {Promise<boolean>}                    a Promise that resolves to a boolean; indicating if the operation was successful
+   */
+  async function resetAll(optionalFileName) {
+    checkArgs(optionalFileName);
+    return await modifyPreferences(optionalFileName, resetKeys);
+  }
+
+  /**
+   * Synchronously restores the defaults of every key, by removing every persisted value. The preference file is kept
+   *
+   * @param {string}    optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @returns {boolean}                    true if the operation was successful
+   */
+  function resetAllSync(optionalFileName) {
+    checkArgs(optionalFileName);
+    return modifyPreferencesSync(optionalFileName, resetKeys);
+  }
+
+  /**
+   * Asynchronously restores the defaults of every key, by removing every persisted value. The preference file is kept
+   *
+   * @param {string}   optionalFileName - an optional filename used to persist the settings. This can be left null
+   * @param {Function} callbackfn       - a Node-Js qualified callback with any error that occurred as the first argument and a boolean as the second argument, indicating if the operation was successful
+   */
+  function resetAll_c(optionalFileName, callbackfn) {
+    checkArgs(optionalFileName);
+    modifyPreferencesWithCallback(optionalFileName, resetKeys, callbackfn);
+  }
+
+  /**
+   * Gets the API of a namespace, whose keys are nested under the namespace in the preference file, so that several
+   * plugins can share a preference file without their keys colliding. The API has the getState, getStates, setState,
+   * setStates, hasKey and deleteKey functions in all their flavors, along with getAll and clear, which retrieve and
+   * delete the whole namespace, and scope, which gets a namespace nested in this one
+   *
+   * @param {string} namespace - the name of the namespace. With dot notation, it can be a path to a nested namespace
+   * @returns {JSON}             the API of the namespace
+   */
+  function scope(namespace) {
+    return createScope(toNamespacePath(namespace));
+  }
+
+  // splits the name of a namespace into the segments of its path
+  function toNamespacePath(namespace) {
+    if (typeof namespace !== "string" || namespace.length === 0) {
+      throw new IllegalArgumentError(`${namespace} is not a valid namespace`);
+    }
+
+    return toKeyPath(namespace);
+  }
+
+  // creates the API of the namespace whose keys are nested under *namespacePath*, see scope()
+  function createScope(namespacePath) {
+    const toScopedKeyPath = (key) => [...namespacePath, ...toKeyPath(key)];
+
+    // gets the values of the namespace from a preference object, which are retrieved as they are in the preference file
+    function getNamespaceOb(preferenceOb) {
+      const namespaceOb = getIn(withLayers(preferenceOb), namespacePath);
+      return isPlainObject(namespaceOb) ? cloneJSON(namespaceOb) : {};
+    }
+
+    // sets every value of *states* in the namespace, and pushes the values that were set to *inserted*
+    function setScopedStates(states, inserted) {
+      if (!(states instanceof Object)) throw new IllegalArgumentError("states must be a qualified JSON object");
+
+      return function (preferenceOb) {
+        inserted.length = 0;
+        Object.keys(states).forEach((key) =>
+          inserted.push(setIn(preferenceOb, toScopedKeyPath(key), toStoredValue(states[`${key}`])))
+        );
+      };
+    }
+
+    return Object.freeze({
+      getState: async (key, defaultValue, optionalFileName) =>
+        getState(toScopedKeyPath(key), defaultValue, optionalFileName),
+      getStateSync: (key, defaultValue, optionalFileName) =>
+        getStateSync(toScopedKeyPath(key), defaultValue, optionalFileName),
+      getState_c: (key, defaultValue, optionalFileName, callbackfn) =>
+        getState_c(toScopedKeyPath(key), defaultValue, optionalFileName, callbackfn),
+      getStates: async (states, optionalFileName) => getStates(states.map(toScopedKeyPath), optionalFileName),
+      getStatesSync: (states, optionalFileName) => getStatesSync(states.map(toScopedKeyPath), optionalFileName),
+      getStates_c: (states, optionalFileName, callbackfn) =>
+        getStates_c(states.map(toScopedKeyPath), optionalFileName, callbackfn),
+      setState: async (key, value, optionalFileName) => setState(toScopedKeyPath(key), value, optionalFileName),
+      setStateSync: (key, value, optionalFileName) => setStateSync(toScopedKeyPath(key), value, optionalFileName),
+      setState_c: (key, value, optionalFileName, callbackfn) =>
+        setState_c(toScopedKeyPath(key), value, optionalFileName, callbackfn),
+      async setStates(states, optionalFileName) {
+        const inserted = [];
+        return (await modifyPreferences(optionalFileName, setScopedStates(states, inserted))) ? inserted : [];
+      },
+      setStatesSync(states, optionalFileName) {
+        const inserted = [];
+        return modifyPreferencesSync(optionalFileName, setScopedStates(states, inserted)) ? inserted : [];
+      },
+      setStates_c(states, optionalFileName, callbackfn) {
+        const inserted = [];
+        modifyPreferencesWithCallback(optionalFileName, setScopedStates(states, inserted), (err, isInserted) =>
+          isInserted ? callbackfn(err, inserted) : callbackfn(err)
+        );
+      },
+      hasKey: async (key, optionalFileName) => hasKey(toScopedKeyPath(key), optionalFileName),
+      hasKeySync: (key, optionalFileName) => hasKeySync(toScopedKeyPath(key), optionalFileName),
+      hasKey_c: (key, optionalFileName, callbackfn) => hasKey_c(toScopedKeyPath(key), optionalFileName, callbackfn),
+      deleteKey: async (key, optionalFileName) => deleteKey(toScopedKeyPath(key), optionalFileName),
+      deleteKeySync: (key, optionalFileName) => deleteKeySync(toScopedKeyPath(key), optionalFileName),
+      deleteKey_c: (key, optionalFileName, callbackfn) => deleteKey_c(toScopedKeyPath(key), optionalFileName, callbackfn),
+      getAll: async (optionalFileName) => getNamespaceOb(await getPreferences(optionalFileName)),
+      getAllSync: (optionalFileName) => getNamespaceOb(getPreferencesSync(optionalFileName)),
+      getAll_c(optionalFileName, callbackfn) {
+        getPreferencesWithCallback(optionalFileName, (err, preferenceOb) =>
+          err ? callbackfn(err) : callbackfn(null, getNamespaceOb(preferenceOb))
+        );
+      },
+      clear: async (optionalFileName) => deleteKey(namespacePath, optionalFileName),
+      clearSync: (optionalFileName) => deleteKeySync(namespacePath, optionalFileName),
+      clear_c: (optionalFileName, callbackfn) => deleteKey_c(namespacePath, optionalFileName, callbackfn),
+      scope: (namespace) => createScope([...namespacePath, ...toNamespacePath(namespace)])
+    });
+  }
+
+  // throws an IllegalArgumentError if a profile name can't be used as the name of a preference file
+  function checkProfileName(profile) {
+    if (typeof profile !== "string" || !/^[^\\/:*?"<>|]+$/.test(profile) || profile.startsWith(".")) {
+      throw new IllegalArgumentError(`${profile} is not a valid profile name`);
+    }
+  }
+
+  // gets the directory of the profiles, next to the default preference file
+  function getProfilesDirectory() {
+    return path.join(path.dirname(getPreferenceFilePath(null, null)), Constants.PROFILES_DIR);
+  }
+
+  // gets the path to the preference file of a profile, which has the extension of the default preference file. The
+  // default preference file is used when *profile* is null
+  function getProfileFilePath(profile) {
+    if (profile === null) return getPreferenceFilePath(null, null);
+
+    checkProfileName(profile);
+    return path.join(getProfilesDirectory(), `${profile}${path.extname(defaultPreferenceFilePath)}`);
+  }
+
+  // gets the names of the profiles from the names of the files in the profiles directory
+  function toProfileNames(fileNames) {
+    const extname = path.extname(defaultPreferenceFilePath);
+    return fileNames
+      .filter((fileName) => !fileName.startsWith(".") && fileName.endsWith(extname) && fileName.length > extname.length)
+      .map((fileName) => fileName.slice(0, fileName.length - extname.length))
+      .sort();
+  }
+
+  // throws an IllegalStateError if the storage adapter can't list the profiles
+  function checkListing() {
+    if (typeof storage.list !== "function") throw new IllegalStateError("The storage adapter can't list the profiles");
+  }
+
+  // switches the active profile, and tells the listeners about it
+  function switchProfile(profile) {
+    const previousProfile = activeProfile;
+    activeProfile = profile;
+
+    if (previousProfile !== profile) {
+      const event = { profile, previousProfile, filePath: getProfileFilePath(profile) };
+      process.nextTick(() => emitter.emit("profile", event));
+    }
+  }
+
+  /**
+   * Gets the active profile, whose preference file is used by every call without an optional filename
+   *
+   * @returns {string} the name of the active profile, or null if the default preference file is used
+   */
+  function getActiveProfile() {
+    return activeProfile;
+  }
+
+  /**
+   * Switches the active profile, whose preference file is used by every call without an optional filename. A
+   * "profile" event is emitted if the active profile changed
+   *
+   * @param {string} profile - the name of the profile, or null to use the default preference file
+   * @returns {string}         the path to the preference file of the profile
+   */
+  function setActiveProfile(profile) {
+    const filePath = getProfileFilePath(profile);
+    switchProfile(profile);
+    return filePath;
+  }
+
+  /**
+   * Asynchronously lists the profiles
+   *
+   * @returns {Promise<string[]>} a Promise that resolves to the names of the profiles, sorted
+   */
+  async function listProfiles() {
+    checkListing();
+    return toProfileNames(await storage.list(getProfilesDirectory()));
+  }
+
+  /**
+   * Synchronously lists the profiles
+   *
+   * @returns {string[]} the names of the profiles, sorted
+   */
+  function listProfilesSync() {
+    checkListing();
+    return toProfileNames(storage.listSync(getProfilesDirectory()));
+  }
+
+  /**
+   * Asynchronously lists the profiles
+   *
+   * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument and the sorted names of the profiles as the second argument
+   */
+  function listProfiles_c(callbackfn) {
+    toCallback(listProfiles(), callbackfn);
+  }
+
+  // asynchronously runs *fn* while holding the locks on preference files that are about to be created, copied, renamed or
+  // deleted, e.g the files of profiles, after their queued modifications were written, so that they aren't left out of a
+  // copy, or written to a file that was renamed or deleted
+  async function whileFilesLocked(filePaths, fn) {
+    filePaths.forEach((filePath) => checkOutsideTransaction(filePath));
+    for (const filePath of filePaths) {
+      while (writeQueues.has(filePath)) await writeQueues.get(filePath).drained;
+    }
+
+    const releases = [];
+    try {
+      // the locks are always acquired in the same order, so that two processes can't wait for each other
+      if (isLocking) {
+        for (const filePath of [...new Set(filePaths)].sort()) releases.push(await storage.lock(filePath, lockOptions));
       }
+      return await fn();
+    } finally {
+      for (const release of releases.reverse()) await release();
+    }
+  }
+
+  // synchronously runs *fn* while holding the locks on preference files, see whileFilesLocked(). Queued asynchronous modifications can't be waited for synchronously, so they fail the call
+  function whileFilesLockedSync(filePaths, fn) {
+    const queuedFilePath = filePaths.find((filePath) => writeQueues.has(filePath));
+    if (queuedFilePath) {
+      throw new IllegalStateError(`${queuedFilePath} has queued asynchronous modifications, flush() them first`);
+    }
+
+    const releases = [];
+    try {
+      if (isLocking) {
+        [...new Set(filePaths)].sort().forEach((filePath) => releases.push(storage.lockSync(filePath, lockOptions)));
+      }
+      return fn();
+    } finally {
+      releases.reverse().forEach((release) => release());
+    }
+  }
+
+  // throws an IllegalStateError if the changes of a preference file cached for a write-behind couldn't be written
+  function checkCachedPreferencesWritten(filePath, isWritten) {
+    if (!isWritten) throw new IllegalStateError(`Unable to write cached changes to ${filePath}`);
+  }
+
+  // asynchronously writes the changes cached for a write-behind of preference files whose locks are held, so that they
+  // are in the files before the files are checked, copied or renamed
+  async function writeCachedProfiles(filePaths) {
+    for (const filePath of filePaths) {
+      checkCachedPreferencesWritten(filePath, await writeCachedPreferences(filePath, true));
+    }
+  }
+
+  // synchronously writes the changes cached for a write-behind of preference files, see writeCachedProfiles()
+  function writeCachedProfilesSync(filePaths) {
+    filePaths.forEach((filePath) => checkCachedPreferencesWritten(filePath, writeCachedPreferencesSync(filePath)));
+  }
+
+  /**
+   * Asynchronously creates a profile with an empty preference file
+   *
+   * @param {string}             profile - the name of the profile
+   * @returns {Promise<boolean>}           a Promise that resolves to a boolean, false if the profile already exists
+   */
+  async function createProfile(profile) {
+    const filePath = getProfileFilePath(profile);
+
+    return whileFilesLocked([filePath], async function () {
+      await writeCachedProfiles([filePath]);
+      if ((await storage.read(filePath)) !== null) return false;
+
+      await storage.create(filePath, getCodec(filePath).stringify({}));
+      return true;
+    });
+  }
+
+  /**
+   * Synchronously creates a profile with an empty preference file
+   *
+   * @param {string}    profile - the name of the profile
+   * @returns {boolean}           false if the profile already exists
+   */
+  function createProfileSync(profile) {
+    const filePath = getProfileFilePath(profile);
+
+    return whileFilesLockedSync([filePath], function () {
+      writeCachedProfilesSync([filePath]);
+      if (storage.readSync(filePath) !== null) return false;
+
+      storage.createSync(filePath, getCodec(filePath).stringify({}));
+      return true;
+    });
+  }
+
+  /**
+   * Asynchronously creates a profile with an empty preference file
+   *
+   * @param {string}   profile    - the name of the profile
+   * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument and a boolean as the second argument, false if the profile already exists
+   */
+  function createProfile_c(profile, callbackfn) {
+    toCallback(createProfile(profile), callbackfn);
+  }
+
+  /**
+   * Asynchronously copies the preference file of a profile to a new profile
+   *
+   * @param {string}             profile    - the name of the profile to be copied, or null to copy the default preference file
+   * @param {string}             newProfile - the name of the new profile
+   * @returns {Promise<boolean>}              a Promise that resolves to a boolean, false if the profile doesn't exist or the new profile already exists
+   */
+  async function copyProfile(profile, newProfile) {
+    const filePaths = [getProfileFilePath(profile), getProfileFilePath(newProfile)];
+    const [filePath, newFilePath] = filePaths;
+
+    return whileFilesLocked(filePaths, async function () {
+      await writeCachedProfiles(filePaths);
+      const data = await storage.read(filePath);
+      if (data === null || (await storage.read(newFilePath)) !== null) return false;
+
+      await storage.create(newFilePath, data);
+      return true;
+    });
+  }
+
+  /**
+   * Synchronously copies the preference file of a profile to a new profile
+   *
+   * @param {string}    profile    - the name of the profile to be copied, or null to copy the default preference file
+   * @param {string}    newProfile - the name of the new profile
+   * @returns {boolean}              false if the profile doesn't exist or the new profile already exists
+   */
+  function copyProfileSync(profile, newProfile) {
+    const filePaths = [getProfileFilePath(profile), getProfileFilePath(newProfile)];
+    const [filePath, newFilePath] = filePaths;
+
+    return whileFilesLockedSync(filePaths, function () {
+      writeCachedProfilesSync(filePaths);
+      const data = storage.readSync(filePath);
+      if (data === null || storage.readSync(newFilePath) !== null) return false;
+
+      storage.createSync(newFilePath, data);
+      return true;
+    });
+  }
+
+  /**
+   * Asynchronously copies the preference file of a profile to a new profile
+   *
+   * @param {string}   profile    - the name of the profile to be copied, or null to copy the default preference file
+   * @param {string}   newProfile - the name of the new profile
+   * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument and a boolean as the second argument, false if the profile doesn't exist or the new profile already exists
+   */
+  function copyProfile_c(profile, newProfile, callbackfn) {
+    toCallback(copyProfile(profile, newProfile), callbackfn);
+  }
+
+  // checks the names of a profile and of its new name, and gets the paths to their preference files
+  function getRenamedFilePaths(profile, newProfile) {
+    if (profile === null) throw new IllegalArgumentError("The default preference file can't be renamed");
+    return [getProfileFilePath(profile), getProfileFilePath(newProfile)];
+  }
+
+  // the active profile follows a profile that was renamed
+  function followRenamedProfile(profile, newProfile, isRenamed) {
+    if (isRenamed && activeProfile === profile) switchProfile(newProfile);
+    return isRenamed;
+  }
+
+  /**
+   * Asynchronously renames a profile. If the profile is active, the renamed profile becomes active
+   *
+   * @param {string}             profile    - the name of the profile
+   * @param {string}             newProfile - the new name of the profile
+   * @returns {Promise<boolean>}              a Promise that resolves to a boolean, false if the profile doesn't exist or a profile named newProfile already exists
+   */
+  async function renameProfile(profile, newProfile) {
+    const filePaths = getRenamedFilePaths(profile, newProfile);
+    const [filePath, newFilePath] = filePaths;
+
+    const isRenamed = await whileFilesLocked(filePaths, async function () {
+      await writeCachedProfiles(filePaths);
+      if ((await storage.read(newFilePath)) !== null) return false;
+
+      filePaths.forEach(invalidateCache);
+      return await storage.rename(filePath, newFilePath);
+    });
+
+    return followRenamedProfile(profile, newProfile, isRenamed);
+  }
+
+  /**
+   * Synchronously renames a profile. If the profile is active, the renamed profile becomes active
+   *
+   * @param {string}    profile    - the name of the profile
+   * @param {string}    newProfile - the new name of the profile
+   * @returns {boolean}              false if the profile doesn't exist or a profile named newProfile already exists
+   */
+  function renameProfileSync(profile, newProfile) {
+    const filePaths = getRenamedFilePaths(profile, newProfile);
+    const [filePath, newFilePath] = filePaths;
+
+    const isRenamed = whileFilesLockedSync(filePaths, function () {
+      writeCachedProfilesSync(filePaths);
+      if (storage.readSync(newFilePath) !== null) return false;
+
+      filePaths.forEach(invalidateCache);
+      return storage.renameSync(filePath, newFilePath);
+    });
+
+    return followRenamedProfile(profile, newProfile, isRenamed);
+  }
+
+  /**
+   * Asynchronously renames a profile. If the profile is active, the renamed profile becomes active
+   *
+   * @param {string}   profile    - the name of the profile
+   * @param {string}   newProfile - the new name of the profile
+   * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument and a boolean as the second argument, false if the profile doesn't exist or a profile named newProfile already exists
+   */
+  function renameProfile_c(profile, newProfile, callbackfn) {
+    toCallback(renameProfile(profile, newProfile), callbackfn);
+  }
+
+  // checks the name of a profile that is about to be deleted, and gets the path to its preference file
+  function getDeletedFilePath(profile) {
+    if (profile === null) throw new IllegalArgumentError("The default preference file can't be deleted as a profile");
+    return getProfileFilePath(profile);
+  }
+
+  // the default preference file becomes active after the active profile was deleted
+  function leaveDeletedProfile(profile, filePath, isDeleted) {
+    if (!isDeleted) return false;
+
+    notifyChange(filePath, {}, false);
+    if (activeProfile === profile) switchProfile(null);
+    return true;
+  }
+
+  /**
+   * Asynchronously deletes a profile. If the profile is active, the default preference file becomes active
+   *
+   * @param {string}             profile - the name of the profile
+   * @returns {Promise<boolean>}           a Promise that resolves to a boolean, false if the profile doesn't exist
+   */
+  async function deleteProfile(profile) {
+    const filePath = getDeletedFilePath(profile);
+
+    // the changes cached for a write-behind are discarded along with the file
+    const isDeleted = await whileFilesLocked([filePath], function () {
+      invalidateCache(filePath);
+      return storage.remove(filePath);
+    });
+
+    return leaveDeletedProfile(profile, filePath, isDeleted);
+  }
+
+  /**
+   * Synchronously deletes a profile. If the profile is active, the default preference file becomes active
+   *
+   * @param {string}    profile - the name of the profile
+   * @returns {boolean}           false if the profile doesn't exist
+   */
+  function deleteProfileSync(profile) {
+    const filePath = getDeletedFilePath(profile);
+
+    const isDeleted = whileFilesLockedSync([filePath], function () {
+      invalidateCache(filePath);
+      return storage.removeSync(filePath);
+    });
+
+    return leaveDeletedProfile(profile, filePath, isDeleted);
+  }
+
+  /**
+   * Asynchronously deletes a profile. If the profile is active, the default preference file becomes active
+   *
+   * @param {string}   profile    - the name of the profile
+   * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument and a boolean as the second argument, false if the profile doesn't exist
+   */
+  function deleteProfile_c(profile, callbackfn) {
+    toCallback(deleteProfile(profile), callbackfn);
+  }
+
+  // gets the path to the directory of the default preference file, which keeps the optional preference files too
+  function getPreferenceFileDirectory() {
+    return path.dirname(getPreferenceFilePath(null, null));
+  }
+
+  // checks the options of an export, and converts the keys to be redacted to their key paths
+  function toExportOptions(targetPath, options) {
+    const { include, exclude = [], redact = [] } = options;
+
+    if (typeof targetPath !== "string" || targetPath.length === 0) {
+      throw new IllegalArgumentError(`${targetPath} is not a valid path to a settings bundle`);
+    } else if ((include !== undefined && !Array.isArray(include)) || !Array.isArray(exclude)) {
+      throw new IllegalArgumentError("include and exclude must be arrays of file names");
+    } else if (!Array.isArray(redact)) {
+      throw new IllegalArgumentError("redact must be an array of keys");
+    }
+
+    return { include, exclude, redactKeyPaths: redact.map(toKeyPath) };
+  }
+
+  // gets the names of the preference files to be exported: the default preference file, and the optional preference
+  // files among *fileNames*, the files in its directory. Backups, temporary files and other files without the extension
+  // of a preference file are left out
+  function toExportedFileNames(fileNames, { include, exclude }) {
+    const defaultFileName = path.basename(getPreferenceFilePath(null, null));
+    const isPreferenceFile = (fileName) =>
+      path.extname(fileName) === path.extname(defaultFileName) || !!getCodecOfExtension(path.extname(fileName));
+
+    return [...new Set([defaultFileName, ...fileNames])]
+      .filter((fileName) => isBundleFileName(fileName) && isPreferenceFile(fileName))
+      .filter((fileName) => (include === undefined || include.includes(fileName)) && !exclude.includes(fileName))
+      .sort();
+  }
+
+  // creates the data of a settings bundle from the name and the deserialized preference of every exported file
+  function encodeBundle(files, redactKeyPaths) {
+    const bundleFiles = files.map(function ({ name, serializedOb }) {
+      // the values of the sensitive keys were already masked by deserialize(), they are recorded as redacted keys
+      const preferenceOb = JSON.parse(serializedOb);
+      return { name, ...redactPreferences(preferenceOb, redactKeyPaths.concat(masker.getSensitiveKeyPaths(preferenceOb))) };
     });
+
+    return JSON.stringify(createBundle(bundleFiles, currentVersion), null, 2);
+  }
+
+  /**
+   * Asynchronously exports the default preference file, along with the optional preference files in its directory, to
+   * a settings bundle; a single portable JSON file, which keeps the checksum of every preference file
+   *
+   * @param {string} targetPath    - the path to the settings bundle to be written
+   * @param {JSON}   options       - include, the names of the only preference files to be exported; exclude, the names
+   *                                 of the preference files which aren't exported; and redact, the keys whose values are
+   *                                 replaced with a placeholder
+   * @returns {Promise<string[]>}    a Promise that resolves to the names of the exported preference files
+   */
+  async function exportSettings(targetPath, options = {}) {
+    const { redactKeyPaths, ...filter } = toExportOptions(targetPath, options);
+    const listedFileNames = typeof storage.list === "function" ? await storage.list(getPreferenceFileDirectory()) : [];
+    const fileNames = toExportedFileNames(listedFileNames, filter);
+
+    const files = [];
+    for (const name of fileNames) files.push({ name, serializedOb: await deserialize(name) });
+
+    await storage.write(targetPath, encodeBundle(files, redactKeyPaths));
+    return fileNames;
+  }
+
+  /**
+   * Synchronously exports the default preference file, along with the optional preference files in its directory, to
+   * a settings bundle, see exportSettings()
+   *
+   * @param {string} targetPath - the path to the settings bundle to be written
+   * @param {JSON}   options    - include, exclude and redact, see exportSettings()
+   * @returns {string[]}          the names of the exported preference files
+   */
+  function exportSettingsSync(targetPath, options = {}) {
+    const { redactKeyPaths, ...filter } = toExportOptions(targetPath, options);
+    const listedFileNames = typeof storage.listSync === "function" ? storage.listSync(getPreferenceFileDirectory()) : [];
+    const fileNames = toExportedFileNames(listedFileNames, filter);
+
+    const files = fileNames.map((name) => ({ name, serializedOb: deserializeSync(name) }));
+
+    storage.writeSync(targetPath, encodeBundle(files, redactKeyPaths));
+    return fileNames;
+  }
+
+  /**
+   * Asynchronously exports the default preference file, along with the optional preference files in its directory, to
+   * a settings bundle, see exportSettings()
+   *
+   * @param {string}   targetPath - the path to the settings bundle to be written
+   * @param {JSON}     options    - include, exclude and redact, see exportSettings()
+   * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument and the names of the exported preference files as the second argument
+   */
+  function exportSettings_c(targetPath, options, callbackfn) {
+    toCallback(exportSettings(targetPath, options || {}), callbackfn);
+  }
+
+  // checks the options of an import, and gets its strategy
+  function toImportStrategy(sourcePath, options) {
+    const { strategy = Constants.IMPORT_STRATEGY.MERGE } = options;
+
+    if (typeof sourcePath !== "string" || sourcePath.length === 0) {
+      throw new IllegalArgumentError(`${sourcePath} is not a valid path to a settings bundle`);
+    } else if (!Object.values(Constants.IMPORT_STRATEGY).includes(strategy)) {
+      throw new IllegalArgumentError(`${strategy} is not a valid import strategy`);
+    }
+
+    return strategy;
+  }
+
+  // parses a settings bundle, and gets the preference of every file in it, migrated and checked against the schema, so
+  // that nothing is imported if one of them is invalid. Redacted keys are left out, the current values of them are kept
+  function decodeBundle(sourcePath, data) {
+    if (data === null) throw new IllegalArgumentError(`There's no settings bundle at ${sourcePath}`);
+    const bundle = readBundle(data);
+
+    return bundle.files.map(function (file) {
+      const importedOb = cloneJSON(file.preferences);
+      file.redactedKeys.forEach((keyPath) => deleteIn(importedOb, keyPath, pruneEmptyParents));
+
+      if (bundle.migrationVersion !== null) importedOb[Constants.META_KEY] = { version: bundle.migrationVersion };
+      const migratedOb = needsMigration(importedOb)
+        ? runMigrations(importedOb, migrations, migrationVersions, importedOb[Constants.META_KEY]?.version)
+        : importedOb;
+
+      validatePreferences(migratedOb);
+      return { name: file.name, importedOb: withoutMeta(migratedOb), redactedKeys: file.redactedKeys };
+    });
+  }
+
+  // creates the modification which imports a preference file of a settings bundle, see modifyPreferences()
+  function toImport({ importedOb, redactedKeys }, strategy) {
+    return function (preferenceOb) {
+      const resultOb =
+        strategy === Constants.IMPORT_STRATEGY.REPLACE
+          ? cloneJSON(importedOb)
+          : mergeDefaults(withoutMeta(preferenceOb), cloneJSON(importedOb));
+
+      redactedKeys
+        .filter((keyPath) => hasIn(preferenceOb, keyPath))
+        .forEach((keyPath) => setIn(resultOb, keyPath, cloneJSON(getIn(preferenceOb, keyPath))));
+
+      Object.keys(preferenceOb).forEach((key) => delete preferenceOb[`${key}`]);
+      Object.assign(preferenceOb, resultOb);
+    };
+  }
+
+  // checks that every preference file of a settings bundle was imported
+  function checkImported(files, isPersisted) {
+    files.forEach(function ({ name }, i) {
+      if (!isPersisted[`${i}`]) throw new IllegalStateError(`Unable to write the imported preference to ${name}`);
+    });
+
+    return files.map(({ name }) => name);
+  }
+
+  /**
+   * Asynchronously imports the preference files of a settings bundle, see exportSettings(). Every preference file is
+   * imported under its name, next to the default preference file. The values of redacted keys are never imported
+   *
+   * @param {string} sourcePath   - the path to the settings bundle
+   * @param {JSON}   options      - strategy; "merge", which merges the values of the bundle into the preference files, or
+   *                                "replace", which replaces the preference files with the ones of the bundle
+   * @returns {Promise<string[]>}   a Promise that resolves to the names of the imported preference files
+   */
+  async function importSettings(sourcePath, options = {}) {
+    const strategy = toImportStrategy(sourcePath, options);
+    const files = decodeBundle(sourcePath, await storage.read(sourcePath));
+
+    const isPersisted = await Promise.all(files.map((file) => modifyPreferences(file.name, toImport(file, strategy))));
+    return checkImported(files, isPersisted);
+  }
+
+  /**
+   * Synchronously imports the preference files of a settings bundle, see importSettings()
+   *
+   * @param {string} sourcePath - the path to the settings bundle
+   * @param {JSON}   options    - strategy, see importSettings()
+   * @returns {string[]}          the names of the imported preference files
+   */
+  function importSettingsSync(sourcePath, options = {}) {
+    const strategy = toImportStrategy(sourcePath, options);
+    const files = decodeBundle(sourcePath, storage.readSync(sourcePath));
+
+    const isPersisted = files.map((file) => modifyPreferencesSync(file.name, toImport(file, strategy)));
+    return checkImported(files, isPersisted);
+  }
+
+  /**
+   * Asynchronously imports the preference files of a settings bundle, see importSettings()
+   *
+   * @param {string}   sourcePath - the path to the settings bundle
+   * @param {JSON}     options    - strategy, see importSettings()
+   * @param {Function} callbackfn - a Node-Js qualified callback with any error that occurred as the first argument and the names of the imported preference files as the second argument
+   */
+  function importSettings_c(sourcePath, options, callbackfn) {
+    toCallback(importSettings(sourcePath, options || {}), callbackfn);
   }
 
   const DICTIONARY = Object.freeze({
@@ -721,6 +2906,24 @@ function __exports(config = {}) {
     getStates,
     getStatesSync,
     getStates_c,
+    getNumber,
+    getNumberSync,
+    getNumber_c,
+    getInteger,
+    getIntegerSync,
+    getInteger_c,
+    getBoolean,
+    getBooleanSync,
+    getBoolean_c,
+    getJSON,
+    getJSONSync,
+    getJSON_c,
+    getDate,
+    getDateSync,
+    getDate_c,
+    getEnum,
+    getEnumSync,
+    getEnum_c,
     setStateSync,
     setState,
     setState_c,
@@ -741,9 +2944,59 @@ function __exports(config = {}) {
     deserialize_c,
     deleteFile,
     deleteFile_c,
-    deleteFileSync
+    deleteFileSync,
+    flush,
+    flushSync,
+    getAll,
+    getAllSync,
+    getAll_c,
+    getSource,
+    getSourceSync,
+    getSource_c,
+    reset,
+    resetSync,
+    reset_c,
+    resetAll,
+    resetAllSync,
+    resetAll_c,
+    on,
+    once,
+    off,
+    onDidChange,
+    watch,
+    unwatch,
+    scope,
+    transaction,
+    transactionSync,
+    transaction_c,
+    getActiveProfile,
+    setActiveProfile,
+    listProfiles,
+    listProfilesSync,
+    listProfiles_c,
+    createProfile,
+    createProfileSync,
+    createProfile_c,
+    copyProfile,
+    copyProfileSync,
+    copyProfile_c,
+    renameProfile,
+    renameProfileSync,
+    renameProfile_c,
+    deleteProfile,
+    deleteProfileSync,
+    deleteProfile_c,
+    exportSettings,
+    exportSettingsSync,
+    exportSettings_c,
+    importSettings,
+    importSettingsSync,
+    importSettings_c
   });
 
+  if (shouldWatch) resolveElectronUserDataPath();
+  if (shouldWatch && defaultPreferenceFilePath) watch();
+
   return DICTIONARY;
 }
 
@@ -761,3 +3014,24 @@ module.exports = __exports;
  * @returns {JSON} the required APIs
  */
 module.exports.defaults = __exports();
+
+/**
+ * gets the directory in which an app keeps its per-user settings, see the appName option
+ *
+ * @returns {Function} the function computing the directory from the name of the app
+ */
+module.exports.getUserDataDirectory = getUserDataDirectory;
+
+/**
+ * the storage adapters preferences can be read from and written to, see the storage option
+ *
+ * @returns {JSON} the functions creating and checking storage adapters
+ */
+module.exports.storage = require("./storage");
+
+/**
+ * the bridge through which Electron renderer processes use the settings of the main process
+ *
+ * @returns {JSON} the functions registering the IPC handlers in the main process, and creating the API of a renderer
+ */
+module.exports.ipc = require("./ipc");
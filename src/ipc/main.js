@@ -0,0 +1,129 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { IllegalArgumentError } = require("../error");
+const { parseKeyPath, isPlainObject } = require("../key-path");
+const { DEFAULT_CHANNEL, METHODS, getChannelName } = require("./preload");
+
+/**
+ * Registers the IPC handlers through which renderer processes use the settings, see createSettingsBridge() in
+ * ./preload. A renderer can only read the keys in readableKeys and write the keys in writableKeys, along with the keys
+ * nested in them. A renderer can't choose the preference file, the preference file of the active profile is used
+ *
+ * @param {JSON} ipcMain  - the ipcMain module of Electron, or any object with its handle and removeHandler functions
+ * @param {JSON} settings - the settings API used by the handlers
+ * @param {JSON} options  - channel, the prefix of the IPC channels; readableKeys and writableKeys, the allow-lists; and
+ *                          dotNotation, true if dots in the keys sent by a renderer separate their segments
+ * @returns {Function}      a function which removes the handlers, and stops every change subscription
+ */
+module.exports.registerSettingsHandlers = function (ipcMain, settings, options = {}) {
+  const { channel = DEFAULT_CHANNEL, readableKeys = [], writableKeys = [], dotNotation = false } = options;
+
+  if (!Array.isArray(readableKeys) || !Array.isArray(writableKeys)) {
+    throw new IllegalArgumentError("readableKeys and writableKeys must be arrays of keys");
+  }
+
+  const readablePaths = readableKeys.map((key) => parseKeyPath(key, dotNotation));
+  const writablePaths = writableKeys.map((key) => parseKeyPath(key, dotNotation));
+  // the functions which stop the change subscriptions of every renderer, keyed by the webContents of the renderer, then
+  // by the id of the subscription
+  const subscriptions = new Map();
+
+  // converts a key sent by a renderer to its key path, so that the settings don't split it any differently than it was
+  // checked against the allow-list
+  function toAllowedKeyPath(key, allowedPaths, access) {
+    if (typeof key !== "string") throw new IllegalArgumentError(`${key} must be a String`);
+
+    const keyPath = parseKeyPath(key, dotNotation);
+    const isAllowed = allowedPaths.some((allowedPath) => allowedPath.every((segment, i) => keyPath[i] === segment));
+    if (!isAllowed) throw new IllegalArgumentError(`A renderer isn't allowed to ${access} ${key}`);
+
+    return keyPath;
+  }
+
+  const toReadableKeyPath = (key) => toAllowedKeyPath(key, readablePaths, "read");
+  const toWritableKeyPath = (key) => toAllowedKeyPath(key, writablePaths, "write");
+
+  const handlers = {
+    getState: (key, defaultValue) => settings.getState(toReadableKeyPath(key), defaultValue),
+    getStates(keys) {
+      if (!Array.isArray(keys)) throw new IllegalArgumentError("states must be a qualified Array object");
+      return settings.getStates(keys.map(toReadableKeyPath));
+    },
+    hasKey: (key) => settings.hasKey(toReadableKeyPath(key)),
+    setState: (key, value) => settings.setState(toWritableKeyPath(key), value),
+    setStates(states) {
+      if (!isPlainObject(states)) throw new IllegalArgumentError("states must be a qualified JSON object");
+      const entries = Object.keys(states).map((key) => [toWritableKeyPath(key), states[`${key}`]]);
+      return settings.transaction((tx) => entries.map(([keyPath, value]) => tx.setState(keyPath, value)));
+    },
+    deleteKey: (key) => settings.deleteKey(toWritableKeyPath(key))
+  };
+
+  function unsubscribe(sender, id) {
+    const senderSubscriptions = subscriptions.get(sender);
+    if (!senderSubscriptions || !senderSubscriptions.has(id)) return false;
+
+    senderSubscriptions.get(id)();
+    senderSubscriptions.delete(id);
+    return true;
+  }
+
+  function unsubscribeAll(sender) {
+    (subscriptions.get(sender) || new Map()).forEach((stopfn) => stopfn());
+    subscriptions.delete(sender);
+  }
+
+  // sends the changes to the value of a key to the renderer, until it unsubscribes or is destroyed
+  function subscribe(sender, id, key) {
+    const keyPath = toReadableKeyPath(key);
+
+    if (!subscriptions.has(sender)) {
+      subscriptions.set(sender, new Map());
+      sender.once("destroyed", () => unsubscribeAll(sender));
+    }
+
+    unsubscribe(sender, id);
+    subscriptions.get(sender).set(
+      id,
+      settings.onDidChange(keyPath, (newValue, oldValue) => {
+        sender.send(getChannelName(channel, "change"), id, newValue, oldValue);
+      })
+    );
+  }
+
+  METHODS.forEach(function (method) {
+    ipcMain.handle(getChannelName(channel, method), async (event, ...args) => handlers[`${method}`](...args));
+  });
+  ipcMain.handle(getChannelName(channel, "subscribe"), async (event, id, key) => subscribe(event.sender, id, key));
+  ipcMain.handle(getChannelName(channel, "unsubscribe"), async (event, id) => unsubscribe(event.sender, id));
+
+  return function () {
+    METHODS.concat(["subscribe", "unsubscribe"]).forEach((name) => ipcMain.removeHandler(getChannelName(channel, name)));
+    [...subscriptions.keys()].forEach(unsubscribeAll);
+  };
+};
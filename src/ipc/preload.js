@@ -0,0 +1,111 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+// this module doesn't require any other module, so that it can be bundled into a sandboxed preload script on its own.
+// The names of the IPC channels are defined here for that reason, and the main process gets them from here too
+
+// the prefix of the IPC channels used by the bridge, unless another one is set
+const DEFAULT_CHANNEL = "node-user-settings";
+
+// the functions of the settings API a renderer can invoke, each through its own channel
+const METHODS = Object.freeze(["getState", "getStates", "hasKey", "setState", "setStates", "deleteKey"]);
+
+/**
+ * Gets the name of the IPC channel of a function of the bridge, or of the change notifications
+ *
+ * @param {string} channel - the prefix of the channels
+ * @param {string} name    - the name of the function, "subscribe", "unsubscribe" or "change"
+ * @returns {string}         the name of the channel
+ */
+function getChannelName(channel, name) {
+  return `${channel}:${name}`;
+}
+
+/**
+ * Creates the API through which a renderer process uses the settings, by invoking the IPC handlers registered using
+ * registerSettingsHandlers() in the main process. It has getState(), getStates(), hasKey(), setState(), setStates()
+ * and deleteKey(), returning Promises, and onDidChange(). It can be exposed to the renderer using
+ * contextBridge.exposeInMainWorld()
+ *
+ * @param {JSON} ipcRenderer - the ipcRenderer module of Electron, or any object with its invoke, on and removeListener
+ *                             functions
+ * @param {JSON} options     - channel, the prefix of the IPC channels, which must be the one used by the handlers
+ * @returns {JSON}             the API
+ */
+function createSettingsBridge(ipcRenderer, options = {}) {
+  const { channel = DEFAULT_CHANNEL } = options;
+  const changeChannel = getChannelName(channel, "change");
+  // the listeners of the change subscriptions, keyed by the id of the subscription
+  const listeners = new Map();
+  let nextId = 1;
+
+  function onChange(event, id, newValue, oldValue) {
+    if (listeners.has(id)) listeners.get(id)(newValue, oldValue);
+  }
+
+  async function stopListening(id) {
+    if (!listeners.delete(id)) return false;
+    if (listeners.size === 0) ipcRenderer.removeListener(changeChannel, onChange);
+    return ipcRenderer.invoke(getChannelName(channel, "unsubscribe"), id);
+  }
+
+  /**
+   * Listens for changes to the value of a key, whether it was changed by the main process, a renderer or externally
+   *
+   * @param {string}   key        - the key in the preference in which it's value would be listened to
+   * @param {Function} callbackfn - a function called with the new value as the first argument and the old value as the
+   *                                second argument
+   * @returns {Promise<Function>}   a Promise that resolves to a function which stops listening when called, or rejects
+   *                                if the renderer isn't allowed to read the key, or with a TypeError if callbackfn isn't
+   *                                a function
+   */
+  async function onDidChange(key, callbackfn) {
+    if (typeof callbackfn !== "function") throw new TypeError("callbackfn must be a function");
+
+    const id = nextId++;
+    if (listeners.size === 0) ipcRenderer.on(changeChannel, onChange);
+    listeners.set(id, callbackfn);
+
+    try {
+      await ipcRenderer.invoke(getChannelName(channel, "subscribe"), id, key);
+    } catch (err) {
+      await stopListening(id);
+      throw err;
+    }
+
+    return () => stopListening(id);
+  }
+
+  const api = { onDidChange };
+  METHODS.forEach(function (method) {
+    api[`${method}`] = (...args) => ipcRenderer.invoke(getChannelName(channel, method), ...args);
+  });
+
+  return Object.freeze(api);
+}
+
+module.exports = { DEFAULT_CHANNEL, METHODS, getChannelName, createSettingsBridge };
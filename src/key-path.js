@@ -0,0 +1,162 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { IllegalArgumentError, IllegalStateError } = require("./error");
+
+// segments that could be used to pollute the prototype of the preference object
+const FORBIDDEN_SEGMENTS = Object.freeze(["__proto__", "prototype", "constructor"]);
+
+// checks if a value is an object that can hold nested keys
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Splits a key into the segments of its path
+ *
+ * A key can be an array of segments, or a string. When dot notation is enabled, a string key is split at every dot,
+ * a dot that is part of a segment can be escaped using a backslash, e.g "files\\.exclude"
+ *
+ * @param {string | string[]} key         - the key to be split
+ * @param {boolean}           dotNotation - true if dots in a string key separates its segments
+ * @returns {string[]}                      the segments of the key's path
+ */
+module.exports.parseKeyPath = function (key, dotNotation) {
+  let segments;
+
+  if (Array.isArray(key)) {
+    segments = key.map((segment) => `${segment}`);
+  } else if (dotNotation) {
+    segments = [""];
+    for (let i = 0; i < `${key}`.length; i++) {
+      const char = `${key}`[i];
+      if (char === "\\" && i + 1 < `${key}`.length) {
+        segments[segments.length - 1] += `${key}`[++i];
+      } else if (char === ".") {
+        segments.push("");
+      } else {
+        segments[segments.length - 1] += char;
+      }
+    }
+  } else {
+    segments = [`${key}`];
+  }
+
+  if (segments.length === 0 || (segments.length > 1 && segments.includes(""))) {
+    throw new IllegalArgumentError(`${key} is not a valid key path`);
+  }
+
+  if (segments.some((segment) => FORBIDDEN_SEGMENTS.includes(segment))) {
+    throw new IllegalArgumentError(`${key} contains a forbidden key path segment`);
+  }
+
+  return segments;
+};
+
+/**
+ * Checks if a value exists at the specified path
+ *
+ * @param {JSON}     preferenceOb - the object to be checked
+ * @param {string[]} keyPath      - the segments of the path
+ * @returns {boolean}               true if the path exists in the object
+ */
+module.exports.hasIn = function (preferenceOb, keyPath) {
+  let current = preferenceOb;
+
+  for (const segment of keyPath) {
+    if (!isPlainObject(current) || !Object.prototype.hasOwnProperty.call(current, segment)) return false;
+    current = current[segment];
+  }
+
+  return true;
+};
+
+/**
+ * Gets the value at the specified path
+ *
+ * @param {JSON}     preferenceOb - the object in which the value would be retrieved
+ * @param {string[]} keyPath      - the segments of the path
+ * @returns {*}                     the value at the path, or undefined if the path doesn't exist
+ */
+module.exports.getIn = function (preferenceOb, keyPath) {
+  return module.exports.hasIn(preferenceOb, keyPath)
+    ? keyPath.reduce((current, segment) => current[segment], preferenceOb)
+    : undefined;
+};
+
+/**
+ * Sets the value at the specified path, creating the intermediate objects that don't exist
+ *
+ * @param {JSON}     preferenceOb - the object in which the value would be set
+ * @param {string[]} keyPath      - the segments of the path
+ * @param {*}        value        - the value to be set
+ * @returns {*}                     the value that was set
+ */
+module.exports.setIn = function (preferenceOb, keyPath, value) {
+  let current = preferenceOb;
+
+  keyPath.slice(0, -1).forEach((segment, index) => {
+    // inherited properties, e.g toString, don't exist in the object
+    if (!Object.prototype.hasOwnProperty.call(current, segment)) {
+      current[segment] = {};
+    } else if (!isPlainObject(current[segment])) {
+      const parentPath = keyPath.slice(0, index + 1).join(".");
+      throw new IllegalStateError(`${parentPath} already holds a value that is not an object`);
+    }
+    current = current[segment];
+  });
+
+  return (current[keyPath[keyPath.length - 1]] = value);
+};
+
+/**
+ * Deletes the value at the specified path
+ *
+ * @param {JSON}     preferenceOb      - the object in which the value would be deleted
+ * @param {string[]} keyPath           - the segments of the path
+ * @param {boolean}  pruneEmptyParents - true if parent objects left empty after the deletion should also be deleted
+ * @returns {boolean}                    true if a value was deleted
+ */
+module.exports.deleteIn = function (preferenceOb, keyPath, pruneEmptyParents) {
+  if (!module.exports.hasIn(preferenceOb, keyPath)) return false;
+
+  const parents = [preferenceOb];
+  keyPath.slice(0, -1).forEach((segment) => parents.push(parents[parents.length - 1][segment]));
+
+  delete parents[parents.length - 1][keyPath[keyPath.length - 1]];
+
+  if (pruneEmptyParents) {
+    for (let i = parents.length - 1; i > 0 && Object.keys(parents[i]).length === 0; i--) {
+      delete parents[i - 1][keyPath[i - 1]];
+    }
+  }
+
+  return true;
+};
+
+module.exports.isPlainObject = isPlainObject;
+module.exports.FORBIDDEN_SEGMENTS = FORBIDDEN_SEGMENTS;
@@ -0,0 +1,101 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { IllegalArgumentError } = require("./error");
+const { parseKeyPath, setIn, isPlainObject } = require("./key-path");
+
+// separates the segments of a nested key in the name of an environment variable, e.g APP_window__width
+const ENV_SEPARATOR = "__";
+
+/**
+ * Checks that a value is a valid list of layers. Every layer has a unique name, along with one source: values, an
+ * object; filePath, the path to a read-only preference file; or envPrefix, the prefix of the environment variables
+ * holding its values. Exactly one layer has no source, that layer is the preference file, which is written
+ *
+ * @param {JSON[]} layers       - the value to be checked
+ * @throws {IllegalArgumentError} if a layer is invalid
+ */
+module.exports.checkLayers = function (layers) {
+  if (!Array.isArray(layers)) throw new IllegalArgumentError("layers must be an array of layers");
+
+  const names = new Set();
+  let preferenceFileLayers = 0;
+
+  layers.forEach(function (layer) {
+    if (!isPlainObject(layer) || typeof layer.name !== "string" || layer.name.length === 0) {
+      throw new IllegalArgumentError("Every layer must be an object with a name");
+    } else if (names.has(layer.name)) {
+      throw new IllegalArgumentError(`There's more than one layer named ${layer.name}`);
+    }
+    names.add(layer.name);
+
+    const sources = ["values", "filePath", "envPrefix"].filter((source) => layer[source] !== undefined);
+    if (sources.length > 1) throw new IllegalArgumentError(`The ${layer.name} layer has more than one source`);
+    if (sources.length === 0) preferenceFileLayers++;
+
+    if (layer.values !== undefined && !isPlainObject(layer.values)) {
+      throw new IllegalArgumentError(`The values of the ${layer.name} layer must be an object`);
+    } else if (layer.filePath !== undefined && (typeof layer.filePath !== "string" || layer.filePath.length === 0)) {
+      throw new IllegalArgumentError(`The filePath of the ${layer.name} layer must be a path`);
+    } else if (layer.envPrefix !== undefined && (typeof layer.envPrefix !== "string" || layer.envPrefix.length === 0)) {
+      throw new IllegalArgumentError(`The envPrefix of the ${layer.name} layer must be a non-empty string`);
+    }
+  });
+
+  if (preferenceFileLayers !== 1) {
+    throw new IllegalArgumentError("Exactly one layer, the preference file, must have no values, filePath or envPrefix");
+  }
+};
+
+/**
+ * Collects the values of the environment variables starting with a prefix. The rest of the name of a variable is its
+ * key, where a double underscore separates the segments of a nested key, e.g APP_window__width sets window.width.
+ * Variables whose names aren't valid keys are ignored
+ *
+ * @param {JSON}     env        - the environment variables
+ * @param {string}   prefix     - the prefix of the variables to be collected
+ * @param {Function} parseValue - converts the value of a variable to the value of its key
+ * @returns {JSON}                the values, as a preference object
+ */
+module.exports.getEnvironmentValues = function (env, prefix, parseValue) {
+  const values = {};
+
+  Object.keys(env)
+    .filter((name) => name.startsWith(prefix) && name.length > prefix.length)
+    .sort()
+    .forEach(function (name) {
+      try {
+        const keyPath = parseKeyPath(name.slice(prefix.length).split(ENV_SEPARATOR), false);
+        if (keyPath.includes("")) return;
+        setIn(values, keyPath, parseValue(env[name]));
+      } catch (err) {
+        // the name isn't a valid key, or it conflicts with another variable, e.g APP_window and APP_window__width
+      }
+    });
+
+  return values;
+};
@@ -0,0 +1,337 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const fsp = require("fs/promises");
+const fs = require("fs");
+const crypto = require("crypto");
+const Constants = require("./pref-constants");
+const { IllegalStateError } = require("./error");
+
+// the name of the file, in a lock directory, which holds the token of the owner of the lock
+const OWNER_FILE_NAME = "owner";
+
+// the locks currently held by this process, keyed by the path to the lock, with the number of times each is held, the
+// token identifying this process as its owner, and the timer which keeps the lock from being considered stale
+const heldLocks = new Map();
+
+// gets the path to the lock of a file. The lock is a directory, because creating a directory is atomic on every platform
+function getLockPath(filePath) {
+  return `${filePath}.lock`;
+}
+
+function getOwnerPath(lockPath) {
+  return path.join(lockPath, OWNER_FILE_NAME);
+}
+
+// creates a token which is unique to an acquisition of a lock
+function createToken() {
+  return `${process.pid}.${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// merges the specified lock options with the default lock options
+function getLockOptions(options = {}) {
+  return {
+    timeout: options.timeout ?? Constants.RETRY_TIMEOUT,
+    stale: options.stale ?? Constants.STALE_LOCK_TIMEOUT,
+    retryInterval: options.retryInterval ?? Constants.LOCK_RETRY_INTERVAL
+  };
+}
+
+// checks if a lock was last updated long enough ago to be considered abandoned by a crashed process. The owner of a
+// lock updates it regularly for as long as the lock is held
+function isStale(stats, options) {
+  return Date.now() - stats.mtimeMs > options.stale;
+}
+
+function createTimeoutError(filePath, options) {
+  return new IllegalStateError(`Timed out after ${options.timeout}ms while waiting for the lock on ${filePath}`);
+}
+
+function readOwner(lockPath) {
+  return fsp.readFile(getOwnerPath(lockPath), "utf-8").catch(() => null);
+}
+
+function readOwnerSync(lockPath) {
+  try {
+    return fs.readFileSync(getOwnerPath(lockPath), "utf-8");
+  } catch (err) {
+    return null;
+  }
+}
+
+async function removeLock(lockPath) {
+  await fsp.unlink(getOwnerPath(lockPath)).catch(() => {});
+  await fsp.rmdir(lockPath).catch(() => {});
+}
+
+function removeLockSync(lockPath) {
+  try {
+    fs.unlinkSync(getOwnerPath(lockPath));
+  } catch (err) {
+    // the lock has no owner yet
+  }
+
+  try {
+    fs.rmdirSync(lockPath);
+  } catch (err) {
+    // ignored
+  }
+}
+
+// updates the time at which a lock was last updated, so that it isn't considered stale
+function refreshSync(lockPath) {
+  try {
+    const now = new Date();
+    fs.utimesSync(lockPath, now, now);
+  } catch (err) {
+    // the lock was removed in the meantime
+  }
+}
+
+// updates every lock held by this process. Used while this process is blocked, as the timers can't update them then
+function refreshHeldLocksSync() {
+  for (const lockPath of heldLocks.keys()) refreshSync(lockPath);
+}
+
+function markHeld(lockPath, token, options) {
+  const held = heldLocks.get(lockPath);
+  if (held) {
+    held.count++;
+    return;
+  }
+
+  const timer = setInterval(() => {
+    const now = new Date();
+    fsp.utimes(lockPath, now, now).catch(() => {});
+  }, Math.max(options.stale / 3, 1));
+  timer.unref?.();
+
+  heldLocks.set(lockPath, { count: 1, token, timer });
+}
+
+// marks a lock as released once, returning the token of its owner if this process doesn't hold it anymore
+function markReleased(lockPath) {
+  const held = heldLocks.get(lockPath);
+  if (--held.count > 0) return null;
+
+  clearInterval(held.timer);
+  heldLocks.delete(lockPath);
+  return held.token;
+}
+
+// blocks the current thread for the specified time
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Asynchronously takes over a stale lock. The lock is claimed by renaming it, which only one of the processes waiting
+ * for it can do, and given back if it turns out to have been replaced by a new lock in the meantime
+ *
+ * @param {string} lockPath - the path to the stale lock
+ * @param {JSON}   options  - the lock options
+ */
+async function takeOverStaleLock(lockPath, options) {
+  const owner = await readOwner(lockPath);
+  const claimedPath = `${lockPath}.${createToken()}`;
+
+  try {
+    await fsp.rename(lockPath, claimedPath);
+  } catch (err) {
+    return; // another process took over the stale lock
+  }
+
+  const stats = await fsp.stat(claimedPath).catch(() => null);
+  if ((stats && !isStale(stats, options)) || (await readOwner(claimedPath)) !== owner) {
+    await fsp.rename(claimedPath, lockPath).catch(() => {});
+  } else {
+    await removeLock(claimedPath);
+  }
+}
+
+/**
+ * Synchronously takes over a stale lock, see takeOverStaleLock()
+ *
+ * @param {string} lockPath - the path to the stale lock
+ * @param {JSON}   options  - the lock options
+ */
+function takeOverStaleLockSync(lockPath, options) {
+  const owner = readOwnerSync(lockPath);
+  const claimedPath = `${lockPath}.${createToken()}`;
+
+  try {
+    fs.renameSync(lockPath, claimedPath);
+  } catch (err) {
+    return; // another process took over the stale lock
+  }
+
+  let stats = null;
+  try {
+    stats = fs.statSync(claimedPath);
+  } catch (err) {
+    // ignored
+  }
+
+  if ((stats && !isStale(stats, options)) || readOwnerSync(claimedPath) !== owner) {
+    try {
+      fs.renameSync(claimedPath, lockPath);
+    } catch (err) {
+      // ignored
+    }
+  } else {
+    removeLockSync(claimedPath);
+  }
+}
+
+/**
+ * Asynchronously acquires an advisory lock on a file, retrying until the lock is free or the timeout elapses.
+ * The lock is kept up to date while it is held, and a lock that hasn't been updated for longer than the stale timeout
+ * is considered abandoned and is taken over
+ *
+ * @param {string}   filePath                - the path to the file to be locked
+ * @param {JSON}     [options]               - the lock options
+ * @param {number}   [options.timeout]       - the time in milliseconds to wait for the lock
+ * @param {number}   [options.stale]         - the time in milliseconds after which a lock is considered abandoned
+ * @param {number}   [options.retryInterval] - the time in milliseconds between attempts to acquire the lock
+ * @returns {Promise<Function>}                a Promise that resolves to an async function which releases the lock
+ */
+module.exports.lock = async function (filePath, options) {
+  options = getLockOptions(options);
+  const lockPath = getLockPath(filePath);
+  const deadline = Date.now() + options.timeout;
+  const token = createToken();
+
+  for (;;) {
+    try {
+      await fsp.mkdir(lockPath);
+      break;
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        await fsp.mkdir(path.dirname(filePath), { recursive: true });
+        continue;
+      } else if (err.code !== "EEXIST") {
+        throw err;
+      }
+    }
+
+    const stats = await fsp.stat(lockPath).catch(() => null);
+    if (stats && isStale(stats, options)) {
+      await takeOverStaleLock(lockPath, options);
+    } else if (Date.now() >= deadline) {
+      throw createTimeoutError(filePath, options);
+    } else {
+      await new Promise((resolve) => setTimeout(resolve, options.retryInterval));
+    }
+  }
+
+  try {
+    await fsp.writeFile(getOwnerPath(lockPath), token, "utf-8");
+  } catch (err) {
+    await removeLock(lockPath);
+    throw err;
+  }
+
+  markHeld(lockPath, token, options);
+
+  return async function release() {
+    const owner = markReleased(lockPath);
+    // the lock is only removed if it wasn't taken over by another process in the meantime
+    if (owner && (await readOwner(lockPath)) === owner) await removeLock(lockPath);
+  };
+};
+
+/**
+ * Synchronously acquires an advisory lock on a file, retrying until the lock is free or the timeout elapses.
+ * The lock is kept up to date while it is held, and a lock that hasn't been updated for longer than the stale timeout
+ * is considered abandoned and is taken over.
+ *
+ * Please note: the asynchronous operations of this process can't progress while this function waits, so a lock that
+ * is already held by this process is shared instead of waited for, and the other locks held by this process are kept
+ * up to date by this function while it waits
+ *
+ * @param {string}   filePath                - the path to the file to be locked
+ * @param {JSON}     [options]               - the lock options, see lock()
+ * @returns {Function}                         a function which releases the lock
+ */
+module.exports.lockSync = function (filePath, options) {
+  options = getLockOptions(options);
+  const lockPath = getLockPath(filePath);
+  const deadline = Date.now() + options.timeout;
+  const token = createToken();
+
+  const release = function () {
+    const owner = markReleased(lockPath);
+    // the lock is only removed if it wasn't taken over by another process in the meantime
+    if (owner && readOwnerSync(lockPath) === owner) removeLockSync(lockPath);
+  };
+
+  if (heldLocks.has(lockPath)) {
+    markHeld(lockPath, token, options);
+    return release;
+  }
+
+  for (;;) {
+    try {
+      fs.mkdirSync(lockPath);
+      break;
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        continue;
+      } else if (err.code !== "EEXIST") {
+        throw err;
+      }
+    }
+
+    let stats = null;
+    try {
+      stats = fs.statSync(lockPath);
+    } catch (err) {
+      // the lock was released in the meantime
+    }
+
+    if (stats && isStale(stats, options)) {
+      takeOverStaleLockSync(lockPath, options);
+    } else if (Date.now() >= deadline) {
+      throw createTimeoutError(filePath, options);
+    } else {
+      refreshHeldLocksSync();
+      sleepSync(options.retryInterval);
+    }
+  }
+
+  try {
+    fs.writeFileSync(getOwnerPath(lockPath), token, "utf-8");
+  } catch (err) {
+    removeLockSync(lockPath);
+    throw err;
+  }
+
+  markHeld(lockPath, token, options);
+  return release;
+};
@@ -0,0 +1,76 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { isPlainObject } = require("./key-path");
+const { isDeepEqual } = require("./util");
+
+// gets the value of a key of an object, unless it's inherited
+function getOwn(ob, key) {
+  return isPlainObject(ob) && Object.prototype.hasOwnProperty.call(ob, key) ? ob[key] : undefined;
+}
+
+// merges the values of a key, see mergePreferences()
+function mergeValues(keyPath, baseValue, ourValue, theirValue, resolveConflict) {
+  if (isDeepEqual(ourValue, theirValue) || isDeepEqual(baseValue, theirValue)) return ourValue;
+  if (isDeepEqual(baseValue, ourValue)) return theirValue;
+
+  if (isPlainObject(ourValue) && isPlainObject(theirValue)) {
+    return mergeObjects(keyPath, isPlainObject(baseValue) ? baseValue : {}, ourValue, theirValue, resolveConflict);
+  }
+
+  return resolveConflict(keyPath, baseValue, ourValue, theirValue);
+}
+
+// merges the keys of objects, see mergePreferences()
+function mergeObjects(keyPath, baseOb, ourOb, theirOb, resolveConflict) {
+  const keys = new Set([...Object.keys(ourOb), ...Object.keys(theirOb), ...Object.keys(baseOb)]);
+
+  return Object.fromEntries(
+    [...keys]
+      .map((key) => [
+        key,
+        mergeValues(keyPath.concat(key), getOwn(baseOb, key), getOwn(ourOb, key), getOwn(theirOb, key), resolveConflict)
+      ])
+      .filter(([_key, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Merges two versions of a preference object which were both changed since a common version of it, their base. A key
+ * changed in only one of the versions takes its changed value, while nested objects are merged key by key. A key
+ * changed differently in both versions is a conflict
+ *
+ * @param {JSON}     baseOb          - the common version of the preference object
+ * @param {JSON}     ourOb           - the version changed by this process
+ * @param {JSON}     theirOb         - the version changed externally, e.g by hand
+ * @param {Function} resolveConflict - called with the key path, the base value, our value and their value of every
+ *                                     conflicting key, returns the value to be kept, or undefined to delete the key
+ * @returns {JSON}                     the merged preference object
+ */
+module.exports.mergePreferences = function (baseOb, ourOb, theirOb, resolveConflict) {
+  return mergeObjects([], baseOb, ourOb, theirOb, resolveConflict);
+};
@@ -0,0 +1,137 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { IllegalArgumentError, IllegalStateError } = require("./error");
+const { cloneJSON } = require("./util");
+
+const SEMVER = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const INTEGER = /^\d+$/;
+
+// splits a version into its numeric parts and its pre-release identifiers. An integer version n is treated as n.0.0
+function parseVersion(version) {
+  if (INTEGER.test(`${version}`)) return { numbers: [Number(version), 0, 0], preRelease: [] };
+
+  const match = SEMVER.exec(`${version}`);
+  if (!match) throw new IllegalArgumentError(`${version} is not a valid semver or integer version`);
+
+  return { numbers: match.slice(1, 4).map(Number), preRelease: match[4] ? match[4].split(".") : [] };
+}
+
+// compares two pre-release identifiers, numeric identifiers are lower than alphanumeric ones
+function compareIdentifiers(identifier1, identifier2) {
+  const isNumeric1 = INTEGER.test(identifier1);
+  const isNumeric2 = INTEGER.test(identifier2);
+
+  if (isNumeric1 && isNumeric2) return Number(identifier1) - Number(identifier2);
+  if (isNumeric1 !== isNumeric2) return isNumeric1 ? -1 : 1;
+  return identifier1 < identifier2 ? -1 : identifier1 > identifier2 ? 1 : 0;
+}
+
+/**
+ * Compares two semver or integer versions
+ *
+ * @param {string | number} version1 - the first version
+ * @param {string | number} version2 - the second version
+ * @returns {number}                   a negative number if version1 is lower, a positive number if it's higher, or 0
+ */
+function compareVersions(version1, version2) {
+  const parsed1 = parseVersion(version1);
+  const parsed2 = parseVersion(version2);
+
+  for (let i = 0; i < 3; i++) {
+    if (parsed1.numbers[i] !== parsed2.numbers[i]) return parsed1.numbers[i] - parsed2.numbers[i];
+  }
+
+  // a pre-release is lower than its release
+  if (parsed1.preRelease.length === 0 || parsed2.preRelease.length === 0) {
+    return parsed2.preRelease.length - parsed1.preRelease.length;
+  }
+
+  for (let i = 0; i < Math.min(parsed1.preRelease.length, parsed2.preRelease.length); i++) {
+    const result = compareIdentifiers(parsed1.preRelease[i], parsed2.preRelease[i]);
+    if (result !== 0) return result;
+  }
+
+  return parsed1.preRelease.length - parsed2.preRelease.length;
+}
+
+/**
+ * Checks the migrations and sorts their versions in the order in which they would run
+ *
+ * @param {JSON} migrations - an object mapping semver or integer versions to the functions migrating to them
+ * @returns {string[]}        the sorted versions
+ */
+module.exports.sortMigrations = function (migrations) {
+  if (migrations === null || typeof migrations !== "object" || Array.isArray(migrations)) {
+    throw new IllegalArgumentError("migrations must be an object mapping versions to functions");
+  }
+
+  Object.keys(migrations).forEach(function (version) {
+    parseVersion(version);
+    if (typeof migrations[version] !== "function") {
+      throw new IllegalArgumentError(`The migration to ${version} must be a function`);
+    }
+  });
+
+  return Object.keys(migrations).sort(compareVersions);
+};
+
+/**
+ * Runs the migrations to the versions that are higher than *fromVersion*, in order, on a copy of the preference object
+ * A migration modifies the preference object it receives, or returns a replacement for it
+ *
+ * @param {JSON}     preferenceOb - the preference object to be migrated, it's not modified
+ * @param {JSON}     migrations   - an object mapping semver or integer versions to the functions migrating to them
+ * @param {string[]} versions     - the versions of the migrations, sorted using sortMigrations()
+ * @param {string}   fromVersion  - the version the preference object was last migrated to, or undefined if it never was
+ * @returns {JSON}                  the migrated preference object
+ * @throws {IllegalStateError}      if a migration throws, or doesn't leave an object behind
+ */
+module.exports.runMigrations = function (preferenceOb, migrations, versions, fromVersion) {
+  let migratedOb = cloneJSON(preferenceOb);
+
+  versions
+    .filter((version) => fromVersion === undefined || compareVersions(version, fromVersion) > 0)
+    .forEach(function (version) {
+      try {
+        const result = migrations[version](migratedOb);
+        if (result !== undefined) migratedOb = result;
+      } catch (err) {
+        throw new IllegalStateError(`The migration to ${version} failed: ${err.message}`);
+      }
+
+      if (typeof migratedOb?.then === "function") {
+        throw new IllegalStateError(`The migration to ${version} must be synchronous`);
+      } else if (migratedOb === null || typeof migratedOb !== "object" || Array.isArray(migratedOb)) {
+        throw new IllegalStateError(`The migration to ${version} didn't leave an object behind`);
+      }
+    });
+
+  return migratedOb;
+};
+
+module.exports.compareVersions = compareVersions;
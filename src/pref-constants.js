@@ -23,13 +23,48 @@
  *
  **/
 
- "use-strict";
+"use-strict";
 
 const Constants = Object.freeze({
   PREFERENCE_FILE_NAME: "Settings.json",
   FILE_NAME: "Settings",
   FILE_EXT: "json",
-  RETRY_TIMEOUT: 3000
+  RETRY_TIMEOUT: 3000,
+  STALE_LOCK_TIMEOUT: 10000,
+  LOCK_RETRY_INTERVAL: 50,
+  WRITE_BEHIND_DELAY: 1000,
+  WATCH_INTERVAL: 500,
+  WATCH_DEBOUNCE: 100,
+  BACKUP_COUNT: 0,
+  // the key under which the module records its own data, such as the applied migration version, in a preference file
+  META_KEY: "__internal__",
+  // the names of the layer of the preference file when no layers are set, and of the defaults, as reported by getSource()
+  PREFERENCE_FILE_LAYER: "user",
+  DEFAULTS_LAYER: "defaults",
+  // the directory, next to the default preference file, in which the preference files of the profiles are kept
+  PROFILES_DIR: "profiles",
+  // the value which replaces a redacted value, e.g in an exported settings bundle
+  REDACTED: "[REDACTED]",
+  STORAGE_MODE: Object.freeze({
+    STRING: "string",
+    TYPED: "typed"
+  }),
+  CACHE_MODE: Object.freeze({
+    NONE: "none",
+    WRITE_THROUGH: "write-through",
+    WRITE_BEHIND: "write-behind"
+  }),
+  // how a key changed both by this process and externally since the preference file was read is merged, unless a
+  // function resolving the conflict is set
+  MERGE_STRATEGY: Object.freeze({
+    OURS: "ours",
+    THEIRS: "theirs"
+  }),
+  // how the preference files of a settings bundle are imported
+  IMPORT_STRATEGY: Object.freeze({
+    MERGE: "merge",
+    REPLACE: "replace"
+  })
 });
 
 module.exports = Constants;
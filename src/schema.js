@@ -0,0 +1,415 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { isPlainObject } = require("./key-path");
+const { isDeepEqual } = require("./util");
+const { IllegalArgumentError } = require("./error");
+
+// the keywords whose value is a schema, or an array of schemas
+const SUBSCHEMA_KEYWORDS = Object.freeze([
+  "items",
+  "additionalItems",
+  "contains",
+  "additionalProperties",
+  "propertyNames",
+  "allOf",
+  "anyOf",
+  "oneOf",
+  "not",
+  "if",
+  "then",
+  "else"
+]);
+// the keywords whose value is an object of schemas
+const SUBSCHEMA_MAP_KEYWORDS = Object.freeze(["properties", "patternProperties", "definitions", "dependencies"]);
+
+// the regular expressions of the patterns in schemas, so that a pattern isn't compiled again for every value
+const compiledPatterns = new Map();
+
+// gets the regular expression of a pattern in a schema. Throws a SyntaxError if the pattern isn't valid
+function getPattern(pattern) {
+  let regExp = compiledPatterns.get(pattern);
+  if (!regExp) compiledPatterns.set(pattern, (regExp = new RegExp(pattern, "u")));
+  return regExp;
+}
+
+// gets the JSON Schema type of a value
+function getType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// checks if a value has a JSON Schema type. An integer is also a number
+function hasType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return getType(value) === type;
+}
+
+// formats the path to a value, for error messages
+function formatPath(valuePath) {
+  return valuePath.length === 0 ? "the preference" : valuePath.join(".");
+}
+
+// records a violation of the schema by the value at *valuePath*
+function addViolation(errors, valuePath, message) {
+  errors.push({ path: valuePath, message: `${formatPath(valuePath)} ${message}` });
+}
+
+// resolves a local reference, e.g "#/definitions/color", against the root schema
+function resolveRef(rootSchema, ref) {
+  if (ref === "#") return rootSchema;
+  if (!ref.startsWith("#/")) return undefined;
+
+  return ref
+    .slice(2)
+    .split("/")
+    .map((segment) => decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((schema, segment) => (isPlainObject(schema) ? schema[segment] : undefined), rootSchema);
+}
+
+// validates a value against a schema, pushing every violation into *errors*. *refs* are the references
+// followed to get to the schema without descending into the value, so that a reference to itself isn't followed forever
+function validate(rootSchema, schema, value, valuePath, errors, refs = []) {
+  if (schema === true || schema === undefined) return;
+
+  if (schema === false) {
+    addViolation(errors, valuePath, "is not allowed");
+    return;
+  }
+
+  if (schema.$ref !== undefined) {
+    const resolved = resolveRef(rootSchema, schema.$ref);
+    if (resolved === undefined) addViolation(errors, valuePath, `references an unknown schema ${schema.$ref}`);
+    else if (refs.includes(schema.$ref)) addViolation(errors, valuePath, "references a schema which only references itself");
+    else validate(rootSchema, resolved, value, valuePath, errors, [...refs, schema.$ref]);
+    // in draft-07 every other keyword next to $ref is ignored
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      addViolation(errors, valuePath, `must be of type ${types.join(" or ")}, but it is of type ${getType(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((allowed) => isDeepEqual(allowed, value))) {
+    addViolation(errors, valuePath, `must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(", ")}`);
+  }
+
+  if (schema.const !== undefined && !isDeepEqual(schema.const, value)) {
+    addViolation(errors, valuePath, `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "number") validateNumber(schema, value, valuePath, errors);
+  if (typeof value === "string") validateString(schema, value, valuePath, errors);
+  if (Array.isArray(value)) validateArray(rootSchema, schema, value, valuePath, errors);
+  if (isPlainObject(value)) validateObject(rootSchema, schema, value, valuePath, errors);
+
+  validateCombinations(rootSchema, schema, value, valuePath, errors);
+}
+
+function validateNumber(schema, value, valuePath, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    addViolation(errors, valuePath, `must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    addViolation(errors, valuePath, `must be <= ${schema.maximum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    addViolation(errors, valuePath, `must be > ${schema.exclusiveMinimum}`);
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    addViolation(errors, valuePath, `must be < ${schema.exclusiveMaximum}`);
+  }
+  if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+    addViolation(errors, valuePath, `must be a multiple of ${schema.multipleOf}`);
+  }
+}
+
+function validateString(schema, value, valuePath, errors) {
+  // the length of a string is counted in code points
+  const length = [...value].length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    addViolation(errors, valuePath, `must have at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    addViolation(errors, valuePath, `must have at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern !== undefined && !getPattern(schema.pattern).test(value)) {
+    addViolation(errors, valuePath, `must match the pattern ${schema.pattern}`);
+  }
+}
+
+function validateArray(rootSchema, schema, value, valuePath, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    addViolation(errors, valuePath, `must have at least ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    addViolation(errors, valuePath, `must have at most ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems && value.some((item, index) => value.findIndex((other) => isDeepEqual(item, other)) !== index)) {
+    addViolation(errors, valuePath, "must not have duplicate items");
+  }
+
+  if (Array.isArray(schema.items)) {
+    // tuple validation, items past the listed schemas are validated against additionalItems
+    value.forEach(function (item, index) {
+      const itemSchema = index < schema.items.length ? schema.items[index] : schema.additionalItems;
+      validate(rootSchema, itemSchema, item, [...valuePath, index], errors);
+    });
+  } else if (schema.items !== undefined) {
+    value.forEach((item, index) => validate(rootSchema, schema.items, item, [...valuePath, index], errors));
+  }
+
+  if (schema.contains !== undefined && !value.some((item) => isValid(rootSchema, schema.contains, item))) {
+    addViolation(errors, valuePath, "must contain an item matching its schema");
+  }
+}
+
+function validateObject(rootSchema, schema, value, valuePath, errors) {
+  const keys = Object.keys(value);
+  const properties = schema.properties || {};
+  const patternProperties = schema.patternProperties || {};
+
+  (schema.required || []).forEach(function (key) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) addViolation(errors, [...valuePath, key], "is required");
+  });
+
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    addViolation(errors, valuePath, `must have at least ${schema.minProperties} keys`);
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    addViolation(errors, valuePath, `must have at most ${schema.maxProperties} keys`);
+  }
+
+  keys.forEach(function (key) {
+    const keyPath = [...valuePath, key];
+    let isDeclared = false;
+
+    if (schema.propertyNames !== undefined && !isValid(rootSchema, schema.propertyNames, key)) {
+      addViolation(errors, keyPath, "is not a valid key name");
+    }
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      isDeclared = true;
+      validate(rootSchema, properties[key], value[key], keyPath, errors);
+    }
+
+    Object.keys(patternProperties).forEach(function (pattern) {
+      if (getPattern(pattern).test(key)) {
+        isDeclared = true;
+        validate(rootSchema, patternProperties[pattern], value[key], keyPath, errors);
+      }
+    });
+
+    if (!isDeclared && schema.additionalProperties === false) {
+      addViolation(errors, keyPath, "is not an allowed key");
+    } else if (!isDeclared && schema.additionalProperties !== undefined) {
+      validate(rootSchema, schema.additionalProperties, value[key], keyPath, errors);
+    }
+  });
+
+  if (isPlainObject(schema.dependencies)) {
+    Object.keys(schema.dependencies).forEach(function (key) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) return;
+      const dependency = schema.dependencies[key];
+
+      if (Array.isArray(dependency)) {
+        dependency
+          .filter((requiredKey) => !Object.prototype.hasOwnProperty.call(value, requiredKey))
+          .forEach((requiredKey) => addViolation(errors, [...valuePath, requiredKey], `is required by ${key}`));
+      } else {
+        validate(rootSchema, dependency, value, valuePath, errors);
+      }
+    });
+  }
+}
+
+function validateCombinations(rootSchema, schema, value, valuePath, errors) {
+  if (schema.allOf !== undefined)
+    schema.allOf.forEach((subSchema) => validate(rootSchema, subSchema, value, valuePath, errors));
+
+  if (schema.anyOf !== undefined && !schema.anyOf.some((subSchema) => isValid(rootSchema, subSchema, value, valuePath))) {
+    addViolation(errors, valuePath, "must match at least one of its schemas");
+  }
+
+  if (schema.oneOf !== undefined) {
+    const matches = schema.oneOf.filter((subSchema) => isValid(rootSchema, subSchema, value, valuePath)).length;
+    if (matches !== 1) addViolation(errors, valuePath, `must match exactly one of its schemas, but it matches ${matches}`);
+  }
+
+  if (schema.not !== undefined && isValid(rootSchema, schema.not, value, valuePath)) {
+    addViolation(errors, valuePath, "must not match its schema");
+  }
+
+  if (schema.if !== undefined) {
+    const branch = isValid(rootSchema, schema.if, value, valuePath) ? schema.then : schema.else;
+    validate(rootSchema, branch, value, valuePath, errors);
+  }
+}
+
+// checks if a value is valid against a schema, without collecting the violations
+function isValid(rootSchema, schema, value, valuePath = []) {
+  const errors = [];
+  validate(rootSchema, schema, value, valuePath, errors);
+  return errors.length === 0;
+}
+
+function getViolations(schema, value) {
+  const errors = [];
+  validate(schema, schema, value, [], errors);
+  return errors;
+}
+
+// gets the paths to the values which differ between two values. Objects are compared key by key, any other value as a whole
+function getChangedPaths(previousValue, value, valuePath) {
+  if (!isPlainObject(previousValue) || !isPlainObject(value)) {
+    return isDeepEqual(previousValue, value) ? [] : [valuePath];
+  }
+
+  return [...new Set([...Object.keys(previousValue), ...Object.keys(value)])].flatMap((key) =>
+    getChangedPaths(previousValue[key], value[key], [...valuePath, key])
+  );
+}
+
+// checks if *valuePath* is *parentPath*, or the path to a value inside it
+function isPathWithin(valuePath, parentPath) {
+  return parentPath.every((segment, index) => index < valuePath.length && String(valuePath[index]) === String(segment));
+}
+
+/**
+ * Validates a value against a JSON Schema
+ *
+ * A subset of draft-07 is supported: type, enum, const, the numeric, string, array and object keywords, allOf, anyOf,
+ * oneOf, not, if/then/else and local $ref's, e.g "#/definitions/color". Other keywords, such as format, are ignored
+ *
+ * @param {JSON} schema - the JSON Schema
+ * @param {*}    value  - the value to be validated
+ * @returns {string[]}    a message for every violation of the schema, empty if the value is valid
+ */
+module.exports.validateSchema = function (schema, value) {
+  return getViolations(schema, value).map((violation) => violation.message);
+};
+
+/**
+ * Validates the changes made to a value against a JSON Schema, see validateSchema(). Only the violations of the changed
+ * values, and the new violations of the values containing them, are reported, so that a value which was already
+ * invalid, e.g one edited by hand, doesn't fail the validation of every unrelated change
+ *
+ * @param {JSON} schema        - the JSON Schema
+ * @param {*}    value         - the changed value to be validated
+ * @param {*}    previousValue - the value before it was changed
+ * @returns {string[]}           a message for every violation of the schema by the changes, empty if they are valid
+ */
+module.exports.validateSchemaChanges = function (schema, value, previousValue) {
+  const violations = getViolations(schema, value);
+  if (violations.length === 0) return [];
+
+  const changedPaths = getChangedPaths(previousValue, value, []);
+  const previousMessages = getViolations(schema, previousValue).map((violation) => violation.message);
+
+  // a violation by a changed value is caused by the change, while a violation by a value containing a changed value, e.g
+  // a missing required key, is only caused by the change if it's new
+  const isChanged = (violation) => changedPaths.some((changedPath) => isPathWithin(violation.path, changedPath));
+  const containsChange = (violation) => changedPaths.some((changedPath) => isPathWithin(changedPath, violation.path));
+
+  return violations
+    .filter(
+      (violation) => isChanged(violation) || (containsChange(violation) && !previousMessages.includes(violation.message))
+    )
+    .map((violation) => violation.message);
+};
+
+// compiles every pattern in a schema and in the schemas nested in it. Throws an IllegalArgumentError if a pattern isn't
+// valid
+function compilePatterns(schema) {
+  if (Array.isArray(schema)) return schema.forEach(compilePatterns);
+  if (!isPlainObject(schema)) return;
+
+  const patterns = Object.keys(isPlainObject(schema.patternProperties) ? schema.patternProperties : {});
+  if (typeof schema.pattern === "string") patterns.push(schema.pattern);
+  patterns.forEach(function (pattern) {
+    try {
+      getPattern(pattern);
+    } catch (err) {
+      throw new IllegalArgumentError(`The schema has an invalid pattern ${pattern}: ${err.message}`);
+    }
+  });
+
+  SUBSCHEMA_KEYWORDS.forEach((keyword) => compilePatterns(schema[keyword]));
+  SUBSCHEMA_MAP_KEYWORDS.filter((keyword) => isPlainObject(schema[keyword])).forEach((keyword) =>
+    Object.values(schema[keyword]).forEach(compilePatterns)
+  );
+}
+
+/**
+ * Compiles the patterns of a JSON Schema, so that a pattern which isn't a valid regular expression is reported when the
+ * schema is loaded, instead of when a value is validated against it
+ *
+ * @param {JSON} schema - the JSON Schema
+ * @throws {IllegalArgumentError} if a pattern isn't a valid regular expression
+ */
+module.exports.compileSchema = function (schema) {
+  compilePatterns(schema);
+};
+
+// gets the default values declared in a schema. *refs* are the references followed to get to the schema, so that a
+// recursive schema, e.g a menu item with a submenu of items, stops at the first reference to a schema it's already in
+function collectDefaults(rootSchema, schema, refs) {
+  if (!isPlainObject(schema)) return undefined;
+  if (schema.$ref !== undefined) {
+    if (refs.includes(schema.$ref)) return undefined;
+    return collectDefaults(rootSchema, resolveRef(rootSchema, schema.$ref), [...refs, schema.$ref]);
+  }
+  if (schema.default !== undefined) return schema.default;
+  if (!isPlainObject(schema.properties)) return undefined;
+
+  const defaults = {};
+  Object.keys(schema.properties).forEach(function (key) {
+    const value = collectDefaults(rootSchema, schema.properties[key], refs);
+    if (value !== undefined) defaults[key] = value;
+  });
+
+  return Object.keys(defaults).length > 0 ? defaults : undefined;
+}
+
+/**
+ * Gets the default values declared in a JSON Schema, as an object with the same shape as the values it describes.
+ * Defaults of nested properties are included, unless the parent property declares its own default. The defaults of a
+ * recursive schema are only collected until it references a schema it's already in
+ *
+ * @param {JSON} schema - the JSON Schema
+ * @returns {*}           the default values, or undefined if the schema declares none
+ */
+module.exports.getSchemaDefaults = function (schema) {
+  return collectDefaults(schema, schema, []);
+};
@@ -0,0 +1,110 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const util = require("util");
+const Constants = require("./pref-constants");
+const { isPlainObject } = require("./key-path");
+
+// the segment of a pattern matching any number of segments of a key path, including none
+const ANY_SEGMENTS = "**";
+
+// converts a segment of a pattern to a regular expression, where * matches any number of characters
+function toSegmentRegExp(segment) {
+  const source = segment
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+// checks if a key path matches the segments of a pattern, from the given indexes on
+function matchesPattern(patternSegments, keyPath, patternIndex = 0, keyIndex = 0) {
+  if (patternIndex === patternSegments.length) return keyIndex === keyPath.length;
+
+  const segment = patternSegments[patternIndex];
+  if (segment === ANY_SEGMENTS) {
+    for (let i = keyIndex; i <= keyPath.length; i++) {
+      if (matchesPattern(patternSegments, keyPath, patternIndex + 1, i)) return true;
+    }
+    return false;
+  }
+
+  return (
+    keyIndex < keyPath.length &&
+    segment.test(keyPath[keyIndex]) &&
+    matchesPattern(patternSegments, keyPath, patternIndex + 1, keyIndex + 1)
+  );
+}
+
+/**
+ * Creates the functions which mask the values of sensitive keys. A sensitive key is given by a pattern: a key path in
+ * which * matches any characters of a segment, and a ** segment matches any number of segments, e.g ["**", "*token"]
+ * matches every key ending with "token", however deeply it's nested
+ *
+ * @param {string[][]} patterns - the key paths of the patterns
+ * @returns {JSON}                isSensitive(keyPath), checking if a key is sensitive; mask(value, keyPath), copying a
+ *                                value with the values of its sensitive keys replaced with a placeholder;
+ *                                getSensitiveKeyPaths(value), getting the paths of the sensitive keys of a value; and
+ *                                withMaskedInspect(ob, maskfn), making ob show the masked value of maskfn() when it's
+ *                                inspected, e.g by console.log()
+ */
+module.exports.createSensitiveKeyMasker = function (patterns) {
+  const patternSegments = patterns.map((keyPath) =>
+    keyPath.map((segment) => (segment === ANY_SEGMENTS ? segment : toSegmentRegExp(segment)))
+  );
+
+  function isSensitive(keyPath) {
+    return keyPath.length > 0 && patternSegments.some((segments) => matchesPattern(segments, keyPath));
+  }
+
+  function mask(value, keyPath = []) {
+    if (isSensitive(keyPath)) return Constants.REDACTED;
+    if (!isPlainObject(value)) return value;
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nestedValue]) => [key, mask(nestedValue, keyPath.concat(key))])
+    );
+  }
+
+  function getSensitiveKeyPaths(value, keyPath = []) {
+    if (isSensitive(keyPath)) return [keyPath];
+    if (!isPlainObject(value)) return [];
+
+    return Object.keys(value).flatMap((key) => getSensitiveKeyPaths(value[`${key}`], keyPath.concat(key)));
+  }
+
+  function withMaskedInspect(ob, maskfn) {
+    if (patterns.length === 0 || ob === null || typeof ob !== "object") return ob;
+
+    return Object.defineProperty(ob, util.inspect.custom, {
+      value: (_depth, options) => util.inspect(maskfn(), options),
+      configurable: true
+    });
+  }
+
+  return { isSensitive, mask, getSensitiveKeyPaths, withMaskedInspect };
+};
@@ -0,0 +1,181 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const fsp = require("fs/promises");
+const fs = require("fs");
+const { writeFileAtomic, writeFileAtomicSync, writeFileAtomic_c } = require("../atomic-write");
+const { lock, lockSync } = require("../lock");
+
+// gets a token identifying the version of a file. Atomic writes replace the file, changing its inode
+function toVersion(stats) {
+  return stats ? `${stats.ino}:${stats.size}:${stats.mtimeMs}` : null;
+}
+
+// resolves to *missingValue* instead of failing when the file doesn't exist
+function unlessMissing(promise, missingValue) {
+  return promise.catch(function (err) {
+    if (err.code === "ENOENT") return missingValue;
+    throw err;
+  });
+}
+
+// runs a synchronous file operation, returning *missingValue* instead of throwing when the file doesn't exist
+function unlessMissingSync(operation, missingValue) {
+  try {
+    return operation();
+  } catch (err) {
+    if (err.code === "ENOENT") return missingValue;
+    throw err;
+  }
+}
+
+// calls back with *missingValue* instead of an error when the file doesn't exist
+function unlessMissing_c(callbackfn, missingValue) {
+  return function (err, result) {
+    if (err?.code === "ENOENT") callbackfn(null, missingValue);
+    else callbackfn(err, result);
+  };
+}
+
+/**
+ * Creates the default storage adapter, which stores every preference file on the file system. Files are replaced
+ * atomically, locked across processes using lock directories, and watched by polling
+ *
+ * @returns {JSON} the storage adapter
+ */
+module.exports.createFileSystemAdapter = function () {
+  async function create(filePath, data) {
+    try {
+      await fsp.writeFile(filePath, data, { encoding: "utf-8", flag: "wx" });
+    } catch (err) {
+      if (err.code === "EEXIST") return;
+      if (err.code !== "ENOENT") throw err;
+
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, data, { encoding: "utf-8", flag: "wx" }).catch(function (err) {
+        if (err.code !== "EEXIST") throw err;
+      });
+    }
+  }
+
+  function createSync(filePath, data) {
+    try {
+      fs.writeFileSync(filePath, data, { encoding: "utf-8", flag: "wx" });
+    } catch (err) {
+      if (err.code === "EEXIST") return;
+      if (err.code !== "ENOENT") throw err;
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      createSync(filePath, data);
+    }
+  }
+
+  function create_c(filePath, data, callbackfn) {
+    fs.writeFile(filePath, data, { encoding: "utf-8", flag: "wx" }, function (err) {
+      if (!err || err.code === "EEXIST") return callbackfn(null);
+      if (err.code !== "ENOENT") return callbackfn(err);
+
+      fs.mkdir(path.dirname(filePath), { recursive: true }, function (err) {
+        if (err) return callbackfn(err);
+        fs.writeFile(filePath, data, { encoding: "utf-8", flag: "wx" }, (err) =>
+          callbackfn(err && err.code !== "EEXIST" ? err : null)
+        );
+      });
+    });
+  }
+
+  // lists the names of the files in a directory, ignoring the directories in it, e.g lock directories
+  async function list(dirPath) {
+    const entries = await unlessMissing(fsp.readdir(dirPath, { withFileTypes: true }), []);
+    return entries.filter((entry) => entry.isFile()).map((entry) => entry.name);
+  }
+
+  function listSync(dirPath) {
+    const entries = unlessMissingSync(() => fs.readdirSync(dirPath, { withFileTypes: true }), []);
+    return entries.filter((entry) => entry.isFile()).map((entry) => entry.name);
+  }
+
+  function list_c(dirPath, callbackfn) {
+    fs.readdir(
+      dirPath,
+      { withFileTypes: true },
+      unlessMissing_c(function (err, entries) {
+        if (err) callbackfn(err);
+        else
+          callbackfn(
+            null,
+            entries.filter((entry) => entry.isFile()).map((entry) => entry.name)
+          );
+      }, [])
+    );
+  }
+
+  // polls the file, because watching it directly stops working after it's replaced, e.g by an atomic write
+  function watch(filePath, listenerfn, options = {}) {
+    const watcher = () => listenerfn();
+    fs.watchFile(filePath, { persistent: false, interval: options.interval }, watcher);
+    return () => fs.unwatchFile(filePath, watcher);
+  }
+
+  return Object.freeze({
+    read: (filePath) => unlessMissing(fsp.readFile(filePath, "utf8"), null),
+    readSync: (filePath) => unlessMissingSync(() => fs.readFileSync(filePath, "utf8"), null),
+    read_c: (filePath, callbackfn) => fs.readFile(filePath, "utf8", unlessMissing_c(callbackfn, null)),
+    create,
+    createSync,
+    create_c,
+    write: writeFileAtomic,
+    writeSync: writeFileAtomicSync,
+    write_c: writeFileAtomic_c,
+    remove: (filePath) =>
+      unlessMissing(
+        fsp.unlink(filePath).then(() => true),
+        false
+      ),
+    removeSync: (filePath) => unlessMissingSync(() => fs.unlinkSync(filePath) || true, false),
+    remove_c: (filePath, callbackfn) => fs.unlink(filePath, (err) => unlessMissing_c(callbackfn, false)(err, true)),
+    rename: (fromPath, toPath) =>
+      unlessMissing(
+        fsp.rename(fromPath, toPath).then(() => true),
+        false
+      ),
+    renameSync: (fromPath, toPath) => unlessMissingSync(() => fs.renameSync(fromPath, toPath) || true, false),
+    rename_c: (fromPath, toPath, callbackfn) =>
+      fs.rename(fromPath, toPath, (err) => unlessMissing_c(callbackfn, false)(err, true)),
+    getVersion: (filePath) => fsp.stat(filePath).then(toVersion, () => null),
+    getVersionSync: (filePath) => toVersion(fs.statSync(filePath, { throwIfNoEntry: false })),
+    getVersion_c: (filePath, callbackfn) =>
+      fs.stat(filePath, (err, stats) => callbackfn(null, err ? null : toVersion(stats))),
+    list,
+    listSync,
+    list_c,
+    lock,
+    lockSync,
+    watch
+  });
+};
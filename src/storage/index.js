@@ -0,0 +1,70 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const { IllegalArgumentError } = require("../error");
+const { createFileSystemAdapter } = require("./fs");
+const { createSyncAdapter, OPERATIONS, OPTIONAL_OPERATIONS } = require("./sync-adapter");
+const { createMemoryAdapter } = require("./memory");
+const { createLocalStorageAdapter } = require("./local-storage");
+const { createSqliteAdapter } = require("./sqlite");
+
+/**
+ * Checks that a value implements the storage adapter interface
+ *
+ * @param {JSON} storage        - the value to be checked
+ * @throws {IllegalArgumentError} if an operation, or a flavor of an optional operation, is missing
+ */
+function checkStorageAdapter(storage) {
+  if (storage === null || typeof storage !== "object") {
+    throw new IllegalArgumentError("storage must be a storage adapter");
+  }
+
+  OPERATIONS.flatMap((operation) => [operation, `${operation}Sync`, `${operation}_c`]).forEach(function (name) {
+    if (typeof storage[name] !== "function") throw new IllegalArgumentError(`The storage adapter has no ${name} function`);
+  });
+
+  OPTIONAL_OPERATIONS.forEach(function (operation) {
+    const flavors = [operation, `${operation}Sync`, `${operation}_c`];
+    const count = flavors.filter((name) => typeof storage[name] === "function").length;
+    if (count !== 0 && count !== flavors.length) {
+      throw new IllegalArgumentError(`The storage adapter must have every flavor of ${operation}, or none of them`);
+    }
+  });
+
+  if ((typeof storage.lock === "function") !== (typeof storage.lockSync === "function")) {
+    throw new IllegalArgumentError("The storage adapter must have both a lock and a lockSync function, or neither");
+  }
+}
+
+module.exports = {
+  checkStorageAdapter,
+  createFileSystemAdapter,
+  createSyncAdapter,
+  createMemoryAdapter,
+  createLocalStorageAdapter,
+  createSqliteAdapter
+};
@@ -0,0 +1,84 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const { IllegalArgumentError } = require("../error");
+const { createSyncAdapter } = require("./sync-adapter");
+
+/**
+ * Creates a storage adapter keeping every preference file in a localStorage-like storage, e.g window.localStorage in
+ * an Electron renderer. The storage only needs the getItem, setItem and removeItem functions, along with the key function
+ * and the length property to list the profiles
+ *
+ * @param {Storage} storage - the storage, defaults to the global localStorage
+ * @param {string}  prefix  - a prefix added to the keys of the preference files in the storage
+ * @returns {JSON}            the storage adapter
+ */
+module.exports.createLocalStorageAdapter = function (storage = globalThis.localStorage, prefix = "node-user-settings:") {
+  if (!storage || ["getItem", "setItem", "removeItem"].some((name) => typeof storage[name] !== "function")) {
+    throw new IllegalArgumentError(
+      "A localStorage-like storage, with getItem, setItem and removeItem functions, is required"
+    );
+  }
+
+  const toItemKey = (key) => `${prefix}${key}`;
+  const readSync = (key) => storage.getItem(toItemKey(key));
+  const writeSync = (key, data) => storage.setItem(toItemKey(key), `${data}`);
+
+  function removeSync(key) {
+    if (readSync(key) === null) return false;
+    storage.removeItem(toItemKey(key));
+    return true;
+  }
+
+  // lists the keys of the preference files in a directory, if the storage can enumerate its keys
+  function listSync(dirKey) {
+    const keys = [];
+    for (let index = 0; index < storage.length; index++) {
+      const itemKey = storage.key(index);
+      if (itemKey !== null && itemKey.startsWith(prefix)) keys.push(itemKey.slice(prefix.length));
+    }
+
+    return keys.filter((key) => path.dirname(key) === dirKey).map((key) => path.basename(key));
+  }
+
+  return createSyncAdapter({
+    readSync,
+    createSync: (key, data) => readSync(key) !== null || writeSync(key, data),
+    writeSync,
+    removeSync,
+    renameSync(fromKey, toKey) {
+      const data = readSync(fromKey);
+      if (data === null) return false;
+      writeSync(toKey, data);
+      return removeSync(fromKey);
+    },
+    // the storage keeps no metadata, so the data itself tells its versions apart
+    getVersionSync: readSync,
+    listSync: typeof storage.key === "function" ? listSync : undefined
+  });
+};
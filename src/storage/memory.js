@@ -0,0 +1,77 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const { createSyncAdapter } = require("./sync-adapter");
+
+/**
+ * Creates a storage adapter keeping every preference file in memory, e.g for tests. Settings created with the same
+ * adapter share their preference files, and see each other's changes when watching them
+ *
+ * @param {JSON} initialData - an optional object mapping preference file paths to their initial data
+ * @returns {JSON}             the storage adapter
+ */
+module.exports.createMemoryAdapter = function (initialData = {}) {
+  const entries = new Map(Object.entries(initialData).map(([key, data]) => [key, { data: `${data}`, version: 0 }]));
+  // listeners watching the preference files, keyed by the path to the preference file
+  const watchers = new Map();
+  let nextVersion = 1;
+
+  function notify(key) {
+    (watchers.get(key) || []).forEach((listenerfn) => process.nextTick(listenerfn));
+  }
+
+  function writeSync(key, data) {
+    entries.set(key, { data: `${data}`, version: nextVersion++ });
+    notify(key);
+  }
+
+  function removeSync(key) {
+    if (!entries.delete(key)) return false;
+    notify(key);
+    return true;
+  }
+
+  return createSyncAdapter({
+    readSync: (key) => (entries.has(key) ? entries.get(key).data : null),
+    createSync: (key, data) => entries.has(key) || writeSync(key, data),
+    writeSync,
+    removeSync,
+    renameSync(fromKey, toKey) {
+      if (!entries.has(fromKey)) return false;
+      writeSync(toKey, entries.get(fromKey).data);
+      return removeSync(fromKey);
+    },
+    getVersionSync: (key) => (entries.has(key) ? entries.get(key).version : null),
+    listSync: (dirKey) => [...entries.keys()].filter((key) => path.dirname(key) === dirKey).map((key) => path.basename(key)),
+    watch(key, listenerfn) {
+      if (!watchers.has(key)) watchers.set(key, new Set());
+      watchers.get(key).add(listenerfn);
+      return () => watchers.get(key).delete(listenerfn);
+    }
+  });
+};
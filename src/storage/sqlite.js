@@ -0,0 +1,82 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+const path = require("path");
+const { IllegalArgumentError } = require("../error");
+const { createSyncAdapter } = require("./sync-adapter");
+
+/**
+ * Creates a storage adapter keeping every preference file as a row of a SQLite table. The database is injected, so
+ * that no SQLite driver has to be installed along with this module; any database with the synchronous API of
+ * better-sqlite3, i.e exec() and prepare() returning statements with get(), all() and run(), can be used
+ *
+ * @param {Database} db    - the database
+ * @param {string}   table - the name of the table, which is created if it doesn't exist
+ * @returns {JSON}           the storage adapter
+ */
+module.exports.createSqliteAdapter = function (db, table = "preferences") {
+  if (!db || typeof db.exec !== "function" || typeof db.prepare !== "function") {
+    throw new IllegalArgumentError("A database with the API of better-sqlite3 is required");
+  } else if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new IllegalArgumentError(`${table} is not a valid table name`);
+  }
+
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, data TEXT NOT NULL, version INTEGER NOT NULL)`);
+
+  // versions are unique across the table, so that a renamed row never takes the version of the row it replaces
+  const nextVersion = `(SELECT COALESCE(MAX(version), 0) + 1 FROM ${table})`;
+  const statements = {
+    read: db.prepare(`SELECT data FROM ${table} WHERE key = ?`),
+    getVersion: db.prepare(`SELECT version FROM ${table} WHERE key = ?`),
+    list: db.prepare(`SELECT key FROM ${table}`),
+    create: db.prepare(`INSERT OR IGNORE INTO ${table} (key, data, version) VALUES (?, ?, ${nextVersion})`),
+    write: db.prepare(
+      `INSERT INTO ${table} (key, data, version) VALUES (?, ?, ${nextVersion}) ` +
+        "ON CONFLICT (key) DO UPDATE SET data = excluded.data, version = excluded.version"
+    ),
+    remove: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+    rename: db.prepare(`UPDATE ${table} SET key = ?, version = ${nextVersion} WHERE key = ?`)
+  };
+
+  return createSyncAdapter({
+    readSync: (key) => statements.read.get(key)?.data ?? null,
+    createSync: (key, data) => statements.create.run(key, `${data}`),
+    writeSync: (key, data) => statements.write.run(key, `${data}`),
+    removeSync: (key) => statements.remove.run(key).changes > 0,
+    renameSync(fromKey, toKey) {
+      statements.remove.run(toKey);
+      return statements.rename.run(toKey, fromKey).changes > 0;
+    },
+    getVersionSync: (key) => statements.getVersion.get(key)?.version ?? null,
+    listSync: (dirKey) =>
+      statements.list
+        .all()
+        .map((row) => row.key)
+        .filter((key) => path.dirname(key) === dirKey)
+        .map((key) => path.basename(key))
+  });
+};
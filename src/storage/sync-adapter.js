@@ -0,0 +1,74 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2022 Noah
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ **/
+
+"use-strict";
+
+// the operations every storage adapter implements, each in an asynchronous, a synchronous and a callback flavor
+const OPERATIONS = Object.freeze(["read", "create", "write", "remove", "rename", "getVersion"]);
+// the operations a storage adapter can implement, in the same flavors
+const OPTIONAL_OPERATIONS = Object.freeze(["list"]);
+
+/**
+ * Creates a storage adapter from the synchronous flavor of its operations, for storages that are synchronous by nature.
+ * The asynchronous and callback flavors call the synchronous operations
+ *
+ * The operations are: readSync(key), returning the stored data or null if there's none; createSync(key, data), storing
+ * the data unless data is already stored; writeSync(key, data), replacing the stored data; removeSync(key) and
+ * renameSync(fromKey, toKey), returning false if there was no data; and getVersionSync(key), returning a token that
+ * changes every time the data changes, or null if there's no data. listSync(dirKey), returning the names of the keys in
+ * a directory, e.g the file names of the profiles, is optional. watch(key, listenerfn) is optional, and returns a
+ * function which stops watching
+ *
+ * @param {JSON} operations - the synchronous operations, along with the optional watch function
+ * @returns {JSON}            the storage adapter
+ */
+module.exports.createSyncAdapter = function (operations) {
+  const adapter = {};
+
+  OPERATIONS.concat(OPTIONAL_OPERATIONS.filter((operation) => operations[`${operation}Sync`])).forEach(function (operation) {
+    const syncfn = operations[`${operation}Sync`];
+
+    adapter[`${operation}Sync`] = syncfn;
+    adapter[operation] = async (...args) => syncfn(...args);
+    adapter[`${operation}_c`] = function (...args) {
+      const callbackfn = args.pop();
+      let result;
+
+      try {
+        result = syncfn(...args);
+      } catch (err) {
+        return process.nextTick(callbackfn, err);
+      }
+
+      process.nextTick(callbackfn, null, result);
+    };
+  });
+
+  if (operations.watch) adapter.watch = operations.watch;
+  return Object.freeze(adapter);
+};
+
+module.exports.OPERATIONS = OPERATIONS;
+module.exports.OPTIONAL_OPERATIONS = OPTIONAL_OPERATIONS;
@@ -25,6 +25,8 @@
 
 "use-strict";
 
+const { isPlainObject } = require("./key-path");
+
 // check arguments so that there is no error thrown at runtime; synchronously
 module.exports.checkArgs = function (...args) {
   args.forEach(function (arg) {
@@ -42,3 +44,38 @@ module.exports.checkArgsP = async function (...args) {
     }
   });
 };
+
+// calls a Node-Js qualified callback with the outcome of a Promise, outside of the Promise chain, so that errors thrown
+// by the callback are not swallowed
+module.exports.toCallback = function (promise, callbackfn) {
+  promise.then(
+    (result) => process.nextTick(callbackfn, null, result),
+    (err) => process.nextTick(callbackfn, err)
+  );
+};
+
+// deeply copies a value that can be represented in JSON
+module.exports.cloneJSON = function (value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+// checks if two values that can be represented in JSON are deeply equal
+module.exports.isDeepEqual = function isDeepEqual(value1, value2) {
+  if (value1 === value2) return true;
+  if (typeof value1 !== "object" || typeof value2 !== "object" || value1 === null || value2 === null) return false;
+  if (Array.isArray(value1) !== Array.isArray(value2)) return false;
+
+  const keys1 = Object.keys(value1);
+  const keys2 = Object.keys(value2);
+  return keys1.length === keys2.length && keys1.every((key) => keys2.includes(key) && isDeepEqual(value1[key], value2[key]));
+};
+
+// fills the values missing from *value* with *defaults*, merging nested objects. Neither of them is modified
+module.exports.mergeDefaults = function mergeDefaults(defaults, value) {
+  if (value === undefined) return defaults;
+  if (!isPlainObject(defaults) || !isPlainObject(value)) return value;
+
+  const merged = { ...value };
+  Object.keys(defaults).forEach((key) => (merged[key] = mergeDefaults(defaults[key], value[key])));
+  return merged;
+};
@@ -2,6 +2,9 @@ const { describe, expect, test, afterEach } = require("@jest/globals");
 const { pumpPreference, getTempFileDirectoryFromPath, pumpPreferenceSync, deleteSettings} = require("./utils");
 require("dotenv").config();
 const path = require("path");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const { IllegalArgumentError, IllegalStateError, DecryptionError } = require("../src/error");
 
 const settings = require("../src/index")({
   preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
@@ -10,8 +13,10 @@ const settings = require("../src/index")({
 });
 
 afterEach(async () => {
-  await deleteSettings(settings.getDefaultPreferenceFilePath());
-  await deleteSettings(process.env.OPTIONAL_FILENAME);
+  // not every test creates both files, so missing files are ignored
+  const tmpPath = getTempFileDirectoryFromPath(settings.getDefaultPreferenceFilePath(), process.env.OPTIONAL_FILENAME);
+  await deleteSettings(settings.getDefaultPreferenceFilePath()).catch(() => {});
+  await deleteSettings(tmpPath).catch(() => {});
 });
 
 describe("General settings api tests", () => {
@@ -418,3 +423,2372 @@ describe("Anonymous API tests", () => {
     expect(newFilePathAfterOverride).toBe(normalizedPath);
   });
 });
+
+describe("Typed storage mode tests", () => {
+  const typedSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "TypedSettings",
+    fileExt: "json",
+    storageMode: "typed"
+  });
+
+  afterEach(async () => {
+    await deleteSettings(typedSettings.getDefaultPreferenceFilePath()).catch(() => {});
+  });
+
+  test("throws an exception while trying to use an invalid storage mode", () => {
+    expect(() => require("../src/index")({ storageMode: "binary" })).toThrowError();
+  });
+
+  test("asynchronously persists and retrieves values without changing their types", async () => {
+    const states = { count: 3, enabled: false, nothing: null, list: [1, "2"], nested: { a: { b: true } } };
+    await typedSettings.setStates(states);
+
+    let values = await typedSettings.getStates(Object.keys(states));
+    expect(values).toEqual(Object.values(states));
+  });
+
+  test("synchronously persists and retrieves values without changing their types", () => {
+    typedSettings.setStateSync("enabled", true);
+
+    expect(typedSettings.getStateSync("enabled")).toBe(true);
+    expect(typedSettings.getStateSync("missing", 10)).toBe(10);
+    expect(typedSettings.getStatesSync(["missing"])).toEqual([undefined]);
+  });
+
+  test("asynchronously persists and retrieves values without changing their types, using callbacks", (done) => {
+    typedSettings.setState_c("size", 12.5, null, (err) => {
+      expect(err).toBe(null);
+
+      typedSettings.getState_c("size", null, null, (err, value) => {
+        expect(err).toBe(null);
+        expect(value).toBe(12.5);
+        done();
+      });
+    });
+  });
+
+  test("retrieves a default value as it was given", (done) => {
+    const date = new Date(0);
+    const list = [1, 2];
+
+    expect(typedSettings.getStateSync("missing", date)).toBe(date);
+    typedSettings.getState("missing", list).then((value) => {
+      expect(value).toBe(list);
+
+      typedSettings.getState_c("missing", date, null, (err, value) => {
+        expect(err).toBe(null);
+        expect(value).toBe(date);
+        done();
+      });
+    });
+  });
+
+  test("reads preference files written in string mode", async () => {
+    await pumpPreference(typedSettings.getDefaultPreferenceFilePath(), { enabled: true });
+
+    let value = await typedSettings.getState("enabled");
+    expect(value).toBe("true");
+  });
+});
+
+describe("Nested key path tests", () => {
+  const nestedSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "NestedSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    dotNotation: true,
+    pruneEmptyParents: true
+  });
+
+  afterEach(async () => {
+    await deleteSettings(nestedSettings.getDefaultPreferenceFilePath()).catch(() => {});
+  });
+
+  test("asynchronously sets and gets values using dot notation, creating intermediate objects", async () => {
+    await nestedSettings.setState("editor.font.size", 14);
+
+    expect(await nestedSettings.getState("editor.font.size")).toBe(14);
+    expect(await nestedSettings.getState(["editor", "font"])).toEqual({ size: 14 });
+    expect(await nestedSettings.hasKey("editor.font")).toBe(true);
+    expect(await nestedSettings.hasKey("editor.size")).toBe(false);
+  });
+
+  test("synchronously sets keys containing escaped dots", () => {
+    nestedSettings.setStatesSync({ "files\\.exclude.node_modules": true });
+
+    expect(nestedSettings.getStateSync(["files.exclude", "node_modules"])).toBe(true);
+    expect(nestedSettings.hasKeySync("files")).toBe(false);
+  });
+
+  test("synchronously deletes nested keys and prunes empty parents", () => {
+    nestedSettings.setStatesSync({ "window.bounds.width": 800, "window.title": "app" });
+
+    expect(nestedSettings.deleteKeySync("window.bounds.width")).toBe(true);
+    expect(nestedSettings.hasKeySync("window.bounds")).toBe(false);
+    expect(nestedSettings.getStateSync("window")).toEqual({ title: "app" });
+  });
+
+  test("asynchronously deletes nested keys, using callbacks", (done) => {
+    nestedSettings.setStateSync("window.bounds.width", 800);
+
+    nestedSettings.deleteKey_c("window.bounds.width", null, (err, isDeleted) => {
+      expect(err).toBe(null);
+      expect(isDeleted).toBe(true);
+      expect(nestedSettings.hasKeySync("window")).toBe(false);
+      done();
+    });
+  });
+
+  test("throws an exception while trying to set a key below a value that is not an object", async () => {
+    await nestedSettings.setState("editor", "vim");
+    await expect(nestedSettings.setState("editor.font", "mono")).rejects.toThrowError();
+  });
+
+  test("throws an exception while trying to use a key path that could pollute prototypes", () => {
+    expect(() => nestedSettings.setStateSync("__proto__.polluted", true)).toThrowError();
+  });
+
+  test("sets a nested key below a key named like an inherited property", () => {
+    nestedSettings.setStateSync("toString.x", "1");
+
+    expect(nestedSettings.getStateSync("toString")).toEqual({ x: "1" });
+    expect({}.toString).toBe(Object.prototype.toString);
+  });
+});
+
+describe("Atomic write tests", () => {
+  // lists the temporary files left in the preference directory
+  const listTempFiles = () =>
+    fs.readdirSync(process.env.NODE_USER_SETTINGS_DIRECTORY).filter((file) => file.endsWith(".tmp"));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("asynchronously replaces the preference file without leaving temporary files behind", async () => {
+    await settings.setStates({ moduleName: "node-user-settings", version: "1.0.0" });
+
+    expect(await settings.getStates(["moduleName", "version"])).toEqual(["node-user-settings", "1.0.0"]);
+    expect(listTempFiles()).toEqual([]);
+  });
+
+  test("synchronously keeps the previous preference file when a write fails midway", () => {
+    pumpPreferenceSync(settings.getDefaultPreferenceFilePath(), { moduleName: "node-user-settings" });
+    jest.spyOn(fs, "renameSync").mockImplementation(() => {
+      throw new Error("simulated crash");
+    });
+
+    expect(settings.setStateSync("moduleName", "changed")).toBe(false);
+    jest.restoreAllMocks();
+
+    expect(settings.getStateSync("moduleName")).toBe("node-user-settings");
+    expect(listTempFiles()).toEqual([]);
+  });
+
+  test("asynchronously replaces the preference file, using callbacks", (done) => {
+    settings.setState_c("moduleName", "node-user-settings", null, (err, isSet) => {
+      expect(err).toBe(null);
+      expect(isSet).toBe(true);
+      expect(listTempFiles()).toEqual([]);
+      done();
+    });
+  });
+});
+
+describe("Inter-process locking tests", () => {
+  const { spawn } = require("child_process");
+
+  const lockedSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "LockedSettings",
+    fileExt: "json",
+    lockTimeout: 200
+  });
+
+  const lockPath = `${lockedSettings.getDefaultPreferenceFilePath()}.lock`;
+
+  afterEach(async () => {
+    fs.rmSync(lockPath, { recursive: true, force: true });
+    await deleteSettings(lockedSettings.getDefaultPreferenceFilePath()).catch(() => {});
+  });
+
+  // runs a node process which sets a number of keys, each with its own read-modify-write cycle
+  const runWriterProcess = (prefix, count) =>
+    new Promise((resolve, reject) => {
+      const script = `
+        const settings = require(${JSON.stringify(path.resolve(__dirname, "../src/index"))})({
+          preferenceFileName: ${JSON.stringify(lockedSettings.getDefaultPreferenceFilePath())}
+        });
+        (async () => {
+          for (let i = 0; i < ${count}; i++) await settings.setState("${prefix}" + i, i);
+        })();
+      `;
+      const child = spawn(process.execPath, ["-e", script], { stdio: "ignore" });
+      child.on("error", reject);
+      child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`writer exited with ${code}`))));
+    });
+
+  test("doesn't lose updates when several processes write the same preference file", async () => {
+    await Promise.all([runWriterProcess("a", 15), runWriterProcess("b", 15)]);
+
+    const keys = [...Array(15).keys()].flatMap((i) => [`a${i}`, `b${i}`]);
+    const values = await lockedSettings.getStates(keys);
+    expect(values).not.toContain("undefined");
+  }, 30000);
+
+  test("asynchronously times out while another process holds the lock", async () => {
+    fs.mkdirSync(lockPath, { recursive: true });
+    await expect(lockedSettings.setState("moduleName", "node-user-settings")).rejects.toThrowError(/Timed out/);
+  });
+
+  test("synchronously times out while another process holds the lock", () => {
+    fs.mkdirSync(lockPath, { recursive: true });
+    expect(() => lockedSettings.setStateSync("moduleName", "node-user-settings")).toThrowError(/Timed out/);
+  });
+
+  test("asynchronously takes over a stale lock, using callbacks", (done) => {
+    fs.mkdirSync(lockPath, { recursive: true });
+    const staleTime = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, staleTime, staleTime);
+
+    lockedSettings.setState_c("moduleName", "node-user-settings", null, (err, isSet) => {
+      expect(err).toBe(null);
+      expect(isSet).toBe(true);
+      expect(fs.existsSync(lockPath)).toBe(false);
+      done();
+    });
+  });
+
+  test("keeps a lock that is held for longer than the stale timeout", async () => {
+    const createLockedSettings = () =>
+      require("../src/index")({
+        preferenceFileName: lockedSettings.getDefaultPreferenceFilePath(),
+        lockTimeout: 2000,
+        staleLockTimeout: 100
+      });
+
+    const order = [];
+    const committed = createLockedSettings()
+      .transaction(async (transaction) => {
+        transaction.setState("moduleName", "node-user-settings");
+        await new Promise((resolve) => setTimeout(resolve, 400));
+      })
+      .then(() => order.push("transaction"));
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await createLockedSettings().setState("version", "1.0.0");
+    order.push("write");
+    await committed;
+
+    expect(order).toEqual(["transaction", "write"]);
+  });
+
+  test("doesn't remove a lock that was taken over by another process when it's released", async () => {
+    const { createFileSystemAdapter } = require("../src/index").storage;
+    const filePath = lockedSettings.getDefaultPreferenceFilePath();
+
+    const release = await createFileSystemAdapter().lock(filePath);
+    fs.renameSync(lockPath, `${lockPath}.taken`);
+    fs.mkdirSync(lockPath);
+    await release();
+
+    expect(fs.existsSync(lockPath)).toBe(true);
+    fs.rmSync(`${lockPath}.taken`, { recursive: true, force: true });
+  });
+});
+
+describe("Write queue tests", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("asynchronously keeps every key when many values are set in parallel, with a single write", async () => {
+    const rename = jest.spyOn(fsp, "rename");
+    const keys = [...Array(20).keys()].map((i) => `key${i}`);
+
+    const results = await Promise.all(keys.map((key) => settings.setState(key, key)));
+
+    expect(results.every((isSet) => isSet === true)).toBe(true);
+    expect(rename).toHaveBeenCalledTimes(1);
+    expect(await settings.getStates(keys)).toEqual(keys);
+  });
+
+  test("asynchronously writes pending values after a flush", async () => {
+    settings.setState("moduleName", "node-user-settings");
+    settings.deleteKey("moduleName");
+    settings.setStates({ version: "1.0.0" });
+    await settings.flush();
+
+    const preference = JSON.parse(fs.readFileSync(settings.getDefaultPreferenceFilePath(), "utf-8"));
+    expect(preference).toEqual({ version: "1.0.0" });
+  });
+
+  test("deletes the preference file after the values queued before it are written", async () => {
+    const filePath = settings.getDefaultPreferenceFilePath();
+    const queued = settings.setState("moduleName", "node-user-settings");
+
+    expect(await settings.deleteFile()).toBe(true);
+    expect(await queued).toBe(true);
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    settings.setState("version", "1.0.0");
+    expect(() => settings.deleteFileSync()).toThrow(IllegalStateError);
+    const isDeleted = await new Promise((resolve, reject) =>
+      settings.deleteFile_c(null, (err, isDeleted) => (err ? reject(err) : resolve(isDeleted)))
+    );
+    expect(isDeleted).toBe(true);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test("rejects a single failed modification without discarding the rest of the batch", async () => {
+    const nestedSettings = require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "Settings",
+      fileExt: "json",
+      dotNotation: true
+    });
+
+    const results = await Promise.allSettled([
+      nestedSettings.setState("editor", "vim"),
+      nestedSettings.setState("editor.font", "mono"),
+      nestedSettings.setState("version", "1.0.0")
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(["fulfilled", "rejected", "fulfilled"]);
+    expect(await nestedSettings.getStates(["editor", "version"])).toEqual(["vim", "1.0.0"]);
+  });
+
+  test("keeps a value set synchronously after values that were queued before it", async () => {
+    settings.setState("moduleName", "queued");
+    settings.setStateSync("moduleName", "node-user-settings");
+    await settings.flush();
+
+    expect(settings.getStateSync("moduleName")).toBe("node-user-settings");
+  });
+
+  test("keeps a value set synchronously while queued values are being applied", async () => {
+    const committed = settings.transaction(async (transaction) => {
+      transaction.setState("moduleName", "node-user-settings");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    settings.setStateSync("version", "1.0.0");
+    await committed;
+
+    expect(settings.getStatesSync(["moduleName", "version"])).toEqual(["node-user-settings", "1.0.0"]);
+  });
+
+  test("rejects queued values that conflict with a value set synchronously after them", async () => {
+    const nestedSettings = require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "Settings",
+      fileExt: "json",
+      dotNotation: true
+    });
+
+    const queued = nestedSettings.setState("editor", "vim");
+    nestedSettings.setStateSync("editor.font", "mono");
+
+    await expect(queued).rejects.toThrowError(/not an object/);
+    expect(nestedSettings.getStateSync("editor.font")).toBe("mono");
+  });
+
+  test("asynchronously writes values set in parallel, using callbacks", (done) => {
+    let count = 0;
+    const callbackfn = (err, isSet) => {
+      expect(err).toBe(null);
+      expect(isSet).toBe(true);
+
+      if (++count === 2) {
+        expect(settings.getStatesSync(["moduleName", "version"])).toEqual(["node-user-settings", "1.0.0"]);
+        done();
+      }
+    };
+
+    settings.setState_c("moduleName", "node-user-settings", null, callbackfn);
+    settings.setState_c("version", "1.0.0", null, callbackfn);
+  });
+});
+
+describe("Cache tests", () => {
+  const cachedSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "CachedSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    cacheMode: "write-through"
+  });
+
+  const writeBehindSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "WriteBehindSettings",
+    fileExt: "json",
+    cacheMode: "write-behind",
+    writeBehindDelay: 50
+  });
+
+  // reads the preference file directly from disk
+  const readFromDisk = (filePath) => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : null);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cachedSettings.deleteFile();
+    await writeBehindSettings.deleteFile();
+  });
+
+  test("throws an exception while trying to use an invalid cache mode", () => {
+    expect(() => require("../src/index")({ cacheMode: "write-around" })).toThrowError();
+  });
+
+  test("asynchronously reads an unchanged preference file from the cache", async () => {
+    await cachedSettings.setState("moduleName", "node-user-settings");
+    const readFile = jest.spyOn(fsp, "readFile");
+
+    await cachedSettings.getState("moduleName");
+    await cachedSettings.getStates(["moduleName"]);
+    expect(await cachedSettings.hasKey("moduleName")).toBe(true);
+    expect(readFile).not.toHaveBeenCalled();
+  });
+
+  test("synchronously reads a preference file again after it was changed by another process", () => {
+    cachedSettings.setStateSync("moduleName", "node-user-settings");
+    pumpPreferenceSync(cachedSettings.getDefaultPreferenceFilePath(), { moduleName: "changed" });
+
+    expect(cachedSettings.getStateSync("moduleName")).toBe("changed");
+  });
+
+  test("doesn't let retrieved values modify the cache", () => {
+    cachedSettings.setStateSync("window", { width: 800 });
+    cachedSettings.getStateSync("window").width = 0;
+
+    expect(cachedSettings.getStateSync("window")).toEqual({ width: 800 });
+  });
+
+  test("asynchronously writes cached changes after a delay in write-behind mode", async () => {
+    const filePath = writeBehindSettings.getDefaultPreferenceFilePath();
+
+    expect(await writeBehindSettings.setState("moduleName", "node-user-settings")).toBe(true);
+    expect(await writeBehindSettings.getState("moduleName")).toBe("node-user-settings");
+    expect(readFromDisk(filePath)).toEqual({});
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(readFromDisk(filePath)).toEqual({ moduleName: "node-user-settings" });
+  });
+
+  test("writes cached changes again after they couldn't be written in write-behind mode", async () => {
+    const filePath = writeBehindSettings.getDefaultPreferenceFilePath();
+    await writeBehindSettings.setState("moduleName", "node-user-settings");
+    const rename = jest.spyOn(fsp, "rename").mockRejectedValueOnce(new Error("The file is busy"));
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    expect(rename).toHaveBeenCalledTimes(1);
+    expect(readFromDisk(filePath)).toEqual({});
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(readFromDisk(filePath)).toEqual({ moduleName: "node-user-settings" });
+  });
+
+  test("asynchronously writes cached changes immediately after a flush in write-behind mode", async () => {
+    writeBehindSettings.setStates({ moduleName: "node-user-settings", version: "1.0.0" });
+    await writeBehindSettings.flush();
+
+    const preference = readFromDisk(writeBehindSettings.getDefaultPreferenceFilePath());
+    expect(preference).toEqual({ moduleName: "node-user-settings", version: "1.0.0" });
+  });
+
+  test("synchronously writes cached changes after a synchronous flush in write-behind mode", () => {
+    writeBehindSettings.setStateSync("moduleName", "node-user-settings");
+    writeBehindSettings.flushSync();
+
+    const preference = readFromDisk(writeBehindSettings.getDefaultPreferenceFilePath());
+    expect(preference).toEqual({ moduleName: "node-user-settings" });
+  });
+
+  test("asynchronously reads cached changes in write-behind mode, using callbacks", (done) => {
+    writeBehindSettings.setState_c("moduleName", "node-user-settings", null, (err) => {
+      expect(err).toBe(null);
+
+      writeBehindSettings.getState_c("moduleName", null, null, (err, value) => {
+        expect(err).toBe(null);
+        expect(value).toBe("node-user-settings");
+        writeBehindSettings.flush().then(() => done());
+      });
+    });
+  });
+});
+
+describe("Change event tests", () => {
+  const eventSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "EventSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    dotNotation: true,
+    watchInterval: 20,
+    watchDebounce: 20
+  });
+
+  // resolves with the arguments of the next "change" event
+  const nextChange = () => new Promise((resolve) => eventSettings.once("change", resolve));
+
+  afterEach(async () => {
+    eventSettings.unwatch();
+    eventSettings.off("change", changeListener);
+    await eventSettings.deleteFile().catch(() => {});
+  });
+
+  const changeListener = jest.fn();
+
+  test("emits a change event for every changed key", async () => {
+    await eventSettings.setState("moduleName", "node-user-settings");
+    await new Promise(process.nextTick);
+    eventSettings.on("change", changeListener);
+
+    await eventSettings.setStates({ moduleName: "node-user-settings", version: "1.0.0", author: "me" });
+    await new Promise(process.nextTick);
+
+    expect(changeListener).toHaveBeenCalledTimes(2);
+    expect(changeListener).toHaveBeenCalledWith(
+      expect.objectContaining({ key: "version", oldValue: undefined, newValue: "1.0.0", isExternal: false })
+    );
+    changeListener.mockClear();
+  });
+
+  test("doesn't emit a change event when nothing changed", async () => {
+    eventSettings.setStateSync("moduleName", "node-user-settings");
+    await new Promise(process.nextTick);
+    eventSettings.on("change", changeListener);
+
+    eventSettings.setStateSync("moduleName", "node-user-settings");
+    await new Promise(process.nextTick);
+
+    expect(changeListener).not.toHaveBeenCalled();
+  });
+
+  test("calls a key listener with the new and the old value, until it is unsubscribed", async () => {
+    const keyListener = jest.fn();
+    eventSettings.setStateSync("window.width", 800);
+    await new Promise(process.nextTick);
+    const unsubscribe = eventSettings.onDidChange("window.width", keyListener);
+
+    eventSettings.setStateSync("window.width", 1024);
+    eventSettings.setStateSync("window.height", 600);
+    await new Promise(process.nextTick);
+    unsubscribe();
+    eventSettings.setStateSync("window.width", 1280);
+    await new Promise(process.nextTick);
+
+    expect(keyListener).toHaveBeenCalledTimes(1);
+    expect(keyListener).toHaveBeenCalledWith(1024, 800);
+  });
+
+  test("emits a change event when a watched file is changed externally", async () => {
+    await eventSettings.setState("moduleName", "node-user-settings");
+    eventSettings.watch();
+
+    const change = nextChange();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    pumpPreferenceSync(eventSettings.getDefaultPreferenceFilePath(), { moduleName: "changed" });
+
+    expect(await change).toEqual({
+      key: "moduleName",
+      oldValue: "node-user-settings",
+      newValue: "changed",
+      filePath: eventSettings.getDefaultPreferenceFilePath(),
+      isExternal: true
+    });
+  });
+});
+
+describe("Schema validation tests", () => {
+  const schemaSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "SchemaSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    dotNotation: true,
+    schema: {
+      type: "object",
+      properties: {
+        theme: { enum: ["light", "dark"], default: "light" },
+        fontSize: { type: "integer", minimum: 8, maximum: 72 },
+        window: {
+          type: "object",
+          properties: { width: { type: "number", default: 800 }, height: { type: "number", default: 600 } },
+          additionalProperties: false
+        },
+        recentFiles: { type: "array", items: { type: "string" }, maxItems: 2 }
+      },
+      additionalProperties: false
+    }
+  });
+
+  afterEach(async () => {
+    await schemaSettings.deleteFile();
+  });
+
+  test("asynchronously rejects a value that violates the schema, without writing it", async () => {
+    await expect(schemaSettings.setState("fontSize", 100)).rejects.toThrow(IllegalArgumentError);
+    await expect(schemaSettings.setState("fontSize", 100)).rejects.toThrow("fontSize must be <= 72");
+    expect(await schemaSettings.hasKey("fontSize")).toBe(false);
+  });
+
+  test("synchronously rejects a key that the schema doesn't allow", () => {
+    expect(() => schemaSettings.setStateSync("window.depth", 10)).toThrow("window.depth is not an allowed key");
+    expect(() => schemaSettings.setStatesSync({ recentFiles: ["a", "b", "c"] })).toThrow("at most 2 items");
+  });
+
+  test("asynchronously rejects a value that violates the schema, using callbacks", (done) => {
+    schemaSettings.setState_c("theme", "blue", null, (err) => {
+      expect(err).toBeInstanceOf(IllegalArgumentError);
+      expect(err.message).toMatch('theme must be one of "light", "dark"');
+      done();
+    });
+  });
+
+  test("writes the valid modifications queued alongside an invalid one", async () => {
+    const results = await Promise.allSettled([
+      schemaSettings.setState("fontSize", 12),
+      schemaSettings.setState("fontSize", "large"),
+      schemaSettings.setState("theme", "dark")
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(["fulfilled", "rejected", "fulfilled"]);
+    expect(await schemaSettings.getStates(["fontSize", "theme"])).toEqual([12, "dark"]);
+  });
+
+  test("fills in the defaults declared in the schema when reading", async () => {
+    schemaSettings.setStateSync("window.width", 1024);
+
+    expect(await schemaSettings.getState("theme")).toBe("light");
+    expect(schemaSettings.getStateSync("window")).toEqual({ width: 1024, height: 600 });
+    expect(await schemaSettings.hasKey("window.height")).toBe(true);
+    expect(JSON.parse(schemaSettings.deserializeSync())).toEqual({ window: { width: 1024 } });
+  });
+
+  test("rejects a replaced preference that violates the schema", () => {
+    expect(() => schemaSettings.serializeSync({ theme: 1 })).toThrow(IllegalArgumentError);
+  });
+
+  test("writes other keys while a value that was already in the preference file violates the schema", async () => {
+    fs.writeFileSync(schemaSettings.getDefaultPreferenceFilePath(), JSON.stringify({ fontSize: "big" }));
+
+    expect(await schemaSettings.setState("theme", "dark")).toBe(true);
+    schemaSettings.setStateSync("window.width", 1024);
+    expect(() => schemaSettings.setStateSync("fontSize", "huge")).toThrow("fontSize must be of type integer");
+    expect(schemaSettings.getStatesSync(["fontSize", "theme"])).toEqual(["big", "dark"]);
+  });
+
+  test("fills in the defaults of a recursive schema", () => {
+    const menuSettings = require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "SchemaSettings",
+      fileExt: "json",
+      storageMode: "typed",
+      schema: {
+        definitions: {
+          item: {
+            type: "object",
+            properties: { label: { type: "string", default: "Untitled" }, submenu: { $ref: "#/definitions/item" } }
+          }
+        },
+        type: "object",
+        properties: { menu: { $ref: "#/definitions/item" } }
+      }
+    });
+
+    expect(menuSettings.getStateSync("menu")).toEqual({ label: "Untitled" });
+    menuSettings.setStateSync("menu", { label: "File", submenu: { label: "Open" } });
+    expect(menuSettings.getStateSync("menu")).toEqual({ label: "File", submenu: { label: "Open" } });
+    expect(() => menuSettings.setStateSync("menu", { submenu: { label: 1 } })).toThrow("menu.submenu.label");
+    const { createMemoryAdapter } = require("../src/index").storage;
+    expect(() =>
+      require("../src/index")({ storage: createMemoryAdapter(), storageMode: "typed", schema: { $ref: "#" } })
+    ).not.toThrow();
+  });
+
+  test("throws an exception for a schema without the typed storage mode, or with an invalid pattern", () => {
+    const { createMemoryAdapter } = require("../src/index").storage;
+    const createSettings = (options) => require("../src/index")({ storage: createMemoryAdapter(), ...options });
+
+    expect(() => createSettings({ schema: { properties: { size: { type: "integer" } } } })).toThrow(
+      "schema requires the typed storage mode"
+    );
+    expect(() =>
+      createSettings({ storageMode: "typed", schema: { properties: { name: { type: "string", pattern: "(" } } } })
+    ).toThrow(IllegalArgumentError);
+    expect(() =>
+      createSettings({ storageMode: "typed", schema: { definitions: { names: { patternProperties: { "[": true } } } } })
+    ).toThrow("invalid pattern [");
+    expect(() =>
+      createSettings({ storageMode: "typed", schema: { properties: { pattern: { type: "string", pattern: "^\\w+$" } } } })
+    ).not.toThrow();
+  });
+});
+
+describe("Defaults tests", () => {
+  const defaultSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "DefaultSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    dotNotation: true,
+    defaults: { theme: "light", window: { width: 800, height: 600 } }
+  });
+
+  afterEach(async () => {
+    await defaultSettings.deleteFile();
+  });
+
+  test("asynchronously reads the defaults of keys that have never been set", async () => {
+    await defaultSettings.setState("window.width", 1024);
+
+    expect(await defaultSettings.getState("theme")).toBe("light");
+    expect(await defaultSettings.getStates(["window.width", "window.height"])).toEqual([1024, 600]);
+    expect(await defaultSettings.hasKey("theme")).toBe(true);
+    expect(await defaultSettings.getState("fontSize", 12)).toBe(12);
+  });
+
+  test("retrieves every value along with the defaults in all flavors", (done) => {
+    defaultSettings.setStateSync("fontSize", 14);
+    const expected = { theme: "light", window: { width: 800, height: 600 }, fontSize: 14 };
+
+    expect(defaultSettings.getAllSync()).toEqual(expected);
+    defaultSettings.getAll().then((preference) => {
+      expect(preference).toEqual(expected);
+
+      defaultSettings.getAll_c(null, (err, preference) => {
+        expect(err).toBe(null);
+        expect(preference).toEqual(expected);
+        done();
+      });
+    });
+  });
+
+  test("asynchronously restores the default of a key", async () => {
+    await defaultSettings.setStates({ theme: "dark", fontSize: 14 });
+
+    expect(await defaultSettings.reset("theme")).toBe(true);
+    expect(await defaultSettings.getState("theme")).toBe("light");
+    expect(await defaultSettings.getState("fontSize")).toBe(14);
+  });
+
+  test("synchronously restores the defaults of every key without deleting the file", () => {
+    defaultSettings.setStatesSync({ theme: "dark", fontSize: 14 });
+
+    expect(defaultSettings.resetAllSync()).toBe(true);
+    expect(fs.existsSync(defaultSettings.getDefaultPreferenceFilePath())).toBe(true);
+    expect(defaultSettings.getAllSync()).toEqual({ theme: "light", window: { width: 800, height: 600 } });
+  });
+
+  test("asynchronously restores the defaults using callbacks", (done) => {
+    defaultSettings.setStateSync("window.width", 1024);
+
+    defaultSettings.reset_c("window.width", null, (err, isReset) => {
+      expect(err).toBe(null);
+      expect(isReset).toBe(true);
+      expect(defaultSettings.getStateSync("window.width")).toBe(800);
+
+      defaultSettings.resetAll_c(null, (err, isReset) => {
+        expect(err).toBe(null);
+        expect(isReset).toBe(true);
+        done();
+      });
+    });
+  });
+
+  test("throws an exception when the defaults are not an object", () => {
+    expect(() => require("../src/index")({ defaults: "light" })).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("Migration tests", () => {
+  const migrations = {
+    "1.0.0": (preferenceOb) => {
+      preferenceOb.theme = preferenceOb.darkMode ? "dark" : "light";
+      delete preferenceOb.darkMode;
+    },
+    "1.2.0": (preferenceOb) => ({ ...preferenceOb, fontSize: preferenceOb.fontSize || 12 })
+  };
+
+  const migratedSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "MigratedSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    migrations
+  });
+
+  const filePath = migratedSettings.getDefaultPreferenceFilePath();
+  const writePreference = (preferenceOb) => fs.writeFileSync(filePath, JSON.stringify(preferenceOb));
+  const readFromDisk = () => JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  afterEach(async () => {
+    await migratedSettings.deleteFile();
+  });
+
+  test("asynchronously migrates a file that was never migrated, and records the version inside it", async () => {
+    writePreference({ darkMode: true });
+
+    expect(await migratedSettings.getState("theme")).toBe("dark");
+    expect(readFromDisk()).toEqual({ theme: "dark", fontSize: 12, __internal__: { version: "1.2.0" } });
+    expect(await migratedSettings.getAll()).toEqual({ theme: "dark", fontSize: 12 });
+  });
+
+  test("synchronously runs only the migrations newer than the recorded version", () => {
+    writePreference({ darkMode: true, fontSize: 14, __internal__: { version: "1.0.0" } });
+
+    expect(migratedSettings.getStateSync("fontSize")).toBe(14);
+    expect(migratedSettings.getStateSync("darkMode")).toBe(true);
+    expect(readFromDisk().__internal__.version).toBe("1.2.0");
+  });
+
+  test("runs the migrations once", async () => {
+    const migration = jest.fn();
+    const settings = require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "MigratedSettings",
+      fileExt: "json",
+      migrations: { 2: migration }
+    });
+    writePreference({ moduleName: "node-user-settings" });
+
+    await settings.getState("moduleName");
+    await settings.setState("version", "1.0.0");
+    await settings.getState("moduleName");
+    expect(migration).toHaveBeenCalledTimes(1);
+  });
+
+  test("records the current version when a new file is written, without running the migrations", async () => {
+    await migratedSettings.setState("theme", "dark");
+    expect(readFromDisk()).toEqual({ theme: "dark", __internal__: { version: "1.2.0" } });
+  });
+
+  test("leaves the file untouched if a migration throws", (done) => {
+    const settings = require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "MigratedSettings",
+      fileExt: "json",
+      migrations: {
+        ...migrations,
+        "2.0.0-beta.1": () => {
+          throw new Error("unexpected value");
+        }
+      }
+    });
+    writePreference({ darkMode: true });
+
+    settings.getState_c("theme", null, null, (err) => {
+      expect(err.message).toBe("The migration to 2.0.0-beta.1 failed: unexpected value");
+      expect(readFromDisk()).toEqual({ darkMode: true });
+      done();
+    });
+  });
+
+  test("orders semver and integer versions", () => {
+    const { compareVersions } = require("../src/migrations");
+    const versions = ["2", "1.10.0", "1.2.0", "1.2.0-beta.2", "1.2.0-beta.10", "1.2.0-alpha"];
+
+    expect(versions.sort(compareVersions)).toEqual(["1.2.0-alpha", "1.2.0-beta.2", "1.2.0-beta.10", "1.2.0", "1.10.0", "2"]);
+  });
+
+  test("throws an exception for an invalid migration version", () => {
+    expect(() => require("../src/index")({ migrations: { next: () => {} } })).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("Encryption tests", () => {
+  const encryptionKey = "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef";
+  const createSettings = (options) =>
+    require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "EncryptedSettings",
+      fileExt: "json",
+      storageMode: "typed",
+      dotNotation: true,
+      ...options
+    });
+
+  const encryptedSettings = createSettings({ encryptionKey });
+  const filePath = encryptedSettings.getDefaultPreferenceFilePath();
+  const readFromDisk = () => fs.readFileSync(filePath, "utf-8");
+
+  afterEach(async () => {
+    await encryptedSettings.deleteFile();
+  });
+
+  test("asynchronously encrypts the whole preference file", async () => {
+    await encryptedSettings.setStates({ apiToken: "secret-token", theme: "dark" });
+
+    expect(readFromDisk()).not.toMatch("secret-token");
+    expect(readFromDisk()).not.toMatch("theme");
+    expect(await encryptedSettings.getStates(["apiToken", "theme"])).toEqual(["secret-token", "dark"]);
+  });
+
+  test("synchronously encrypts only the secret keys", () => {
+    const settings = createSettings({ encryptionPassphrase: "correct horse battery staple", secretKeys: ["auth.token"] });
+    settings.setStatesSync({ "auth.token": "secret-token", "auth.user": "noahweasley" });
+
+    const preference = JSON.parse(readFromDisk());
+    expect(preference.auth.user).toBe("noahweasley");
+    expect(JSON.stringify(preference.auth.token)).not.toMatch("secret-token");
+    expect(settings.getStateSync("auth.token")).toBe("secret-token");
+    const wholeFileSettings = createSettings({ encryptionPassphrase: "correct horse battery staple" });
+    const migratingSettings = createSettings({ encryptionPassphrase: "correct horse battery staple", allowPlaintext: true });
+    expect(() => wholeFileSettings.getStateSync("auth.token")).toThrow(DecryptionError);
+    expect(migratingSettings.getStateSync("auth.token")).toBe("secret-token");
+  });
+
+  test("fails with a DecryptionError when the key is wrong, without replacing the file", (done) => {
+    encryptedSettings.setStateSync("apiToken", "secret-token");
+    const encrypted = readFromDisk();
+    const settings = createSettings({ encryptionKey: Buffer.alloc(32, 1) });
+
+    expect(() => settings.getStateSync("apiToken")).toThrow(DecryptionError);
+    settings.getState_c("apiToken", null, null, (err) => {
+      expect(err).toBeInstanceOf(DecryptionError);
+      expect(readFromDisk()).toBe(encrypted);
+      done();
+    });
+  });
+
+  test("fails with a DecryptionError when the file was tampered with", async () => {
+    encryptedSettings.setStateSync("apiToken", "secret-token");
+    const preference = JSON.parse(readFromDisk());
+    const data = Buffer.from(preference.__encrypted__.data, "base64");
+    data[0] ^= 1;
+    preference.__encrypted__.data = data.toString("base64");
+    fs.writeFileSync(filePath, JSON.stringify(preference));
+
+    await expect(encryptedSettings.getState("apiToken")).rejects.toThrow(DecryptionError);
+  });
+
+  test("fails with a DecryptionError when the authentication tag was truncated", () => {
+    encryptedSettings.setStateSync("apiToken", "secret-token");
+    const preference = JSON.parse(readFromDisk());
+    preference.__encrypted__.tag = Buffer.from(preference.__encrypted__.tag, "base64").subarray(0, 4).toString("base64");
+    fs.writeFileSync(filePath, JSON.stringify(preference));
+
+    expect(() => encryptedSettings.getStateSync("apiToken")).toThrow(DecryptionError);
+  });
+
+  test("fails with a DecryptionError when the preference file, or the value of a secret key, isn't encrypted", async () => {
+    fs.writeFileSync(filePath, JSON.stringify({ theme: "dark" }));
+    await expect(encryptedSettings.getState("theme")).rejects.toThrow(DecryptionError);
+    expect(readFromDisk()).toBe(JSON.stringify({ theme: "dark" }));
+
+    const settings = createSettings({ encryptionKey, secretKeys: ["auth.token"] });
+    settings.setStatesSync({ "auth.token": "secret-token", "auth.user": "noahweasley" });
+    const preference = JSON.parse(readFromDisk());
+    fs.writeFileSync(filePath, JSON.stringify({ ...preference, auth: { ...preference.auth, token: "forged-token" } }));
+
+    expect(() => settings.getStateSync("auth.user")).toThrow(DecryptionError);
+  });
+
+  test("reads a preference file written before encryption was enabled, if plaintext is allowed", async () => {
+    const settings = createSettings({ encryptionKey, allowPlaintext: true });
+    fs.writeFileSync(filePath, JSON.stringify({ theme: "dark" }));
+
+    expect(await settings.getState("theme")).toBe("dark");
+    await settings.setState("fontSize", 14);
+    expect(readFromDisk()).not.toMatch("dark");
+    expect(await encryptedSettings.getStates(["theme", "fontSize"])).toEqual(["dark", 14]);
+  });
+
+  test("throws an exception for an invalid encryption key", () => {
+    expect(() => createSettings({ encryptionKey: "too-short" })).toThrow(IllegalArgumentError);
+    expect(() => createSettings({ encryptionKey, encryptionPassphrase: "passphrase" })).toThrow(IllegalArgumentError);
+    expect(() => createSettings({ secretKeys: ["apiToken"] })).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("Backup and recovery tests", () => {
+  const backupSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "BackupSettings",
+    fileExt: "json",
+    backupCount: 2
+  });
+
+  const filePath = backupSettings.getDefaultPreferenceFilePath();
+  const directory = path.dirname(filePath);
+  // gets the names of the backups and the corrupt files of the preference file
+  const getSiblingFiles = () =>
+    fs.readdirSync(directory).filter((name) => name.startsWith("BackupSettings.json.")).sort();
+
+  afterEach(async () => {
+    backupSettings.off("recover", recoverListener);
+    recoverListener.mockClear();
+    await backupSettings.deleteFile();
+    getSiblingFiles().forEach((name) => fs.unlinkSync(path.join(directory, name)));
+  });
+
+  const recoverListener = jest.fn();
+
+  test("keeps the configured number of backups", async () => {
+    await backupSettings.setState("version", "1");
+    backupSettings.setStateSync("version", "2");
+    await new Promise((resolve) => backupSettings.setState_c("version", "3", null, resolve));
+
+    expect(getSiblingFiles()).toEqual(["BackupSettings.json.1.bak", "BackupSettings.json.2.bak"]);
+    expect(JSON.parse(fs.readFileSync(`${filePath}.1.bak`, "utf-8"))).toEqual({ version: "3" });
+    expect(JSON.parse(fs.readFileSync(`${filePath}.2.bak`, "utf-8"))).toEqual({ version: "2" });
+  });
+
+  test("asynchronously restores the newest backup that can be read when the file is corrupt", async () => {
+    backupSettings.on("recover", recoverListener);
+    await backupSettings.setState("version", "1");
+    await backupSettings.setState("version", "2");
+    fs.writeFileSync(`${filePath}.1.bak`, "{ corrupt");
+    fs.writeFileSync(filePath, '{ "version": ');
+
+    expect(await backupSettings.getState("version")).toBe("1");
+    await new Promise(process.nextTick);
+
+    const [corruptFileName] = getSiblingFiles().filter((name) => name.endsWith(".corrupt"));
+    expect(fs.readFileSync(path.join(directory, corruptFileName), "utf-8")).toBe('{ "version": ');
+    expect(recoverListener).toHaveBeenCalledWith({
+      filePath,
+      corruptFilePath: path.join(directory, corruptFileName),
+      backupFilePath: `${filePath}.2.bak`
+    });
+  });
+
+  test("synchronously moves a corrupt file aside when there's no backup", () => {
+    backupSettings.on("recover", recoverListener);
+    fs.writeFileSync(filePath, "{ corrupt");
+
+    expect(backupSettings.getStateSync("version", "0")).toBe("0");
+    expect(getSiblingFiles().filter((name) => name.endsWith(".corrupt"))).toHaveLength(1);
+  });
+
+  test("asynchronously restores a backup when the file is corrupt, using callbacks", (done) => {
+    backupSettings.setStateSync("version", "1");
+    fs.writeFileSync(filePath, "");
+
+    backupSettings.getState_c("version", null, null, (err, value) => {
+      expect(err).toBe(null);
+      expect(value).toBe("1");
+      done();
+    });
+  });
+
+  test("recovers a file that doesn't contain an object", async () => {
+    for (const data of ["null", "[]", "42"]) {
+      await backupSettings.setState("version", "1");
+      fs.writeFileSync(filePath, data);
+      expect(await backupSettings.getState("version")).toBe("1");
+
+      fs.writeFileSync(filePath, data);
+      expect(backupSettings.getStateSync("version")).toBe("1");
+
+      fs.writeFileSync(filePath, data);
+      const value = await new Promise((resolve, reject) =>
+        backupSettings.getState_c("version", null, null, (err, value) => (err ? reject(err) : resolve(value)))
+      );
+      expect(value).toBe("1");
+    }
+  });
+
+  test("keeps no backups by default, so a corrupt file is replaced by an empty one", () => {
+    const defaultSettings = require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "BackupSettings",
+      fileExt: "json"
+    });
+    defaultSettings.setStateSync("version", "1");
+    expect(getSiblingFiles()).toEqual([]);
+
+    fs.writeFileSync(filePath, "null");
+    expect(defaultSettings.getStateSync("version", "0")).toBe("0");
+    expect(JSON.parse(fs.readFileSync(filePath, "utf-8"))).toEqual({});
+  });
+
+  test("throws an exception for an invalid number of backups", () => {
+    expect(() => require("../src/index")({ backupCount: -1 })).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("Codec tests", () => {
+  const createSettings = (options) =>
+    require("../src/index")({ preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY, storageMode: "typed", ...options });
+
+  const json5Settings = createSettings({ fileName: "CodecSettings", fileExt: "json5", dotNotation: true });
+  const iniSettings = createSettings({ fileName: "CodecSettings", fileExt: "ini", dotNotation: true });
+
+  afterEach(async () => {
+    await json5Settings.deleteFile();
+    await iniSettings.deleteFile();
+  });
+
+  test("asynchronously reads a JSON5 file with comments, picking the codec from the file extension", async () => {
+    const filePath = json5Settings.getDefaultPreferenceFilePath();
+    fs.writeFileSync(filePath, "// edited by hand\n{ theme: 'dark', window: { width: 800, }, /* pixels */ }\n");
+
+    expect(await json5Settings.getStates(["theme", "window.width"])).toEqual(["dark", 800]);
+    await json5Settings.setState("window.height", 600);
+    expect(JSON.parse(fs.readFileSync(filePath, "utf-8"))).toEqual({ theme: "dark", window: { width: 800, height: 600 } });
+  });
+
+  test("synchronously writes and reads nested values in an INI file", () => {
+    iniSettings.setStatesSync({ theme: "dark", version: "2", "window.width": 800, "window.maximized": false });
+
+    const text = fs.readFileSync(iniSettings.getDefaultPreferenceFilePath(), "utf-8");
+    expect(text).toBe('theme = dark\nversion = "2"\n\n[window]\nwidth = 800\nmaximized = false\n');
+    expect(iniSettings.getStateSync("version")).toBe("2");
+    expect(iniSettings.getStateSync("window")).toEqual({ width: 800, maximized: false });
+  });
+
+  test("asynchronously reads an INI file edited by hand, using callbacks", (done) => {
+    fs.writeFileSync(iniSettings.getDefaultPreferenceFilePath(), "; legacy settings\n[window]\ntitle = My App\n");
+
+    iniSettings.getState_c("window.title", null, null, (err, value) => {
+      expect(err).toBe(null);
+      expect(value).toBe("My App");
+      done();
+    });
+  });
+
+  test("uses an explicit format, or a custom codec", async () => {
+    const lineCodec = {
+      parse: (text) => Object.fromEntries(text.split("\n").filter(Boolean).map((line) => line.split(":"))),
+      stringify: (preferenceOb) => Object.entries(preferenceOb).map((entry) => `${entry.join(":")}\n`).join("")
+    };
+    const customSettings = createSettings({ fileName: "CodecSettings", fileExt: "conf", format: lineCodec });
+    const explicitSettings = createSettings({ fileName: "CodecSettings", fileExt: "cfg", format: "ini" });
+    const registeredSettings = createSettings({ fileName: "CodecSettings", fileExt: "lines", codecs: { lines: lineCodec } });
+
+    await registeredSettings.setState("theme", "light");
+    expect(fs.readFileSync(registeredSettings.getDefaultPreferenceFilePath(), "utf-8")).toBe("theme:light\n");
+    await registeredSettings.deleteFile();
+
+    await customSettings.setState("theme", "dark");
+    explicitSettings.setStateSync("theme", "dark");
+    expect(fs.readFileSync(customSettings.getDefaultPreferenceFilePath(), "utf-8")).toBe("theme:dark\n");
+    expect(fs.readFileSync(explicitSettings.getDefaultPreferenceFilePath(), "utf-8")).toBe("theme = dark\n");
+
+    await customSettings.deleteFile();
+    await explicitSettings.deleteFile();
+  });
+
+  test("throws an exception for an unknown format or an invalid codec", () => {
+    expect(() => createSettings({ format: "yaml" })).toThrow(IllegalArgumentError);
+    expect(() => createSettings({ codecs: { yaml: { parse: () => ({}) } } })).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("Storage adapter tests", () => {
+  const { createMemoryAdapter, createLocalStorageAdapter, createSyncAdapter } = require("../src/index").storage;
+  const createSettings = (options) =>
+    require("../src/index")({ preferenceFileDir: "/preferences", fileName: "StorageSettings", fileExt: "json", ...options });
+
+  test("asynchronously reads and writes preferences in memory, without touching the file system", async () => {
+    const memorySettings = createSettings({ storage: createMemoryAdapter(), storageMode: "typed" });
+
+    await memorySettings.setState("theme", "dark");
+    expect(await memorySettings.getState("theme")).toBe("dark");
+    expect(await memorySettings.hasKey("theme")).toBe(true);
+    expect(fs.existsSync("/preferences")).toBe(false);
+    expect(await memorySettings.deleteFile()).toBe(true);
+    expect(await memorySettings.deleteFile()).toBe(false);
+  });
+
+  test("synchronously shares the preference files of an adapter between settings, and keeps backups", () => {
+    const storage = createMemoryAdapter({ "/preferences/StorageSettings.json": '{"theme":"dark"}' });
+    const settings1 = createSettings({ storage, cacheMode: "write-through", backupCount: 1 });
+    const settings2 = createSettings({ storage });
+
+    expect(settings1.getStateSync("theme")).toBe("dark");
+    settings2.setStateSync("theme", "light");
+    expect(settings1.getStateSync("theme")).toBe("light");
+    settings1.setStateSync("theme", "light");
+    expect(storage.readSync("/preferences/StorageSettings.json.1.bak")).toBe('{"theme":"light"}');
+  });
+
+  test("asynchronously reads and writes preferences in memory, using callbacks", (done) => {
+    const memorySettings = createSettings({ storage: createMemoryAdapter() });
+
+    memorySettings.setState_c("theme", "dark", null, (err) => {
+      expect(err).toBe(null);
+      memorySettings.getState_c("theme", null, null, (err, value) => {
+        expect(err).toBe(null);
+        expect(value).toBe("dark");
+        done();
+      });
+    });
+  });
+
+  test("emits changes made by other settings sharing the watched adapter", async () => {
+    const storage = createMemoryAdapter();
+    const watchingSettings = createSettings({ storage, watch: true, watchDebounce: 0 });
+    const writingSettings = createSettings({ storage });
+    const changed = new Promise((resolve) => watchingSettings.on("change", resolve));
+
+    await writingSettings.setState("theme", "dark");
+    expect(await changed).toEqual(expect.objectContaining({ key: "theme", newValue: "dark", isExternal: true }));
+    watchingSettings.unwatch();
+  });
+
+  test("reads and writes preferences in a localStorage-like storage", async () => {
+    const items = new Map();
+    const localStorage = {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, value),
+      removeItem: (key) => items.delete(key)
+    };
+    const localSettings = createSettings({ storage: createLocalStorageAdapter(localStorage, "app:") });
+
+    await localSettings.setState("theme", "dark");
+    expect(items.get("app:/preferences/StorageSettings.json")).toBe('{"theme":"dark"}');
+    expect(localSettings.getStateSync("theme")).toBe("dark");
+  });
+
+  test("creates an adapter from synchronous operations, which is never locked", async () => {
+    const entries = new Map();
+    const storage = createSyncAdapter({
+      readSync: (key) => (entries.has(key) ? entries.get(key) : null),
+      createSync: (key, data) => entries.has(key) || entries.set(key, data),
+      writeSync: (key, data) => entries.set(key, data),
+      removeSync: (key) => entries.delete(key),
+      renameSync: () => false,
+      getVersionSync: (key) => entries.get(key) ?? null
+    });
+    const syncSettings = createSettings({ storage });
+
+    await Promise.all([syncSettings.setState("a", "1"), syncSettings.setState("b", "2")]);
+    expect(JSON.parse(entries.get("/preferences/StorageSettings.json"))).toEqual({ a: "1", b: "2" });
+  });
+
+  test("throws an exception for an invalid storage adapter", () => {
+    expect(() => createSettings({ storage: {} })).toThrow(IllegalArgumentError);
+    expect(() => createSettings({ storage: { ...createMemoryAdapter(), lock: () => {} } })).toThrow(IllegalArgumentError);
+    expect(() => createLocalStorageAdapter({})).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("User data directory tests", () => {
+  const { getUserDataDirectory } = require("../src/index");
+  const { createMemoryAdapter } = require("../src/storage");
+  const env = process.env.XDG_CONFIG_HOME;
+
+  afterEach(() => {
+    if (env === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = env;
+  });
+
+  test("resolves the user data directory of every platform from the environment", () => {
+    expect(getUserDataDirectory("MyApp", { platform: "linux", env: {}, homedir: "/home/ada" })).toBe(
+      "/home/ada/.config/MyApp"
+    );
+    expect(
+      getUserDataDirectory("MyApp", { platform: "linux", env: { XDG_CONFIG_HOME: "/xdg" }, homedir: "/home/ada" })
+    ).toBe("/xdg/MyApp");
+    expect(getUserDataDirectory("MyApp", { platform: "linux", env: { XDG_CONFIG_HOME: "xdg" }, homedir: "/home/ada" })).toBe(
+      "/home/ada/.config/MyApp"
+    );
+    expect(getUserDataDirectory("MyApp", { platform: "darwin", env: {}, homedir: "/Users/ada" })).toBe(
+      "/Users/ada/Library/Application Support/MyApp"
+    );
+    expect(
+      getUserDataDirectory("MyApp", {
+        platform: "win32",
+        env: { APPDATA: "C:\\Users\\ada\\AppData\\Roaming" },
+        homedir: "C:\\Users\\ada"
+      })
+    ).toBe("C:\\Users\\ada\\AppData\\Roaming\\MyApp");
+    expect(getUserDataDirectory("MyApp", { platform: "win32", env: {}, homedir: "C:\\Users\\ada" })).toBe(
+      "C:\\Users\\ada\\AppData\\Roaming\\MyApp"
+    );
+  });
+
+  test("keeps the preference file in the user data directory of the app", async () => {
+    process.env.XDG_CONFIG_HOME = path.join(process.env.NODE_USER_SETTINGS_DIRECTORY, "config");
+    const appSettings = require("../src/index")({ appName: "MyApp" });
+    const namedSettings = require("../src/index")({ appName: "MyApp", fileName: "Window" });
+
+    expect(appSettings.getDefaultPreferenceFilePath()).toBe(
+      path.join(process.env.XDG_CONFIG_HOME, "MyApp", "Settings.json")
+    );
+    expect(namedSettings.getDefaultPreferenceFilePath()).toBe(
+      path.join(process.env.XDG_CONFIG_HOME, "MyApp", "Window.json")
+    );
+
+    await appSettings.setState("theme", "dark");
+    expect(await appSettings.getState("theme")).toBe("dark");
+    fs.rmSync(process.env.XDG_CONFIG_HOME, { recursive: true, force: true });
+  });
+
+  test("lets the user data path be replaced, and rejects an invalid app name", () => {
+    const appSettings = require("../src/index")({ appName: "MyApp" });
+
+    expect(appSettings.setDefaultPreferenceFilePath(process.env.NODE_USER_SETTINGS_FILE_PATH)).toBe(
+      process.env.NODE_USER_SETTINGS_FILE_PATH
+    );
+    expect(() => appSettings.setDefaultPreferenceFilePath(process.env.NODE_USER_SETTINGS_FILE_PATH)).toThrowError();
+    expect(() => require("../src/index")({ appName: "" })).toThrow(IllegalArgumentError);
+  });
+
+  test("resolves the user data directory of an Electron app when the preference file is first used", () => {
+    let userDataPath = "/electron/default";
+    jest.doMock("electron", () => ({ app: { getPath: () => userDataPath } }), { virtual: true });
+    Object.defineProperty(process.versions, "electron", { value: "30.0.0", configurable: true });
+
+    try {
+      const electronSettings = require("../src/index")({ storage: createMemoryAdapter() });
+      const replacedSettings = require("../src/index")({ storage: createMemoryAdapter() });
+      userDataPath = "/electron/MyApp";
+
+      expect(electronSettings.getDefaultPreferenceFilePath()).toBe(path.join("/electron/MyApp", "Settings.json"));
+      userDataPath = "/electron/Other";
+      expect(electronSettings.getDefaultPreferenceFilePath()).toBe(path.join("/electron/MyApp", "Settings.json"));
+      expect(replacedSettings.setDefaultPreferenceFilePath("/preferences/Settings.json")).toBe("/preferences/Settings.json");
+      expect(replacedSettings.getDefaultPreferenceFilePath()).toBe("/preferences/Settings.json");
+    } finally {
+      delete process.versions.electron;
+      jest.dontMock("electron");
+    }
+  });
+});
+
+describe("Command-line tool tests", () => {
+  const { run } = require("../src/cli");
+  const directory = path.join(process.env.NODE_USER_SETTINGS_DIRECTORY, "cli");
+
+  // runs the tool, collecting its output
+  async function runCli(...args) {
+    const output = { stdout: "", stderr: "" };
+    const exitCode = await run(args, {
+      stdout: { write: (text) => (output.stdout += text) },
+      stderr: { write: (text) => (output.stderr += text) }
+    });
+    return { exitCode, ...output };
+  }
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test("sets, gets and deletes nested keys with JSON values", async () => {
+    expect((await runCli("set", "window.bounds", '{"width":800}', "--dir", directory)).exitCode).toBe(0);
+    expect((await runCli("set", "version", "2", "--dir", directory, "--string")).exitCode).toBe(0);
+
+    expect(await runCli("get", "window.bounds.width", "--dir", directory)).toEqual({
+      exitCode: 0,
+      stdout: "800\n",
+      stderr: ""
+    });
+    expect((await runCli("get", "version", "--dir", directory, "--json")).stdout).toBe('"2"\n');
+    expect((await runCli("delete", "version", "--dir", directory)).exitCode).toBe(0);
+    expect((await runCli("get", "version", "--dir", directory)).exitCode).toBe(1);
+  });
+
+  test("lists and exports every value as machine-readable output", async () => {
+    await runCli("set", "files\\.exclude", "[1,2]", "--dir", directory, "--file-name", "Editor", "--file-ext", "json5");
+    await runCli("set", "theme", "dark", "--file", path.join(directory, "Editor.json5"));
+
+    const list = await runCli("list", "--dir", directory, "--file-name", "Editor", "--file-ext", "json5", "--json");
+    expect(JSON.parse(list.stdout)).toEqual([
+      { key: "files\\.exclude", value: [1, 2] },
+      { key: "theme", value: "dark" }
+    ]);
+    const exported = await runCli("export", "--file", path.join(directory, "Editor.json5"));
+    expect(JSON.parse(exported.stdout)).toEqual({ "files.exclude": [1, 2], theme: "dark" });
+    expect((await runCli("path", "--dir", directory)).stdout).toBe(`${path.join(directory, "Settings.json")}\n`);
+  });
+
+  test("validates a preference file, without recovering it", async () => {
+    const schemaPath = path.join(process.env.NODE_USER_SETTINGS_DIRECTORY, "cli-schema.json");
+    fs.writeFileSync(schemaPath, JSON.stringify({ properties: { width: { type: "number" } } }));
+    await runCli("set", "width", "wide", "--dir", directory, "--string");
+
+    const validation = await runCli("validate", "--dir", directory, "--schema", schemaPath, "--json");
+    expect(validation.exitCode).toBe(1);
+    expect(JSON.parse(validation.stdout)).toEqual({ valid: false, errors: [expect.stringContaining("width")] });
+
+    fs.writeFileSync(path.join(directory, "Settings.json"), "{");
+    expect((await runCli("validate", "--dir", directory)).exitCode).toBe(1);
+    expect(fs.readFileSync(path.join(directory, "Settings.json"), "utf-8")).toBe("{");
+    fs.rmSync(schemaPath);
+  });
+
+  test("reads the preference file without creating or recovering it", async () => {
+    const filePath = path.join(directory, "Settings.json");
+    for (const args of [["get", "theme"], ["list"], ["export"]]) {
+      expect(await runCli(...args, "--dir", directory)).toEqual({
+        exitCode: 1,
+        stdout: "",
+        stderr: `${filePath} doesn't exist\n`
+      });
+    }
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    fs.mkdirSync(directory, { recursive: true });
+    for (const data of ["{", "[]"]) {
+      fs.writeFileSync(filePath, data);
+      for (const args of [["get", "theme"], ["list"], ["export"]]) {
+        expect((await runCli(...args, "--dir", directory)).exitCode).toBe(1);
+      }
+      expect(fs.readFileSync(filePath, "utf-8")).toBe(data);
+    }
+    expect(fs.readdirSync(directory)).toEqual(["Settings.json"]);
+  });
+
+  test("parses negative numbers as arguments and option values", async () => {
+    expect((await runCli("set", "offset", "-5", "--dir", directory)).exitCode).toBe(0);
+    expect((await runCli("get", "offset", "--dir", directory, "--json")).stdout).toBe("-5\n");
+    expect((await runCli("set", "scale", "-0.5", "--dir", directory, "--string")).exitCode).toBe(0);
+    expect((await runCli("get", "scale", "--dir", directory)).stdout).toBe("-0.5\n");
+
+    const { stdout } = await runCli("path", "--file-name", "-1", "--dir", directory);
+    expect(stdout).toBe(`${path.join(directory, "-1.json")}\n`);
+    expect((await runCli("get", "offset", "-5", "--dir", directory)).exitCode).toBe(2);
+  });
+
+  test("exits with a usage error for an invalid command", async () => {
+    expect((await runCli("rename", "--dir", directory)).exitCode).toBe(2);
+    expect((await runCli("get", "--dir", directory)).exitCode).toBe(2);
+    expect((await runCli("list")).exitCode).toBe(2);
+    expect((await runCli("--help")).stdout).toContain("Usage: node-user-settings");
+  });
+
+  test("parses option values given after an equals sign, and exits with a usage error for an invalid option", async () => {
+    expect((await runCli("set", "theme", "dark", `--dir=${directory}`)).exitCode).toBe(0);
+    expect((await runCli("get", "theme", "--dir", directory, "-h")).stdout).toContain("Usage: node-user-settings");
+    expect((await runCli("get", "--", "theme", "--dir", directory)).exitCode).toBe(2);
+
+    expect((await runCli("get", "theme", "--dir", directory, "--verbose")).stderr).toContain("Unknown option: --verbose");
+    expect((await runCli("get", "theme", "--dir")).stderr).toContain("--dir requires a value");
+    expect((await runCli("list", "--dir", directory, "--json=true")).exitCode).toBe(2);
+  });
+});
+
+describe("Layered configuration tests", () => {
+  const systemFilePath = path.join(process.env.NODE_USER_SETTINGS_DIRECTORY, "SystemSettings.json");
+  const createSettings = (options) =>
+    require("../src/index")({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      fileName: "LayeredSettings",
+      fileExt: "json",
+      storageMode: "typed",
+      dotNotation: true,
+      ...options
+    });
+  const layers = [
+    { name: "defaults", values: { theme: "light", window: { width: 800, height: 600 } } },
+    { name: "system", filePath: systemFilePath },
+    { name: "user" },
+    { name: "env", envPrefix: "LAYERED_TEST_" },
+    { name: "overrides", values: { telemetry: false } }
+  ];
+
+  afterEach(() => {
+    fs.rmSync(systemFilePath, { force: true });
+    delete process.env.LAYERED_TEST_window__height;
+    delete process.env.LAYERED_TEST_telemetry;
+    createSettings().deleteFileSync();
+  });
+
+  test("asynchronously merges the layers, and reports the layer supplying each value", async () => {
+    fs.writeFileSync(systemFilePath, JSON.stringify({ theme: "dark", window: { width: 1024 } }));
+    process.env.LAYERED_TEST_window__height = "720";
+    process.env.LAYERED_TEST_telemetry = "true";
+    const layeredSettings = createSettings({ layers });
+
+    await layeredSettings.setState("window.width", 1280);
+    expect(await layeredSettings.getAll()).toEqual({
+      theme: "dark",
+      window: { width: 1280, height: 720 },
+      telemetry: false
+    });
+    expect(await layeredSettings.getSource("theme")).toBe("system");
+    expect(await layeredSettings.getSource("window.width")).toBe("user");
+    expect(await layeredSettings.getSource("window.height")).toBe("env");
+    expect(await layeredSettings.getSource("telemetry")).toBe("overrides");
+    expect(await layeredSettings.getSource("missing")).toBe(null);
+  });
+
+  test("synchronously writes to the preference file only, without the values of the other layers", () => {
+    const layeredSettings = createSettings({ layers, defaults: { fontSize: 12 } });
+
+    layeredSettings.setStateSync("theme", "solarized");
+    expect(layeredSettings.getStateSync("theme")).toBe("solarized");
+    expect(layeredSettings.getSourceSync("fontSize")).toBe("defaults");
+    expect(JSON.parse(fs.readFileSync(layeredSettings.getDefaultPreferenceFilePath(), "utf-8"))).toEqual({
+      theme: "solarized"
+    });
+
+    layeredSettings.resetSync("theme");
+    expect(layeredSettings.getStateSync("theme")).toBe("light");
+    expect(layeredSettings.getSourceSync("theme")).toBe("defaults");
+  });
+
+  test("asynchronously reports the layer supplying a value, using callbacks", (done) => {
+    createSettings().getSource_c("theme", null, (err, source) => {
+      expect(err).toBe(null);
+      expect(source).toBe(null);
+      done();
+    });
+  });
+
+  test("throws an exception for invalid layers", () => {
+    expect(() => createSettings({ layers: [{ name: "system", filePath: systemFilePath }] })).toThrow(IllegalArgumentError);
+    expect(() => createSettings({ layers: [{ name: "user" }, { name: "user", values: {} }] })).toThrow(IllegalArgumentError);
+    expect(() => createSettings({ layers: [{ name: "user" }, { name: "env", envPrefix: "A_", values: {} }] })).toThrow(
+      IllegalArgumentError
+    );
+
+    fs.writeFileSync(systemFilePath, "{");
+    expect(() => createSettings({ layers })).toThrow(/system layer/);
+  });
+});
+
+describe("Scope tests", () => {
+  const scopedSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "ScopedSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    defaults: { linter: { enabled: true } }
+  });
+  const readFile = () => JSON.parse(fs.readFileSync(scopedSettings.getDefaultPreferenceFilePath(), "utf-8"));
+
+  afterEach(() => scopedSettings.deleteFileSync());
+
+  test("asynchronously nests the keys of each namespace, so that they don't collide", async () => {
+    const linter = scopedSettings.scope("linter");
+    const formatter = scopedSettings.scope("formatter");
+
+    await linter.setState("enabled", false);
+    await formatter.setState("enabled", true);
+    await linter.setStates({ rules: ["semi"], "max.len": 120 });
+
+    expect(readFile()).toEqual({
+      linter: { enabled: false, rules: ["semi"], "max.len": 120 },
+      formatter: { enabled: true }
+    });
+    expect(await linter.getStates(["enabled", "max.len"])).toEqual([false, 120]);
+    expect(await formatter.hasKey("rules")).toBe(false);
+    expect(await linter.getAll()).toEqual({ enabled: false, rules: ["semi"], "max.len": 120 });
+  });
+
+  test("synchronously lists and clears a namespace, along with the namespaces nested in it", () => {
+    const linter = scopedSettings.scope("linter");
+    const typescript = linter.scope("typescript");
+
+    typescript.setStateSync("strict", true);
+    scopedSettings.setStateSync("theme", "dark");
+    expect(linter.getAllSync()).toEqual({ enabled: true, typescript: { strict: true } });
+    expect(scopedSettings.getStateSync("linter")).toEqual({ enabled: true, typescript: { strict: true } });
+
+    expect(typescript.deleteKeySync("strict")).toBe(true);
+    expect(linter.clearSync()).toBe(true);
+    expect(readFile()).toEqual({ theme: "dark" });
+    expect(linter.getStateSync("enabled")).toBe(true);
+  });
+
+  test("asynchronously reads and writes a namespace, using callbacks", (done) => {
+    const formatter = scopedSettings.scope("formatter");
+
+    formatter.setStates_c({ tabWidth: 2 }, null, (err, inserted) => {
+      expect(err).toBe(null);
+      expect(inserted).toEqual([2]);
+      formatter.getState_c("tabWidth", null, null, (err, value) => {
+        expect(err).toBe(null);
+        expect(value).toBe(2);
+        formatter.getAll_c(null, (err, namespaceOb) => {
+          expect(namespaceOb).toEqual({ tabWidth: 2 });
+          done();
+        });
+      });
+    });
+  });
+
+  test("throws an exception for an invalid namespace", () => {
+    expect(() => scopedSettings.scope("")).toThrow(IllegalArgumentError);
+    expect(() => scopedSettings.scope("linter").scope(null)).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("Profile tests", () => {
+  const profileSettings = require("../src/index")({
+    preferenceFileDir: path.join(process.env.NODE_USER_SETTINGS_DIRECTORY, "profile-test"),
+    fileName: "ProfileSettings",
+    fileExt: "json",
+    storageMode: "typed"
+  });
+  const profilesDirectory = path.join(process.env.NODE_USER_SETTINGS_DIRECTORY, "profile-test", "profiles");
+
+  afterEach(() => {
+    profileSettings.setActiveProfile(null);
+    fs.rmSync(path.dirname(profilesDirectory), { recursive: true, force: true });
+  });
+
+  test("asynchronously creates, copies, renames and deletes profiles", async () => {
+    expect(await profileSettings.listProfiles()).toEqual([]);
+    expect(await profileSettings.createProfile("work")).toBe(true);
+    expect(await profileSettings.createProfile("work")).toBe(false);
+
+    await profileSettings.setState("theme", "dark", "profiles/work.json");
+    expect(await profileSettings.copyProfile("work", "home")).toBe(true);
+    expect(await profileSettings.copyProfile("missing", "other")).toBe(false);
+    expect(await profileSettings.renameProfile("home", "work")).toBe(false);
+    expect(await profileSettings.renameProfile("home", "personal")).toBe(true);
+    expect(await profileSettings.listProfiles()).toEqual(["personal", "work"]);
+
+    expect(await profileSettings.deleteProfile("work")).toBe(true);
+    expect(await profileSettings.deleteProfile("work")).toBe(false);
+    expect(fs.readdirSync(profilesDirectory)).toEqual(["personal.json"]);
+    expect(JSON.parse(fs.readFileSync(path.join(profilesDirectory, "personal.json"), "utf-8"))).toEqual({ theme: "dark" });
+  });
+
+  test("writes the changes queued or cached for a profile before renaming it", async () => {
+    const writeBehindSettings = require("../src/index")({
+      preferenceFileDir: path.dirname(profilesDirectory),
+      fileName: "ProfileSettings",
+      fileExt: "json",
+      storageMode: "typed",
+      cacheMode: "write-behind",
+      writeBehindDelay: 10000
+    });
+    writeBehindSettings.setActiveProfile("work");
+    await writeBehindSettings.setState("theme", "dark");
+    writeBehindSettings.setState("fontSize", 14);
+
+    expect(await writeBehindSettings.renameProfile("work", "office")).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(profilesDirectory, "office.json"), "utf-8"))).toEqual({
+      theme: "dark",
+      fontSize: 14
+    });
+    expect(fs.existsSync(path.join(profilesDirectory, "work.json"))).toBe(false);
+
+    writeBehindSettings.setStateSync("theme", "light");
+    expect(writeBehindSettings.renameProfileSync("office", "home")).toBe(true);
+    expect(writeBehindSettings.getStateSync("theme")).toBe("light");
+    expect(JSON.parse(fs.readFileSync(path.join(profilesDirectory, "home.json"), "utf-8")).theme).toBe("light");
+  });
+
+  test("copies the changes queued or cached for a profile along with it", async () => {
+    const writeBehindSettings = require("../src/index")({
+      preferenceFileDir: path.dirname(profilesDirectory),
+      fileName: "ProfileSettings",
+      fileExt: "json",
+      storageMode: "typed",
+      cacheMode: "write-behind",
+      writeBehindDelay: 10000
+    });
+    writeBehindSettings.setActiveProfile("work");
+    await writeBehindSettings.setState("theme", "dark");
+    writeBehindSettings.setState("fontSize", 14);
+
+    expect(await writeBehindSettings.copyProfile("work", "home")).toBe(true);
+    expect(await writeBehindSettings.copyProfile("work", "work")).toBe(false);
+    expect(JSON.parse(fs.readFileSync(path.join(profilesDirectory, "home.json"), "utf-8"))).toEqual({
+      theme: "dark",
+      fontSize: 14
+    });
+
+    writeBehindSettings.setActiveProfile("office");
+    writeBehindSettings.setStateSync("theme", "light");
+    expect(writeBehindSettings.createProfileSync("office")).toBe(false);
+    expect(writeBehindSettings.copyProfileSync("office", "spare")).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(profilesDirectory, "spare.json"), "utf-8"))).toEqual({ theme: "light" });
+    await writeBehindSettings.flush();
+  });
+
+  test("doesn't rename a profile while the preference file of its new name is locked by another process", async () => {
+    const lockedSettings = require("../src/index")({
+      preferenceFileDir: path.dirname(profilesDirectory),
+      fileName: "ProfileSettings",
+      fileExt: "json",
+      lockTimeout: 200
+    });
+    lockedSettings.createProfileSync("work");
+    fs.mkdirSync(path.join(profilesDirectory, "office.json.lock"));
+
+    await expect(lockedSettings.renameProfile("work", "office")).rejects.toThrowError(/Timed out/);
+    await expect(lockedSettings.createProfile("office")).rejects.toThrowError(/Timed out/);
+    expect(() => lockedSettings.deleteProfileSync("office")).toThrowError(/Timed out/);
+    expect(lockedSettings.listProfilesSync()).toEqual(["work"]);
+  });
+
+  test("synchronously operates on the active profile, and emits an event when it switches", async () => {
+    const events = [];
+    profileSettings.on("profile", (event) => events.push(event));
+
+    profileSettings.setStateSync("theme", "light");
+    expect(profileSettings.setActiveProfile("work")).toBe(path.join(profilesDirectory, "work.json"));
+    expect(profileSettings.getActiveProfile()).toBe("work");
+    expect(profileSettings.getStateSync("theme")).toBe(undefined);
+    profileSettings.setStateSync("theme", "dark");
+
+    expect(profileSettings.renameProfileSync("work", "office")).toBe(true);
+    expect(profileSettings.getActiveProfile()).toBe("office");
+    expect(profileSettings.getStateSync("theme")).toBe("dark");
+    expect(profileSettings.copyProfileSync(null, "default")).toBe(true);
+    expect(profileSettings.listProfilesSync()).toEqual(["default", "office"]);
+
+    expect(profileSettings.deleteProfileSync("office")).toBe(true);
+    expect(profileSettings.getActiveProfile()).toBe(null);
+    expect(profileSettings.getStateSync("theme")).toBe("light");
+
+    await new Promise(process.nextTick);
+    expect(events.map((event) => [event.previousProfile, event.profile])).toEqual([
+      [null, "work"],
+      ["work", "office"],
+      ["office", null]
+    ]);
+  });
+
+  test("asynchronously lists and creates profiles, using callbacks", (done) => {
+    profileSettings.createProfile_c("work", (err, isCreated) => {
+      expect(err).toBe(null);
+      expect(isCreated).toBe(true);
+      profileSettings.listProfiles_c((err, profiles) => {
+        expect(err).toBe(null);
+        expect(profiles).toEqual(["work"]);
+        done();
+      });
+    });
+  });
+
+  test("lists the profiles kept by a storage adapter", () => {
+    const { createMemoryAdapter } = require("../src/index").storage;
+    const memorySettings = require("../src/index")({
+      preferenceFileDir: "/preferences",
+      preferenceFileName: "Settings.json",
+      storage: createMemoryAdapter({
+        "/preferences/profiles/work.json": "{}",
+        "/preferences/profiles/work.json.1.bak": "{}"
+      })
+    });
+
+    expect(memorySettings.createProfileSync("home")).toBe(true);
+    expect(memorySettings.listProfilesSync()).toEqual(["home", "work"]);
+  });
+
+  test("throws an exception for an invalid profile name", () => {
+    expect(() => profileSettings.setActiveProfile("../work")).toThrow(IllegalArgumentError);
+    expect(() => profileSettings.createProfileSync(".hidden")).toThrow(IllegalArgumentError);
+    expect(() => profileSettings.deleteProfileSync(null)).toThrow(IllegalArgumentError);
+    expect(() => require("../src/index")({ profile: "a/b" })).toThrow(IllegalArgumentError);
+  });
+});
+
+describe("Transaction tests", () => {
+  const txSettings = require("../src/index")({
+    preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+    fileName: "TransactionSettings",
+    fileExt: "json",
+    storageMode: "typed",
+    dotNotation: true,
+    defaults: { retries: 3 },
+    schema: { properties: { balance: { type: "number", minimum: 0 } } }
+  });
+  const readFile = () => JSON.parse(fs.readFileSync(txSettings.getDefaultPreferenceFilePath(), "utf-8"));
+
+  afterEach(() => txSettings.deleteFileSync());
+
+  test("asynchronously commits every write of a transaction in a single write", async () => {
+    txSettings.setStatesSync({ balance: 10, pending: 5 });
+    await new Promise(process.nextTick);
+    const writes = [];
+    const listenerfn = (event) => writes.push(event.key);
+    txSettings.on("change", listenerfn);
+
+    const result = await txSettings.transaction(async (tx) => {
+      const balance = tx.getState("balance") + tx.getState("pending");
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      tx.setState("balance", balance);
+      tx.deleteKey("pending");
+      tx.setState("history.last", balance);
+      expect(tx.getAll()).toEqual({ retries: 3, balance: 15, history: { last: 15 } });
+      return balance;
+    });
+
+    expect(result).toBe(15);
+    expect(readFile()).toEqual({ balance: 15, history: { last: 15 } });
+    await new Promise(process.nextTick);
+    txSettings.off("change", listenerfn);
+    expect(writes.sort()).toEqual(["balance", "history", "pending"]);
+  });
+
+  test("serializes transactions with the other writes, so that they see a consistent snapshot", async () => {
+    txSettings.setStateSync("count", 0);
+    const increment = () => txSettings.transaction(async (tx) => tx.setState("count", tx.getState("count") + 1));
+
+    await Promise.all([increment(), txSettings.setState("other", true), increment(), increment()]);
+    expect(readFile()).toEqual({ count: 3, other: true });
+  });
+
+  test("discards every write of a transaction that throws, or doesn't match the schema", async () => {
+    txSettings.setStateSync("balance", 10);
+
+    await expect(
+      txSettings.transaction((tx) => {
+        tx.setState("balance", 0);
+        throw new Error("declined");
+      })
+    ).rejects.toThrow("declined");
+    expect(() => txSettings.transactionSync((tx) => tx.setState("balance", -5))).toThrow(IllegalArgumentError);
+    expect(readFile()).toEqual({ balance: 10 });
+  });
+
+  test("synchronously runs a transaction, and ends its handle afterwards", () => {
+    let handle;
+    const isMissing = txSettings.transactionSync((tx) => {
+      handle = tx;
+      tx.setStates({ a: 1, b: 2 });
+      return !tx.hasKey("c");
+    });
+
+    expect(isMissing).toBe(true);
+    expect(readFile()).toEqual({ a: 1, b: 2 });
+    expect(() => handle.getState("a")).toThrow("The transaction has already ended");
+    expect(() => txSettings.transactionSync(async () => {})).toThrow(IllegalArgumentError);
+  });
+
+  test("rejects an asynchronous write to the file of a running transaction, instead of waiting for it forever", async () => {
+    const otherFileName = "OtherTransactionSettings.json";
+    let laterWrite;
+
+    const result = await txSettings.transaction(async (tx) => {
+      await expect(txSettings.setState("balance", 5)).rejects.toThrow(IllegalStateError);
+      await expect(txSettings.transaction(() => {})).rejects.toThrow("from its own transaction");
+      await expect(txSettings.deleteFile()).rejects.toThrow(IllegalStateError);
+      await expect(txSettings.flush()).rejects.toThrow(IllegalStateError);
+      expect(await txSettings.setState("balance", 5, otherFileName)).toBe(true);
+
+      // a write that starts after the transaction ended isn't rejected
+      laterWrite = new Promise((resolve) => setTimeout(resolve, 0)).then(() => txSettings.setState("balance", 7));
+      tx.setState("balance", 1);
+      return "committed";
+    });
+
+    expect(result).toBe("committed");
+    expect(await laterWrite).toBe(true);
+    expect(readFile()).toEqual({ balance: 7 });
+    txSettings.deleteFileSync(otherFileName);
+  });
+
+  test("asynchronously runs a transaction, using callbacks", (done) => {
+    txSettings.transaction_c(
+      (tx) => tx.getStates(["retries", "missing"]),
+      null,
+      (err, values) => {
+        expect(err).toBe(null);
+        expect(values).toEqual([3, undefined]);
+        done();
+      }
+    );
+  });
+});
+
+describe("Electron IPC bridge tests", () => {
+  const EventEmitter = require("events");
+  const { registerSettingsHandlers, createSettingsBridge } = require("../src/index").ipc;
+  const { createMemoryAdapter } = require("../src/storage");
+
+  // a fake of Electron's IPC modules, connecting a renderer to the main process. Values are cloned like Electron does
+  function createFakeIpc() {
+    const handlers = new Map();
+    const rendererListeners = new EventEmitter();
+    const sender = new EventEmitter();
+    // copies a value sent between the processes, as IPC does. undefined arguments stay undefined
+    const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    sender.send = (channel, ...args) => rendererListeners.emit(channel, {}, ...args.map(copy));
+
+    const ipcMain = {
+      handle: (channel, handler) => handlers.set(channel, handler),
+      removeHandler: (channel) => handlers.delete(channel)
+    };
+    const ipcRenderer = {
+      async invoke(channel, ...args) {
+        if (!handlers.has(channel)) throw new Error(`No handler registered for '${channel}'`);
+        return copy(await handlers.get(channel)({ sender }, ...args.map(copy)));
+      },
+      on: (channel, listenerfn) => rendererListeners.on(channel, listenerfn),
+      removeListener: (channel, listenerfn) => rendererListeners.removeListener(channel, listenerfn)
+    };
+
+    return { ipcMain, ipcRenderer, sender, handlers, rendererListeners };
+  }
+
+  const createSettings = () =>
+    require("../src/index")({
+      preferenceFileDir: "/preferences",
+      fileName: "IpcSettings",
+      fileExt: "json",
+      storage: createMemoryAdapter(),
+      storageMode: "typed",
+      dotNotation: true
+    });
+
+  test("reads and writes the allowed keys from a renderer", async () => {
+    const mainSettings = createSettings();
+    const { ipcMain, ipcRenderer } = createFakeIpc();
+    registerSettingsHandlers(ipcMain, mainSettings, {
+      readableKeys: ["theme", "window", "secret"],
+      writableKeys: ["theme", "window.width"],
+      dotNotation: true
+    });
+    const bridge = createSettingsBridge(ipcRenderer);
+
+    mainSettings.setStatesSync({ secret: "token", window: { height: 600 } });
+    expect(await bridge.setState("theme", "dark")).toBe(true);
+    expect(await bridge.setStates({ "window.width": 800 })).toEqual([800]);
+    expect(await bridge.getState("theme")).toBe("dark");
+    expect(await bridge.getState("window.depth", 1)).toBe(1);
+    expect(await bridge.getStates(["theme", "window.width"])).toEqual(["dark", 800]);
+    expect(await bridge.hasKey("window.height")).toBe(true);
+    expect(await bridge.deleteKey("theme")).toBe(true);
+    expect(mainSettings.getAllSync()).toEqual({ secret: "token", window: { width: 800, height: 600 } });
+  });
+
+  test("rejects the keys a renderer isn't allowed to read or write", async () => {
+    const mainSettings = createSettings();
+    const { ipcMain, ipcRenderer } = createFakeIpc();
+    registerSettingsHandlers(ipcMain, mainSettings, { readableKeys: ["window"], writableKeys: ["window.width"] });
+    const bridge = createSettingsBridge(ipcRenderer);
+
+    await expect(bridge.getState("secret")).rejects.toThrow(IllegalArgumentError);
+    await expect(bridge.getStates(["window", "secret"])).rejects.toThrow("isn't allowed to read secret");
+    await expect(bridge.setState("window", {})).rejects.toThrow("isn't allowed to write window");
+    await expect(bridge.setStates({ "window.width": 1, theme: "dark" })).rejects.toThrow("isn't allowed to write theme");
+    await expect(bridge.deleteKey("secret")).rejects.toThrow(IllegalArgumentError);
+    await expect(bridge.getState(["window"])).rejects.toThrow("must be a String");
+    // without dotNotation, a dot is part of the key, so "window.height" isn't nested in the allowed window key
+    await expect(bridge.getState("window.height")).rejects.toThrow("isn't allowed to read");
+    expect(mainSettings.getAllSync()).toEqual({});
+  });
+
+  test("sends the changes to an allowed key to a renderer, until it stops listening or is destroyed", async () => {
+    const mainSettings = createSettings();
+    const { ipcMain, ipcRenderer, sender, rendererListeners } = createFakeIpc();
+    registerSettingsHandlers(ipcMain, mainSettings, { readableKeys: ["theme"] });
+    const bridge = createSettingsBridge(ipcRenderer);
+    const changes = [];
+
+    await expect(bridge.onDidChange("secret", () => {})).rejects.toThrow("isn't allowed to read secret");
+    expect(rendererListeners.listenerCount("node-user-settings:change")).toBe(0);
+
+    const stopListening = await bridge.onDidChange("theme", (newValue, oldValue) => changes.push([newValue, oldValue]));
+    await mainSettings.setState("theme", "dark");
+    await mainSettings.setState("secret", "token");
+    await new Promise(process.nextTick);
+    expect(changes).toEqual([["dark", undefined]]);
+
+    expect(await stopListening()).toBe(true);
+    expect(await stopListening()).toBe(false);
+    expect(rendererListeners.listenerCount("node-user-settings:change")).toBe(0);
+    await mainSettings.setState("theme", "light");
+    await new Promise(process.nextTick);
+    expect(changes).toEqual([["dark", undefined]]);
+
+    sender.send = jest.fn();
+    await bridge.onDidChange("theme", () => {});
+    sender.emit("destroyed");
+    await mainSettings.setState("theme", "dark");
+    await new Promise(process.nextTick);
+    expect(sender.send).not.toHaveBeenCalled();
+  });
+
+  test("removes the handlers, on a custom channel", async () => {
+    const { ipcMain, ipcRenderer, handlers } = createFakeIpc();
+    const unregister = registerSettingsHandlers(ipcMain, createSettings(), { channel: "prefs", readableKeys: ["theme"] });
+    const bridge = createSettingsBridge(ipcRenderer, { channel: "prefs" });
+
+    expect(await bridge.getState("theme", "light")).toBe("light");
+    unregister();
+    expect(handlers.size).toBe(0);
+    await expect(bridge.getState("theme")).rejects.toThrow("No handler registered for 'prefs:getState'");
+    expect(() => registerSettingsHandlers(ipcMain, createSettings(), { readableKeys: "theme" })).toThrow(
+      IllegalArgumentError
+    );
+  });
+
+  test("creates the bridge without requiring any other module, so that it can be bundled into a sandboxed preload", async () => {
+    const { ipcRenderer } = createFakeIpc();
+    const bridge = createSettingsBridge(ipcRenderer);
+
+    expect(fs.readFileSync(require.resolve("../src/ipc/preload"), "utf-8")).not.toMatch(/require\(/);
+    await expect(bridge.onDidChange("theme")).rejects.toThrow(TypeError);
+  });
+});
+
+describe("External change merge tests", () => {
+  const { createMemoryAdapter } = require("../src/storage");
+  const filePath = path.join("/preferences", "MergeSettings.json");
+
+  const createSettings = (options) =>
+    require("../src/index")({
+      preferenceFileDir: "/preferences",
+      fileName: "MergeSettings",
+      fileExt: "json",
+      storageMode: "typed",
+      ...options
+    });
+  // edits the preference file like a user editing it by hand
+  const editByHand = (storage, editfn) =>
+    storage.writeSync(filePath, JSON.stringify(editfn(JSON.parse(storage.readSync(filePath)))));
+
+  test("merges the keys changed by hand while a write was in progress", async () => {
+    const storage = createMemoryAdapter({ [filePath]: JSON.stringify({ theme: "light", fontSize: 12, tabs: 2 }) });
+    const mergeSettings = createSettings({ storage });
+    const changes = [];
+    mergeSettings.on("change", ({ key, isExternal }) => changes.push([key, isExternal]));
+
+    await mergeSettings.transaction(async (tx) => {
+      tx.setState("theme", "dark");
+      editByHand(storage, (preferenceOb) => ({ ...preferenceOb, fontSize: 14, lineNumbers: true, tabs: undefined }));
+    });
+
+    expect(JSON.parse(storage.readSync(filePath))).toEqual({ theme: "dark", fontSize: 14, lineNumbers: true });
+    await new Promise(process.nextTick);
+    expect(changes.sort()).toEqual([
+      ["fontSize", true],
+      ["lineNumbers", true],
+      ["tabs", true],
+      ["theme", false]
+    ]);
+  });
+
+  test("merges the changes cached in write-behind mode with the changes made by hand, key by key", async () => {
+    const storage = createMemoryAdapter({ [filePath]: JSON.stringify({ window: { width: 800, height: 600 } }) });
+    const mergeSettings = createSettings({ storage, cacheMode: "write-behind", dotNotation: true });
+
+    await mergeSettings.setState("window.width", 1024);
+    editByHand(storage, (preferenceOb) => ({ window: { ...preferenceOb.window, height: 768 }, theme: "dark" }));
+    expect(await mergeSettings.getAll()).toEqual({ window: { width: 1024, height: 600 } });
+
+    await mergeSettings.flush();
+    expect(JSON.parse(storage.readSync(filePath))).toEqual({ window: { width: 1024, height: 768 }, theme: "dark" });
+    expect(await mergeSettings.getAll()).toEqual({ window: { width: 1024, height: 768 }, theme: "dark" });
+  });
+
+  test("resolves the keys changed both by this process and by hand using the merge strategy", () => {
+    const conflicts = [];
+    const strategies = {
+      ours: { theme: "dark", fontSize: 14 },
+      theirs: { theme: "solarized", fontSize: 14 },
+      callback: { theme: "dark-solarized", fontSize: 14 }
+    };
+
+    Object.keys(strategies).forEach(function (strategy) {
+      const storage = createMemoryAdapter({ [filePath]: JSON.stringify({ theme: "light", fontSize: 12 }) });
+      const mergeSettings = createSettings({
+        storage,
+        cacheMode: "write-behind",
+        mergeStrategy:
+          strategy === "callback"
+            ? (conflict) => conflicts.push(conflict) && `${conflict.ourValue}-${conflict.theirValue}`
+            : strategy
+      });
+
+      mergeSettings.setStateSync("theme", "dark");
+      editByHand(storage, () => ({ theme: "solarized", fontSize: 14 }));
+      mergeSettings.flushSync();
+      expect(JSON.parse(storage.readSync(filePath))).toEqual(strategies[`${strategy}`]);
+    });
+
+    expect(conflicts).toEqual([
+      { filePath, keyPath: ["theme"], baseValue: "light", ourValue: "dark", theirValue: "solarized" }
+    ]);
+    expect(() => createSettings({ mergeStrategy: "mine" })).toThrow(IllegalArgumentError);
+  });
+
+  test("merges the changes made to a preference file by hand on disk", async () => {
+    const mergeSettings = createSettings({
+      preferenceFileDir: process.env.NODE_USER_SETTINGS_DIRECTORY,
+      cacheMode: "write-through"
+    });
+    const diskFilePath = mergeSettings.getDefaultPreferenceFilePath();
+
+    try {
+      await mergeSettings.setStates({ theme: "light", fontSize: 12 });
+      await mergeSettings.transaction(async (tx) => {
+        tx.deleteKey("theme");
+        fs.writeFileSync(diskFilePath, JSON.stringify({ theme: "light", fontSize: 16, wordWrap: "on" }));
+      });
+
+      expect(JSON.parse(fs.readFileSync(diskFilePath, "utf-8"))).toEqual({ fontSize: 16, wordWrap: "on" });
+    } finally {
+      mergeSettings.deleteFileSync();
+    }
+  });
+});
+
+describe("Settings bundle tests", () => {
+  const { createMemoryAdapter } = require("../src/storage");
+  const bundlePath = path.join("/exports", "bundle.json");
+  const filePath = (fileName) => path.join("/preferences", fileName);
+
+  const createSettings = (storage, options) =>
+    require("../src/index")({
+      preferenceFileDir: "/preferences",
+      fileName: "Settings",
+      fileExt: "json",
+      storage,
+      storageMode: "typed",
+      dotNotation: true,
+      ...options
+    });
+  const readFile = (storage, fileName) => JSON.parse(storage.readSync(filePath(fileName)));
+  const createStorage = () =>
+    createMemoryAdapter({
+      [filePath("Settings.json")]: JSON.stringify({ theme: "dark", account: { name: "ada", token: "secret" } }),
+      [filePath("Window.json")]: JSON.stringify({ width: 800 }),
+      [filePath("Settings.json.1.bak")]: JSON.stringify({ theme: "light" }),
+      [filePath(".Settings.json.42.tmp")]: "{}",
+      [filePath("notes.txt")]: "not a preference file"
+    });
+
+  test("asynchronously exports the preference files to a bundle, and imports them on another machine", async () => {
+    const storage = createStorage();
+    const exported = await createSettings(storage).exportSettings(bundlePath, { redact: ["account.token"] });
+    expect(exported).toEqual(["Settings.json", "Window.json"]);
+
+    const bundle = JSON.parse(storage.readSync(bundlePath));
+    expect(bundle).toMatchObject({ format: "node-user-settings-bundle", version: 1, migrationVersion: null });
+    expect(new Date(bundle.createdAt).getTime()).not.toBeNaN();
+    expect(bundle.files.map(({ name }) => name)).toEqual(["Settings.json", "Window.json"]);
+    expect(bundle.files[0].preferences).toEqual({ theme: "dark", account: { name: "ada", token: "[REDACTED]" } });
+    expect(bundle.files[0].redactedKeys).toEqual([["account", "token"]]);
+    expect(bundle.files[0].checksum).toMatch(/^sha256:[0-9a-f]{64}$/);
+
+    const newStorage = createMemoryAdapter({
+      [bundlePath]: storage.readSync(bundlePath),
+      [filePath("Settings.json")]: JSON.stringify({ fontSize: 14, account: { token: "new-secret" } })
+    });
+    expect(await createSettings(newStorage).importSettings(bundlePath)).toEqual(["Settings.json", "Window.json"]);
+    expect(readFile(newStorage, "Settings.json")).toEqual({
+      fontSize: 14,
+      theme: "dark",
+      account: { name: "ada", token: "new-secret" }
+    });
+    expect(readFile(newStorage, "Window.json")).toEqual({ width: 800 });
+  });
+
+  test("synchronously exports only the included preference files, and replaces the preference files on import", () => {
+    const storage = createStorage();
+    const exportSettings = createSettings(storage);
+
+    expect(exportSettings.exportSettingsSync(bundlePath, { exclude: ["Window.json"] })).toEqual(["Settings.json"]);
+    expect(exportSettings.exportSettingsSync(bundlePath, { include: ["Window.json", "notes.txt"] })).toEqual([
+      "Window.json"
+    ]);
+
+    storage.writeSync(filePath("Window.json"), JSON.stringify({ width: 1024, height: 768 }));
+    expect(exportSettings.importSettingsSync(bundlePath, { strategy: "replace" })).toEqual(["Window.json"]);
+    expect(readFile(storage, "Window.json")).toEqual({ width: 800 });
+    expect(() => exportSettings.importSettingsSync(bundlePath, { strategy: "overwrite" })).toThrow(IllegalArgumentError);
+    expect(() => exportSettings.exportSettingsSync(bundlePath, { redact: "token" })).toThrow(IllegalArgumentError);
+  });
+
+  test("refuses to import a bundle that was modified or isn't valid, without importing any of its files", async () => {
+    const storage = createStorage();
+    const bundleSettings = createSettings(storage, { schema: { properties: { width: { type: "number" } } } });
+    await bundleSettings.exportSettings(bundlePath);
+    const bundle = JSON.parse(storage.readSync(bundlePath));
+
+    const tamper = (editfn) => storage.writeSync(bundlePath, JSON.stringify(editfn(JSON.parse(JSON.stringify(bundle)))));
+    const expectRejected = async (message) => {
+      await expect(bundleSettings.importSettings(bundlePath)).rejects.toThrow(message);
+      expect(readFile(storage, "Settings.json").theme).toBe("dark");
+    };
+
+    tamper((tampered) => (tampered.files[0].preferences.theme = "light") && tampered);
+    await expectRejected("The checksum of Settings.json doesn't match");
+    tamper((tampered) => (tampered.files[1].name = "../Window.json") && tampered);
+    await expectRejected("unique file name");
+    tamper(() => ({ theme: "light" }));
+    await expectRejected("isn't a settings bundle");
+    storage.writeSync(bundlePath, "{");
+    await expectRejected("can't be parsed");
+    await expect(bundleSettings.importSettings("/exports/missing.json")).rejects.toThrow("There's no settings bundle");
+
+    // a file of the bundle doesn't match the schema of the app importing it
+    storage.writeSync(filePath("Window.json"), JSON.stringify({ width: "wide" }));
+    await createSettings(storage).exportSettings(bundlePath);
+    storage.writeSync(filePath("Settings.json"), JSON.stringify({ theme: "dark" }));
+    await expect(bundleSettings.importSettings(bundlePath, { strategy: "replace" })).rejects.toThrow(IllegalArgumentError);
+    expect(readFile(storage, "Settings.json")).toEqual({ theme: "dark" });
+  });
+
+  test("migrates the preference files of a bundle exported by an older version of the app", (done) => {
+    const storage = createStorage();
+    const migrations = { "2.0.0": (preferenceOb) => ({ ...preferenceOb, migrated: true }) };
+
+    createSettings(storage).exportSettings_c(bundlePath, { include: ["Window.json"] }, (err) => {
+      expect(err).toBe(null);
+      createSettings(storage, { migrations }).importSettings_c(bundlePath, null, (err, imported) => {
+        expect(err).toBe(null);
+        expect(imported).toEqual(["Window.json"]);
+        expect(readFile(storage, "Window.json")).toEqual({ width: 800, migrated: true, __internal__: { version: "2.0.0" } });
+        done();
+      });
+    });
+  });
+});
+
+describe("Sensitive key tests", () => {
+  const util = require("util");
+  const { createMemoryAdapter } = require("../src/storage");
+
+  const createSettings = (options) =>
+    require("../src/index")({
+      preferenceFileDir: "/preferences",
+      fileName: "SensitiveSettings",
+      fileExt: "json",
+      storage: createMemoryAdapter(),
+      storageMode: "typed",
+      dotNotation: true,
+      sensitiveKeys: ["**.password", "api*", "account.token"],
+      ...options
+    });
+  const preferenceOb = {
+    apiKey: "key",
+    theme: "dark",
+    account: { name: "ada", token: "token", password: "password" },
+    database: { primary: { password: "db-password" } }
+  };
+  const maskedOb = {
+    apiKey: "[REDACTED]",
+    theme: "dark",
+    account: { name: "ada", token: "[REDACTED]", password: "[REDACTED]" },
+    database: { primary: { password: "[REDACTED]" } }
+  };
+
+  test("masks the values of the sensitive keys when deserializing, while getState returns them", async () => {
+    const sensitiveSettings = createSettings();
+    await sensitiveSettings.serialize(preferenceOb);
+
+    expect(JSON.parse(await sensitiveSettings.deserialize())).toEqual(maskedOb);
+    expect(JSON.parse(sensitiveSettings.deserializeSync())).toEqual(maskedOb);
+    expect(await sensitiveSettings.getState("account.token")).toBe("token");
+    expect(sensitiveSettings.getStateSync("database.primary.password")).toBe("db-password");
+  });
+
+  test("shows the masked values when the values are inspected, e.g logged", async () => {
+    const sensitiveSettings = createSettings();
+    sensitiveSettings.serializeSync(preferenceOb);
+
+    const allValues = await sensitiveSettings.getAll();
+    expect(allValues).toEqual(preferenceOb);
+    expect(JSON.parse(JSON.stringify(allValues))).toEqual(preferenceOb);
+    expect(util.inspect(allValues, { depth: null })).toBe(util.inspect(maskedOb, { depth: null }));
+    expect(util.inspect(sensitiveSettings.getAllSync())).not.toMatch("db-password");
+
+    await new Promise(process.nextTick);
+    const changes = [];
+    sensitiveSettings.on("change", (change) => changes.push(change));
+    await sensitiveSettings.setState("account.token", "new-token");
+    await new Promise(process.nextTick);
+
+    expect(changes[0].newValue.token).toBe("new-token");
+    expect(util.inspect(changes[0], { depth: null })).toMatch("token: '[REDACTED]'");
+    expect(util.inspect(changes[0], { depth: null })).not.toMatch("new-token");
+  });
+
+  test("masks the values of the secret keys, and records the sensitive keys of an export as redacted", (done) => {
+    const storage = createMemoryAdapter();
+    const sensitiveSettings = createSettings({ storage, encryptionKey: "a".repeat(64), secretKeys: ["theme"] });
+    sensitiveSettings.serializeSync(preferenceOb);
+
+    sensitiveSettings.deserialize_c(null, (err, deserializedOb) => {
+      expect(err).toBe(null);
+      expect(deserializedOb).toEqual({ ...maskedOb, theme: "[REDACTED]" });
+
+      sensitiveSettings.exportSettingsSync("/exports/bundle.json");
+      const bundle = JSON.parse(storage.readSync("/exports/bundle.json"));
+      expect(bundle.files[0].preferences).toEqual({ ...maskedOb, theme: "[REDACTED]" });
+      expect(bundle.files[0].redactedKeys).toHaveLength(5);
+
+      sensitiveSettings.importSettingsSync("/exports/bundle.json", { strategy: "replace" });
+      expect(sensitiveSettings.getAllSync()).toEqual(preferenceOb);
+      expect(() => createSettings({ sensitiveKeys: "password" })).toThrow(IllegalArgumentError);
+      done();
+    });
+  });
+});
+
+describe("Typed accessor tests", () => {
+  const { createMemoryAdapter } = require("../src/storage");
+
+  const createSettings = (options) => {
+    const typedSettings = require("../src/index")({
+      preferenceFileDir: "/preferences",
+      fileName: "TypedSettings",
+      fileExt: "json",
+      storage: createMemoryAdapter(),
+      ...options
+    });
+
+    typedSettings.setStatesSync({
+      fontSize: "14",
+      zoom: "1.5",
+      enabled: "TRUE",
+      disabled: 0,
+      window: JSON.stringify({ width: 800 }),
+      updatedAt: "2024-05-01T10:00:00.000Z",
+      createdAt: 1700000000000,
+      releasedIn: "2024",
+      theme: "dark",
+      missing: undefined,
+      broken: "not a value"
+    });
+    return typedSettings;
+  };
+
+  test("asynchronously parses the values persisted as strings, and falls back to the default value", async () => {
+    const typedSettings = createSettings();
+
+    expect(await typedSettings.getNumber("zoom")).toBe(1.5);
+    expect(await typedSettings.getNumber("missing", 1)).toBe(1);
+    expect(await typedSettings.getNumber("broken", 1)).toBe(1);
+    expect(await typedSettings.getInteger("fontSize")).toBe(14);
+    expect(await typedSettings.getInteger("zoom", 1)).toBe(1);
+    expect(await typedSettings.getBoolean("enabled")).toBe(true);
+    expect(await typedSettings.getBoolean("disabled")).toBe(false);
+    expect(await typedSettings.getBoolean("broken", true)).toBe(true);
+    expect(await typedSettings.getJSON("window")).toEqual({ width: 800 });
+    expect(await typedSettings.getJSON("broken", null)).toBe(null);
+    expect(await typedSettings.getDate("updatedAt")).toEqual(new Date("2024-05-01T10:00:00.000Z"));
+    expect(await typedSettings.getDate("releasedIn")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+    expect(await typedSettings.getDate("createdAt")).toBe(undefined);
+    expect(await typedSettings.getDate("broken")).toBe(undefined);
+    expect(await typedSettings.getEnum("theme", ["light", "dark"], "light")).toBe("dark");
+    expect(await typedSettings.getEnum("fontSize", [12, 14, 16])).toBe(14);
+    expect(await typedSettings.getEnum("broken", ["light", "dark"], "light")).toBe("light");
+    await expect(typedSettings.getEnum("theme", [])).rejects.toThrow(IllegalArgumentError);
+  });
+
+  test("synchronously reads the values persisted in typed mode, and throws in strict mode", () => {
+    const typedSettings = createSettings({ storageMode: "typed", strictCoercion: true });
+
+    expect(typedSettings.getIntegerSync("disabled")).toBe(0);
+    expect(typedSettings.getBooleanSync("disabled")).toBe(false);
+    expect(typedSettings.getNumberSync("missing", 2)).toBe(2);
+    expect(typedSettings.getDateSync("createdAt")).toEqual(new Date(1700000000000));
+    expect(typedSettings.getDateSync("releasedIn")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+    expect(typedSettings.getEnumSync("theme", ["light", "dark"])).toBe("dark");
+    expect(() => typedSettings.getNumberSync("broken", 1)).toThrow(IllegalStateError);
+    expect(() => typedSettings.getIntegerSync("zoom")).toThrow("The value of zoom can't be read as an integer");
+    expect(() => typedSettings.getEnumSync("theme", ["light", 1])).toThrow('can\'t be read as one of "light", 1');
+  });
+
+  test("asynchronously reads a value converted to a type, using callbacks", (done) => {
+    const typedSettings = createSettings({ strictCoercion: true });
+
+    typedSettings.getJSON_c("window", null, null, (err, value) => {
+      expect(err).toBe(null);
+      expect(value).toEqual({ width: 800 });
+
+      typedSettings.getEnum_c("broken", ["light", "dark"], "light", null, (err, value) => {
+        expect(err).toBeInstanceOf(IllegalStateError);
+        expect(value).toBe("light");
+        done();
+      });
+    });
+  });
+});